@@ -0,0 +1,108 @@
+const { getSteps, formatStep, isLocalOpenTarget } = require('./actions');
+const { isPluginStepType } = require('./plugins');
+
+// Runs mappings (key descriptors or action lists, see actions.js) through a
+// driver. Runs are queued so the keystrokes of two gestures never interleave.
+// Each finished step is reported to `onStep` with
+//   { gesture, index, total, description, ok, output?, error?, permissionDenied? }
+// and a failed step stops the rest of its list.
+//
+// `approveCommand(command, args, kind)` resolves to true when a step that can
+// start a program may run: kind 'command' for commands, 'launch' for the app
+// and arguments of a launch, and 'open' for a local file to open.
+// `runPlugin(step, gesture)` runs a plugin's step, resolving to its output.
+
+// Longest command or plugin output passed back for display
+const MAX_OUTPUT_LENGTH = 80;
+
+const NOT_APPROVED_ERRORS = {
+  command: 'Command not approved',
+  launch: 'Launch not approved',
+  open: 'Opening the file not approved'
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function summarizeOutput(stdout) {
+  const firstLine = String(stdout || '').trim().split('\n')[0];
+  return firstLine.length > MAX_OUTPUT_LENGTH ? `${firstLine.slice(0, MAX_OUTPUT_LENGTH - 1)}…` : firstLine;
+}
+
+function createActionRunner({ driver, approveCommand, runPlugin, onStep = () => {} }) {
+  let queue = Promise.resolve();
+
+  async function checkApproval(command, args, kind) {
+    if (!(await approveCommand(command, args, kind))) {
+      throw new Error(NOT_APPROVED_ERRORS[kind]);
+    }
+  }
+
+  // Resolves to the output to show, if any
+  async function runStep(step, gesture) {
+    switch (step.type) {
+      case 'keys':
+        await driver.sendKeys(step.keys);
+        return '';
+      case 'text':
+        await driver.typeText(step.text);
+        return '';
+      case 'delay':
+        await delay(step.ms);
+        return '';
+      case 'open':
+        if (isLocalOpenTarget(step.target)) {
+          await checkApproval(step.target, [], 'open');
+        }
+        await driver.openTarget(step.target);
+        return '';
+      case 'launch':
+        await checkApproval(step.app, step.args, 'launch');
+        await driver.launchApp(step.app, step.args);
+        return '';
+      case 'command': {
+        await checkApproval(step.command, step.args, 'command');
+        const result = await driver.runCommand(step.command, step.args, { timeoutMs: step.timeoutMs });
+        return summarizeOutput(result.stdout);
+      }
+      default:
+        if (isPluginStepType(step.type) && runPlugin) {
+          return summarizeOutput(await runPlugin(step, gesture));
+        }
+        throw new Error(`Unknown step type "${step.type}"`);
+    }
+  }
+
+  async function runSteps(gesture, mapping) {
+    const steps = getSteps(mapping);
+    for (let index = 0; index < steps.length; index++) {
+      const report = { gesture, index, total: steps.length, description: formatStep(steps[index]) };
+      try {
+        const output = await runStep(steps[index], gesture);
+        onStep({ ...report, ok: true, ...(output ? { output } : {}) });
+      } catch (error) {
+        console.error(`Error running "${report.description}" for ${gesture}:`, error);
+        onStep({ ...report, ok: false, error: error.message, permissionDenied: Boolean(error.permissionDenied) });
+        return false;
+      }
+    }
+    return true;
+  }
+
+  return {
+    // Resolves to true when every step succeeded
+    run(gesture, mapping) {
+      const result = queue.then(() => runSteps(gesture, mapping));
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    // Resolves once every queued mapping has finished
+    whenIdle() {
+      return queue;
+    }
+  };
+}
+
+module.exports = { createActionRunner };
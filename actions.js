@@ -0,0 +1,224 @@
+// Action lists: a mapping can run several steps in order instead of pressing
+// one key combo, e.g.
+//   "Thumbs Up": { "label": "Standup notes", "steps": [
+//     { "type": "launch", "app": "TextEdit" },
+//     { "type": "delay", "ms": 800 },
+//     { "type": "text", "text": "Yesterday:\nToday:\n" },
+//     { "type": "keys", "keys": "Cmd+S" }
+//   ] }
+// Step types:
+//   keys     a key combo string or descriptor (see keys.js); a bare string step is short for this
+//   text     a snippet typed as keystrokes
+//   delay    wait `ms` milliseconds before the next step
+//   open     a web or mailto URL, a file:// URL or an absolute path, in its default app
+//   launch   an application by name, with optional `args`
+//   command  a program run directly (never through a shell) with `args` as
+//            separate strings
+// Launches, commands and local files to open can start any program, so each
+// one must be approved by the user once before it runs (see command-approvals.js).
+// Plugins add their own step types, named "<plugin>.<action>" (see plugins.js).
+// Plain key descriptors and combo strings remain valid mappings on their own.
+
+const path = require('path');
+const { normalizeAction, formatAction, comboId } = require('./keys');
+const { isPluginStepType, normalizeOptions } = require('./plugins');
+
+const STEP_TYPES = ['keys', 'text', 'delay', 'open', 'launch', 'command'];
+const MAX_STEPS = 20;
+const MAX_DELAY_MS = 10000;
+const MAX_TEXT_LENGTH = 2000;
+const DEFAULT_COMMAND_TIMEOUT_MS = 10000;
+const MAX_COMMAND_TIMEOUT_MS = 60000;
+const OPEN_PROTOCOLS = ['http:', 'https:', 'mailto:', 'file:'];
+
+function isActionList(mapping) {
+  return Boolean(mapping) && typeof mapping === 'object' && Array.isArray(mapping.steps);
+}
+
+function isOpenTarget(target) {
+  if (path.isAbsolute(target)) return true;
+  try {
+    return OPEN_PROTOCOLS.includes(new URL(target).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether an open step's target is a file, which may be a program or
+// script, rather than a web or mailto URL
+function isLocalOpenTarget(target) {
+  return path.isAbsolute(target) || target.startsWith('file:');
+}
+
+function normalizeArgs(args, errors) {
+  if (args === undefined) return [];
+  if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+    errors.push('"args" must be a list of strings');
+    return null;
+  }
+  return [...args];
+}
+
+// A plugin step's options are checked against its action's schema when the
+// plugin is loaded. Steps for plugins that aren't loaded are kept as they are
+// and fail when run, so one broken plugin doesn't invalidate the whole config,
+// unless `requirePluginActions` says a config that can't be fully checked is
+// a problem.
+function normalizePluginStep(value, { pluginActions, requirePluginActions = false }) {
+  const { type, ...values } = value;
+  const action = pluginActions && pluginActions.get(type);
+  if (!action) {
+    const errors = requirePluginActions ? [`Plugin action "${type}" isn't loaded, so the step can't be checked`] : [];
+    return { step: { ...value }, errors };
+  }
+  const { options, errors } = normalizeOptions(action.schema, values);
+  return { step: options && { type, ...options }, errors };
+}
+
+// Returns { step, errors } for one entry of a list's steps. `pluginActions`
+// maps plugin step types to their { schema } (see plugin-manager.js).
+function normalizeStep(value, { pluginActions, requirePluginActions } = {}) {
+  if (typeof value === 'string') {
+    value = { type: 'keys', keys: value };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { step: null, errors: ['Step must be a combo string or an object with a "type"'] };
+  }
+
+  if (isPluginStepType(value.type)) {
+    return normalizePluginStep(value, { pluginActions, requirePluginActions });
+  }
+
+  const errors = [];
+  let step = null;
+
+  switch (value.type) {
+    case 'keys': {
+      const result = normalizeAction(value.keys);
+      errors.push(...result.errors);
+      step = { type: 'keys', keys: result.action };
+      break;
+    }
+    case 'text':
+      if (typeof value.text !== 'string' || value.text === '' || value.text.length > MAX_TEXT_LENGTH) {
+        errors.push(`"text" must be a string of 1 to ${MAX_TEXT_LENGTH} characters`);
+      }
+      step = { type: 'text', text: value.text };
+      break;
+    case 'delay':
+      if (!Number.isFinite(value.ms) || value.ms < 0 || value.ms > MAX_DELAY_MS) {
+        errors.push(`"ms" must be between 0 and ${MAX_DELAY_MS}`);
+      }
+      step = { type: 'delay', ms: value.ms };
+      break;
+    case 'open':
+      if (typeof value.target !== 'string' || !isOpenTarget(value.target)) {
+        errors.push('"target" must be an http, https, mailto or file URL, or an absolute path');
+      }
+      step = { type: 'open', target: value.target };
+      break;
+    case 'launch': {
+      if (typeof value.app !== 'string' || value.app.trim() === '') {
+        errors.push('"app" must be an application name');
+      }
+      step = { type: 'launch', app: value.app, args: normalizeArgs(value.args, errors) };
+      break;
+    }
+    case 'command': {
+      if (typeof value.command !== 'string' || value.command.trim() === '') {
+        errors.push('"command" must be a program name or path');
+      }
+      const timeoutMs = value.timeoutMs === undefined ? DEFAULT_COMMAND_TIMEOUT_MS : value.timeoutMs;
+      if (!Number.isFinite(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_COMMAND_TIMEOUT_MS) {
+        errors.push(`"timeoutMs" must be between 1 and ${MAX_COMMAND_TIMEOUT_MS}`);
+      }
+      step = { type: 'command', command: value.command, args: normalizeArgs(value.args, errors), timeoutMs };
+      break;
+    }
+    default:
+      errors.push(`Unknown step type "${value.type}" (expected one of: ${STEP_TYPES.join(', ')})`);
+  }
+
+  if (errors.length > 0) {
+    return { step: null, errors };
+  }
+  return { step, errors };
+}
+
+// Turn a config value into a key descriptor or an action list
+// { steps, label? }. Returns { mapping, errors } like normalizeAction.
+function normalizeMapping(value, options = {}) {
+  if (!isActionList(value)) {
+    const { action, errors } = normalizeAction(value);
+    return { mapping: action, errors };
+  }
+
+  const errors = [];
+  if (value.steps.length === 0 || value.steps.length > MAX_STEPS) {
+    errors.push(`"steps" must list 1 to ${MAX_STEPS} steps`);
+  }
+  if (value.label !== undefined && typeof value.label !== 'string') {
+    errors.push('"label" must be a string');
+  }
+
+  const steps = [];
+  value.steps.forEach((entry, index) => {
+    const result = normalizeStep(entry, options);
+    for (const error of result.errors) {
+      errors.push(`Step ${index + 1}: ${error}`);
+    }
+    steps.push(result.step);
+  });
+
+  if (errors.length > 0) {
+    return { mapping: null, errors };
+  }
+  const mapping = { steps };
+  if (value.label !== undefined) mapping.label = value.label;
+  return { mapping, errors };
+}
+
+// The steps a mapping runs; a key descriptor is a one-step list
+function getSteps(mapping) {
+  return isActionList(mapping) ? mapping.steps : [{ type: 'keys', keys: mapping }];
+}
+
+function shorten(text, length = 30) {
+  const singleLine = text.replace(/\s+/g, ' ');
+  return singleLine.length > length ? `${singleLine.slice(0, length - 1)}…` : singleLine;
+}
+
+// Human-readable form of one step, e.g. 'Type "Hello…"' or "Run say hi"
+function formatStep(step) {
+  switch (step.type) {
+    case 'keys': return formatAction(step.keys);
+    case 'text': return `Type "${shorten(step.text)}"`;
+    case 'delay': return `Wait ${step.ms} ms`;
+    case 'open': return `Open ${shorten(step.target, 40)}`;
+    case 'launch': return `Launch ${[step.app, ...step.args].join(' ')}`;
+    case 'command': return `Run ${shorten([step.command, ...step.args].join(' '), 40)}`;
+    default: return step.type;
+  }
+}
+
+function formatMapping(mapping) {
+  return isActionList(mapping) ? mapping.steps.map(formatStep).join(', ') : formatAction(mapping);
+}
+
+// Identity for conflict checks: the key chord for descriptors, the whole
+// list for action lists
+function mappingId(mapping) {
+  return isActionList(mapping) ? `steps:${JSON.stringify(mapping.steps)}` : comboId(mapping);
+}
+
+module.exports = {
+  STEP_TYPES,
+  isActionList,
+  isLocalOpenTarget,
+  normalizeStep,
+  normalizeMapping,
+  getSteps,
+  formatStep,
+  formatMapping,
+  mappingId
+};
@@ -0,0 +1,112 @@
+// Pausing and arming, so a hand that's only talking or scratching a head
+// doesn't send keys. A global shortcut pauses and resumes recognition, and
+// with a wake gesture set, gestures only run actions for armedSeconds after
+// the wake gesture was shown:
+//   "activation": { "pauseShortcut": "CommandOrControl+Alt+P", "wakeGesture": "Victory Sign", "armedSeconds": 10 }
+// main.js owns the state and pushes it to the renderer.
+
+const DEFAULT_ACTIVATION_SETTINGS = {
+  // An Electron accelerator; null turns the shortcut off
+  pauseShortcut: 'CommandOrControl+Alt+P',
+  // A gesture name such as "Victory Sign" or "Left Palm"; null means gestures
+  // are always accepted
+  wakeGesture: null,
+  armedSeconds: 10
+};
+
+const MAX_ARMED_SECONDS = 600;
+
+function getActivationSettings(settings) {
+  return { ...DEFAULT_ACTIVATION_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `activation` section of a config
+function validateActivationSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"activation" must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!(name in DEFAULT_ACTIVATION_SETTINGS)) {
+      errors.push(`"activation": unknown setting "${name}"`);
+    } else if (name === 'armedSeconds') {
+      if (!Number.isFinite(value) || value <= 0 || value > MAX_ARMED_SECONDS) {
+        errors.push(`"activation": "armedSeconds" must be more than 0 and at most ${MAX_ARMED_SECONDS}`);
+      }
+    } else if (value !== null && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push(`"activation": "${name}" must be a non-empty string or null`);
+    }
+  }
+  return errors;
+}
+
+// `onChange(state)` is called whenever the state returned by getState changes,
+// including when the armed period runs out
+function createActivation({ settings, onChange = () => {} } = {}) {
+  const config = getActivationSettings(settings);
+  let paused = false;
+  let armedUntil = 0;
+  let disarmTimer = null;
+
+  function getState(now = Date.now()) {
+    const arming = Boolean(config.wakeGesture);
+    const armed = arming && now < armedUntil;
+    return {
+      paused,
+      arming,
+      armed,
+      armedUntil: armed ? armedUntil : null,
+      wakeGesture: config.wakeGesture,
+      // Whether gestures should run their actions right now
+      accepting: !paused && (!arming || armed)
+    };
+  }
+
+  function disarm() {
+    clearTimeout(disarmTimer);
+    disarmTimer = null;
+    armedUntil = 0;
+  }
+
+  function setPaused(value) {
+    if (paused === Boolean(value)) return;
+    paused = Boolean(value);
+    // Resuming starts unarmed, like starting the app
+    disarm();
+    onChange(getState());
+  }
+
+  return {
+    getState,
+    setPaused,
+
+    togglePaused() {
+      setPaused(!paused);
+    },
+
+    // The wake gesture was shown: accept gestures for armedSeconds from now
+    wake(now = Date.now()) {
+      if (paused || !config.wakeGesture) return;
+      disarm();
+      armedUntil = now + config.armedSeconds * 1000;
+      disarmTimer = setTimeout(() => {
+        disarm();
+        onChange(getState());
+      }, config.armedSeconds * 1000);
+      onChange(getState(now));
+    },
+
+    dispose() {
+      disarm();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_ACTIVATION_SETTINGS,
+  getActivationSettings,
+  validateActivationSettings,
+  createActivation
+};
@@ -0,0 +1,211 @@
+// Air-mouse mode: the index fingertip drives the pointer. A quick pinch
+// clicks, a pinch held for dragHoldMs presses the button and drags until it
+// opens, and moving two extended fingers (index and middle) up or down
+// scrolls. Produces mouse events as described in mouse.js and, like the
+// other gesture modules, depends only on landmarks and timestamps.
+
+const { DEFAULT_THRESHOLDS, getFingerStates } = require('./gestures');
+const { MAX_SCROLL_LINES } = require('./mouse');
+
+const DEFAULT_AIR_MOUSE_SETTINGS = {
+  // Part of the camera image, as fractions of its width and height, that is
+  // stretched over the whole screen so corners can be reached comfortably
+  regionLeft: 0.2,
+  regionTop: 0.15,
+  regionRight: 0.8,
+  regionBottom: 0.75,
+  // 0 follows the fingertip exactly; closer to 1 is steadier but lags more
+  smoothing: 0.6,
+  // Thumb to index tip distance in palm lengths that starts a pinch, and the
+  // larger one that ends it, so a pinch at the threshold doesn't flicker
+  pinchDistance: 0.3,
+  pinchReleaseDistance: 0.45,
+  dragHoldMs: 400,
+  // Lines scrolled for a two-finger move across the region's full height
+  scrollSpeed: 30,
+  // Move the pointer the way the hand moves from the user's point of view,
+  // since the camera image isn't mirrored
+  mirror: true
+};
+
+// Pointer moves smaller than this (fraction of the screen) aren't sent
+const MIN_MOVE = 0.001;
+
+const MAX_SCROLL_SPEED = 500;
+
+function getAirMouseSettings(settings) {
+  return { ...DEFAULT_AIR_MOUSE_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `airMouse` section of a config
+function validateAirMouseSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"airMouse" must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!(name in DEFAULT_AIR_MOUSE_SETTINGS)) {
+      errors.push(`"airMouse": unknown setting "${name}"`);
+    } else if (name === 'mirror') {
+      if (typeof value !== 'boolean') errors.push('"airMouse": "mirror" must be true or false');
+    } else if (!Number.isFinite(value) || value < 0) {
+      errors.push(`"airMouse": "${name}" must be a number of at least 0`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const merged = getAirMouseSettings(settings);
+  if (merged.regionRight > 1 || merged.regionBottom > 1 ||
+      merged.regionLeft >= merged.regionRight || merged.regionTop >= merged.regionBottom) {
+    errors.push('"airMouse": the region must lie within 0 to 1 with left < right and top < bottom');
+  }
+  if (merged.smoothing >= 1) {
+    errors.push('"airMouse": "smoothing" must be below 1');
+  }
+  if (merged.scrollSpeed > MAX_SCROLL_SPEED) {
+    errors.push(`"airMouse": "scrollSpeed" must be at most ${MAX_SCROLL_SPEED}`);
+  }
+  if (merged.pinchReleaseDistance < merged.pinchDistance) {
+    errors.push('"airMouse": "pinchReleaseDistance" must be at least "pinchDistance"');
+  }
+  return errors;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+// `settings` is the config's airMouse section and `thresholds` the rule
+// thresholds in use (see calibration.js)
+function createAirMouse({ settings, thresholds = DEFAULT_THRESHOLDS } = {}) {
+  const config = getAirMouseSettings(settings);
+  const regionWidth = config.regionRight - config.regionLeft;
+  const regionHeight = config.regionBottom - config.regionTop;
+
+  let cursor = null;
+  let lastSent = null;
+  let mode = 'point';
+  let pinchStart = null;
+  let lastScrollY = null;
+  let scrollRemainder = 0;
+
+  // Camera position -> screen position through the active region
+  function toScreen(point) {
+    const x = clamp((point.x - config.regionLeft) / regionWidth);
+    const y = clamp((point.y - config.regionTop) / regionHeight);
+    return { x: config.mirror ? 1 - x : x, y };
+  }
+
+  function moveTo(point, events) {
+    const target = toScreen(point);
+    cursor = cursor
+      ? {
+        x: cursor.x + (target.x - cursor.x) * (1 - config.smoothing),
+        y: cursor.y + (target.y - cursor.y) * (1 - config.smoothing)
+      }
+      : target;
+    if (!lastSent || Math.hypot(cursor.x - lastSent.x, cursor.y - lastSent.y) >= MIN_MOVE) {
+      lastSent = cursor;
+      events.push({ type: 'move', x: cursor.x, y: cursor.y });
+    }
+  }
+
+  // End a pinch: a short one is a click, a long one ends the drag
+  function endPinch(events) {
+    if (mode === 'drag') {
+      events.push({ type: 'button', button: 'left', action: 'up' });
+    } else if (mode === 'pinch') {
+      events.push({ type: 'button', button: 'left', action: 'click' });
+    }
+    pinchStart = null;
+  }
+
+  return {
+    // Feed the pointer hand's landmarks and its features from
+    // computeHandFeatures; returns the mouse events to send, in order
+    update(landmarks, features, now) {
+      const events = [];
+      const pinching = features.pinchDistance <
+        (mode === 'pinch' || mode === 'drag' ? config.pinchReleaseDistance : config.pinchDistance);
+      const [, index, middle, ring, pinky] = getFingerStates(features, thresholds);
+      const twoFingers = !pinching && index === 'extended' && middle === 'extended' &&
+        ring !== 'extended' && pinky !== 'extended';
+
+      if (pinching) {
+        if (mode !== 'pinch' && mode !== 'drag') {
+          mode = 'pinch';
+          pinchStart = now;
+        } else if (mode === 'pinch' && now - pinchStart >= config.dragHoldMs) {
+          mode = 'drag';
+          events.push({ type: 'button', button: 'left', action: 'down' });
+        }
+        // The pointer stays put for a click so closing the fingers doesn't nudge it
+        if (mode === 'drag') {
+          moveTo(landmarks[8], events);
+        }
+        return events;
+      }
+
+      endPinch(events);
+
+      if (twoFingers) {
+        const y = (landmarks[8].y + landmarks[12].y) / 2;
+        if (mode === 'scroll' && lastScrollY !== null) {
+          scrollRemainder += (y - lastScrollY) / regionHeight * config.scrollSpeed;
+          // A fast move scrolls the most one event may, and the rest over
+          // the following frames
+          const lines = Math.max(-MAX_SCROLL_LINES, Math.min(MAX_SCROLL_LINES, Math.trunc(scrollRemainder)));
+          if (lines !== 0) {
+            scrollRemainder -= lines;
+            events.push({ type: 'scroll', dy: lines });
+          }
+        } else {
+          scrollRemainder = 0;
+        }
+        mode = 'scroll';
+        lastScrollY = y;
+        return events;
+      }
+
+      mode = 'point';
+      lastScrollY = null;
+      moveTo(landmarks[8], events);
+      return events;
+    },
+
+    // The hand is gone or the mode was switched off: let go of any held button
+    release() {
+      const events = [];
+      endPinch(events);
+      mode = 'point';
+      lastScrollY = null;
+      cursor = null;
+      lastSent = null;
+      return events;
+    },
+
+    // For the overlay: 'point', 'pinch', 'drag' or 'scroll', the pointer's
+    // screen position, and the active region in camera coordinates
+    getState() {
+      return {
+        mode,
+        cursor,
+        region: {
+          left: config.regionLeft,
+          top: config.regionTop,
+          right: config.regionRight,
+          bottom: config.regionBottom
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_AIR_MOUSE_SETTINGS,
+  getAirMouseSettings,
+  validateAirMouseSettings,
+  createAirMouse
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const http = require('http');
+const { isWebSocketUpgrade, acceptWebSocket } = require('./websocket');
+
+// Optional local API for other tools, such as presentation controllers, OBS
+// scripts or dashboards, that want to react to gestures without keystrokes:
+//   "api": { "enabled": true, "port": 8765, "token": "<at least 16 characters>",
+//            "allowedOrigins": ["http://localhost:3000"] }
+// It only listens on the loopback interface, and every request needs the
+// token as "Authorization: Bearer <token>". Browsers can't set headers on
+// WebSockets, so a WebSocket client may instead send
+// { "type": "auth", "token" } as its first message; until then it gets no
+// events. Tokens are never taken from the URL, where they end up in logs and
+// browser history. Web pages (requests with an Origin header) are refused
+// unless their origin is in allowedOrigins, so a page the user happens to
+// visit can't talk to the API.
+//
+//   GET  /events    WebSocket: JSON events as they happen, and requests as messages
+//   GET  /status    the active profile, its mapping names and the recognition state
+//   POST /gesture   { "gesture": "Palm", "hand": "Left" } acts as if the gesture was made
+//   POST /action    { "gesture": "Left Palm" } runs that mapping directly
+//
+// WebSocket clients send the same requests as messages with a "type" of
+// "gesture" or "action" and an optional "id", and get back
+// { "type": "response", "id", "ok", "error"? }.
+
+const HOST = '127.0.0.1';
+const DEFAULT_API_SETTINGS = {
+  enabled: false,
+  port: 8765,
+  token: null,
+  allowedOrigins: []
+};
+const MIN_TOKEN_LENGTH = 16;
+const MAX_BODY_BYTES = 16 * 1024;
+// WebSocket clients without the token header must send it this soon
+const AUTH_TIMEOUT_MS = 5000;
+// WebSocket close code for a missing or wrong token
+const CLOSE_POLICY_VIOLATION = 1008;
+
+function getApiSettings(settings) {
+  return { ...DEFAULT_API_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `api` section of a config
+function validateApiSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"api" must be an object'];
+  }
+
+  const errors = [];
+  for (const name of Object.keys(settings)) {
+    if (!(name in DEFAULT_API_SETTINGS)) {
+      errors.push(`"api": unknown setting "${name}"`);
+    }
+  }
+  const { enabled, port, token, allowedOrigins } = getApiSettings(settings);
+  if (typeof enabled !== 'boolean') {
+    errors.push('"api": "enabled" must be true or false');
+  }
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+    errors.push('"api": "port" must be a whole number from 1024 to 65535');
+  }
+  if (token !== null && (typeof token !== 'string' || token.length < MIN_TOKEN_LENGTH)) {
+    errors.push(`"api": "token" must be a string of at least ${MIN_TOKEN_LENGTH} characters`);
+  } else if (enabled === true && token === null) {
+    errors.push('"api": a "token" is required when the API is enabled');
+  }
+  if (!Array.isArray(allowedOrigins) || !allowedOrigins.every(isOrigin)) {
+    errors.push('"api": "allowedOrigins" must be a list of origins such as "http://localhost:3000"');
+  }
+  return errors;
+}
+
+// Compare without leaking how much of the token matched
+function tokensMatch(given, expected) {
+  if (typeof given !== 'string') return false;
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+// The token from the Authorization header, or null without one
+function getRequestToken(request) {
+  const header = request.headers.authorization;
+  if (typeof header === 'string' && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+  return null;
+}
+
+// An origin as browsers send it: scheme, host and port only
+function isOrigin(value) {
+  try {
+    return typeof value === 'string' && new URL(value).origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Tools outside a browser send no Origin header; pages always do
+function isAllowedOrigin(origin, allowedOrigins) {
+  return origin === undefined || allowedOrigins.includes(origin);
+}
+
+// Pages that resolve their own hostname to 127.0.0.1 (DNS rebinding) send
+// their hostname here; only loopback names are served
+function isLoopbackHost(host, port) {
+  return [`127.0.0.1:${port}`, `localhost:${port}`].includes(String(host).toLowerCase());
+}
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(new Error('Request body must be JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+// `handleRequest({ type, gesture, hand })` resolves to { ok: true, ... } or
+// { ok: false, status, error }; `getStatus()` returns the /status body.
+function createApiServer({ settings, handleRequest, getStatus }) {
+  const { port, token, allowedOrigins } = getApiSettings(settings);
+  // Connected WebSockets, and those of them that have given the token
+  const connections = new Set();
+  const clients = new Set();
+  let server = null;
+
+  async function respond(request) {
+    try {
+      return await handleRequest(request);
+    } catch (error) {
+      console.error('Error handling API request:', error);
+      return { ok: false, status: 500, error: error.message };
+    }
+  }
+
+  async function onHttpRequest(request, response) {
+    const url = new URL(request.url, `http://${HOST}:${port}`);
+    if (!isLoopbackHost(request.headers.host, port)) {
+      sendJson(response, 403, { ok: false, error: 'Forbidden host' });
+      return;
+    }
+    if (!isAllowedOrigin(request.headers.origin, allowedOrigins)) {
+      sendJson(response, 403, { ok: false, error: 'Forbidden origin' });
+      return;
+    }
+    if (!tokensMatch(getRequestToken(request), token)) {
+      sendJson(response, 401, { ok: false, error: 'Missing or wrong token' });
+      return;
+    }
+
+    const route = `${request.method} ${url.pathname}`;
+    if (route === 'GET /status') {
+      sendJson(response, 200, { ok: true, ...getStatus() });
+      return;
+    }
+    if (route !== 'POST /gesture' && route !== 'POST /action') {
+      sendJson(response, 404, { ok: false, error: `No route for ${route}` });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(request);
+    } catch (error) {
+      sendJson(response, 400, { ok: false, error: error.message });
+      return;
+    }
+    const { gesture, hand } = body && typeof body === 'object' ? body : {};
+    const { status = 200, ...result } = await respond({ type: url.pathname.slice(1), gesture, hand });
+    sendJson(response, status, result);
+  }
+
+  function onUpgrade(request, socket) {
+    const url = new URL(request.url, `http://${HOST}:${port}`);
+    const refuse = (status) => {
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+    };
+    if (url.pathname !== '/events' || !isWebSocketUpgrade(request)) return refuse(404);
+    if (!isLoopbackHost(request.headers.host, port)) return refuse(403);
+    if (!isAllowedOrigin(request.headers.origin, allowedOrigins)) return refuse(403);
+    const headerToken = getRequestToken(request);
+    if (headerToken !== null && !tokensMatch(headerToken, token)) return refuse(401);
+
+    let authTimer = null;
+    const client = acceptWebSocket(request, socket, {
+      onMessage: async (text) => {
+        let message;
+        try {
+          message = JSON.parse(text);
+        } catch (error) {
+          message = null;
+        }
+        const id = message && message.id;
+
+        // Without the header, the first message must be the token
+        if (!clients.has(client)) {
+          if (!message || message.type !== 'auth' || !tokensMatch(message.token, token)) {
+            client.close(CLOSE_POLICY_VIOLATION);
+            return;
+          }
+          clearTimeout(authTimer);
+          clients.add(client);
+          client.send(JSON.stringify({ type: 'response', id, ok: true }));
+          return;
+        }
+
+        if (!message) {
+          client.send(JSON.stringify({ type: 'response', ok: false, error: 'Message must be JSON' }));
+          return;
+        }
+        if (message.type !== 'gesture' && message.type !== 'action') {
+          client.send(JSON.stringify({ type: 'response', id, ok: false, error: '"type" must be "gesture" or "action"' }));
+          return;
+        }
+        const result = await respond({ type: message.type, gesture: message.gesture, hand: message.hand });
+        delete result.status;
+        client.send(JSON.stringify({ type: 'response', id, ...result }));
+      },
+      onClose: () => {
+        clearTimeout(authTimer);
+        connections.delete(client);
+        clients.delete(client);
+      }
+    });
+    connections.add(client);
+    if (headerToken !== null) {
+      clients.add(client);
+    } else {
+      authTimer = setTimeout(() => client.close(CLOSE_POLICY_VIOLATION), AUTH_TIMEOUT_MS);
+    }
+  }
+
+  return {
+    // Resolves once listening; rejects if the port is taken
+    start() {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(onHttpRequest);
+        server.on('upgrade', onUpgrade);
+        server.once('error', reject);
+        server.listen(port, HOST, () => {
+          server.off('error', reject);
+          server.on('error', error => console.error('API server error:', error));
+          resolve(`http://${HOST}:${port}`);
+        });
+      });
+    },
+
+    stop() {
+      for (const client of connections) client.close(1001);
+      connections.clear();
+      clients.clear();
+      if (server) server.close();
+      server = null;
+    },
+
+    // Send an event to every WebSocket client that has given the token
+    broadcast(event) {
+      const text = JSON.stringify(event);
+      for (const client of clients) client.send(text);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_API_SETTINGS,
+  getApiSettings,
+  validateApiSettings,
+  createApiServer
+};
@@ -0,0 +1,284 @@
+// Per-user calibration of the rule thresholds in gestures.js. The wizard has
+// the user hold a relaxed neutral pose and then each built-in pose while it
+// collects computeHandFeatures samples, derives thresholds that sit a margin
+// inside what this user's hand and camera produced, and saves them:
+//   "calibration": { "calibratedAt": "2024-05-01T10:00:00.000Z", "thresholds": { "pinchDistance": 0.31, ... } }
+// Thresholds that aren't listed keep their defaults.
+
+const { POSE_GESTURES, FINGER_NAMES, DEFAULT_THRESHOLDS, angleFromVertical, classifyFeatures } = require('./gestures');
+
+const NEUTRAL_POSE = 'Neutral';
+
+// The poses the wizard asks for, in order
+const CALIBRATION_STEPS = [NEUTRAL_POSE, ...POSE_GESTURES];
+
+// Fewer samples than this for a pose and it is left out of the calibration
+const MIN_CALIBRATION_SAMPLES = 10;
+
+// A pose is reported as ambiguous when fewer of its own samples than this are
+// recognized as it, and the neutral pose when more than 1 - this look like a gesture
+const MIN_MATCH_RATE = 0.8;
+
+// How far inside the user's 10th/90th percentile a threshold is placed
+const ANGLE_MARGIN = 10;
+const REACH_MARGIN = 0.1;
+const DIRECTION_MARGIN = 15;
+
+// Derived values are kept within these bounds whatever the samples say
+const THRESHOLD_LIMITS = {
+  fingerExtendedAngle: [120, 175],
+  fingerExtendedReach: [1.1, 2.5],
+  fingerCurledAngle: [60, 160],
+  fingerCurledReach: [0.8, 2],
+  thumbExtendedAngle: [100, 175],
+  thumbExtendedOutward: [-1, 0.8],
+  pinchDistance: [0.1, 0.8],
+  pinchIndexReach: [0.8, 1.6],
+  pointingUpAngle: [30, 80],
+  thumbVerticalAngle: [30, 80]
+};
+
+// The finger states (thumb first) each pose needs; null means either
+const EXPECTED_FINGER_STATES = {
+  'Palm': ['extended', 'extended', 'extended', 'extended', 'extended'],
+  'Closed Fist': ['curled', 'curled', 'curled', 'curled', 'curled'],
+  'Finger Gun': ['extended', 'extended', 'curled', 'curled', 'curled'],
+  'Thumbs Up': ['extended', 'curled', 'curled', 'curled', 'curled'],
+  'Thumbs Down': ['extended', 'curled', 'curled', 'curled', 'curled'],
+  'Pointing Up': ['curled', 'extended', 'curled', 'curled', 'curled'],
+  'Victory Sign': [null, 'extended', 'extended', 'curled', 'curled'],
+  'Three Fingers': [null, 'extended', 'extended', 'extended', 'curled'],
+  'Pinch': [null, null, 'curled', 'curled', 'curled'],
+  'Zoom Pinch': [null, null, 'extended', 'extended', 'extended']
+};
+
+const PINCH_GESTURES = ['Pinch', 'Zoom Pinch'];
+
+// The thresholds to classify with: the calibrated ones over the defaults
+function getThresholds(calibration) {
+  return { ...DEFAULT_THRESHOLDS, ...(calibration && calibration.thresholds) };
+}
+
+// Returns a list of problems with the `calibration` section of a config
+function validateCalibration(calibration) {
+  if (calibration === undefined) return [];
+  if (!calibration || typeof calibration !== 'object' || Array.isArray(calibration)) {
+    return ['"calibration" must be an object'];
+  }
+
+  const errors = [];
+  for (const name of Object.keys(calibration)) {
+    if (name !== 'calibratedAt' && name !== 'thresholds') {
+      errors.push(`"calibration": unknown setting "${name}"`);
+    }
+  }
+  if (calibration.calibratedAt !== undefined && typeof calibration.calibratedAt !== 'string') {
+    errors.push('"calibration": "calibratedAt" must be a string');
+  }
+
+  const thresholds = calibration.thresholds;
+  if (thresholds === undefined) return errors;
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    errors.push('"calibration.thresholds" must be an object');
+    return errors;
+  }
+  for (const [name, value] of Object.entries(thresholds)) {
+    if (!(name in THRESHOLD_LIMITS)) {
+      errors.push(`"calibration.thresholds": unknown threshold "${name}"`);
+      continue;
+    }
+    const [min, max] = THRESHOLD_LIMITS[name];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`"calibration.thresholds": "${name}" must be between ${min} and ${max}`);
+    }
+  }
+  return errors;
+}
+
+// The value `fraction` (0..1) of the way through `values`, nearest rank
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1));
+  return sorted[index];
+}
+
+function clampThreshold(name, value) {
+  const [min, max] = THRESHOLD_LIMITS[name];
+  return Math.min(max, Math.max(min, value));
+}
+
+// Halfway between values that should pass (`above` the threshold) and
+// values that shouldn't, or null when the two overlap
+function splitThreshold(above, below) {
+  if (above.length === 0 || below.length === 0) return null;
+  const low = percentile(above, 0.1);
+  const high = percentile(below, 0.9);
+  return low > high ? (low + high) / 2 : null;
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Only the poses with enough samples, as [gesture, features[]]
+function usableSamples(samples) {
+  return Object.entries(samples).filter(([gesture, features]) =>
+    (gesture === NEUTRAL_POSE || EXPECTED_FINGER_STATES[gesture]) &&
+    Array.isArray(features) && features.length >= MIN_CALIBRATION_SAMPLES);
+}
+
+// Derive thresholds from `samples`, pose name -> computeHandFeatures results.
+// Returns only the thresholds the samples say something about; the others
+// are best left at their defaults.
+function deriveThresholds(samples) {
+  const poses = usableSamples(samples);
+  const values = {
+    extendedAngle: [], extendedReach: [], curledAngle: [], curledReach: [],
+    thumbExtendedAngle: [], thumbCurledAngle: [], thumbExtendedOutward: [], thumbCurledOutward: [],
+    pinchDistance: [], otherDistance: [], pinchIndexReach: [], fistIndexReach: [],
+    pointingUp: [], thumbVertical: []
+  };
+
+  for (const [gesture, featureList] of poses) {
+    const expected = EXPECTED_FINGER_STATES[gesture];
+    for (const features of featureList) {
+      if (expected) {
+        FINGER_NAMES.forEach((name, index) => {
+          const state = expected[index];
+          if (!state) return;
+          const finger = features.fingers[name];
+          if (name === 'thumb') {
+            const angle = Math.min(finger.lowerAngle, finger.upperAngle);
+            values[state === 'extended' ? 'thumbExtendedAngle' : 'thumbCurledAngle'].push(angle);
+            values[state === 'extended' ? 'thumbExtendedOutward' : 'thumbCurledOutward'].push(finger.handDirection.x);
+          } else {
+            values[`${state}Angle`].push(finger.lowerAngle);
+            values[`${state}Reach`].push(finger.reach);
+          }
+        });
+      }
+
+      // A fist's thumb often lies over the index finger; pinchIndexReach
+      // tells those apart rather than pinchDistance
+      if (PINCH_GESTURES.includes(gesture)) {
+        values.pinchDistance.push(features.pinchDistance);
+        values.pinchIndexReach.push(features.fingers.index.reach);
+      } else if (gesture === 'Closed Fist') {
+        values.fistIndexReach.push(features.fingers.index.reach);
+      } else if (gesture !== NEUTRAL_POSE) {
+        values.otherDistance.push(features.pinchDistance);
+      }
+      if (gesture === 'Pointing Up') {
+        values.pointingUp.push(angleFromVertical(features.fingers.index.direction));
+      }
+      if (gesture === 'Thumbs Up' || gesture === 'Thumbs Down') {
+        values.thumbVertical.push(angleFromVertical(features.fingers.thumb.direction, gesture === 'Thumbs Down'));
+      }
+    }
+  }
+
+  const thresholds = {};
+  const set = (name, value, digits) => {
+    if (value !== null && Number.isFinite(value)) {
+      thresholds[name] = round(clampThreshold(name, value), digits);
+    }
+  };
+
+  // A finger is extended when both measures clear their threshold, so those
+  // sit just below what extended fingers reached; a curled finger only needs
+  // one, so those sit just above what curled fingers reached but stay clear
+  // of the extended ones
+  if (values.extendedAngle.length > 0) {
+    set('fingerExtendedAngle', percentile(values.extendedAngle, 0.1) - ANGLE_MARGIN, 1);
+    set('fingerExtendedReach', percentile(values.extendedReach, 0.1) - REACH_MARGIN, 3);
+  }
+  if (values.curledAngle.length > 0) {
+    const extendedAngle = thresholds.fingerExtendedAngle || DEFAULT_THRESHOLDS.fingerExtendedAngle;
+    const extendedReach = thresholds.fingerExtendedReach || DEFAULT_THRESHOLDS.fingerExtendedReach;
+    set('fingerCurledAngle', Math.min(percentile(values.curledAngle, 0.9) + ANGLE_MARGIN, extendedAngle - ANGLE_MARGIN), 1);
+    set('fingerCurledReach', Math.min(percentile(values.curledReach, 0.9) + REACH_MARGIN, extendedReach - REACH_MARGIN), 3);
+  }
+
+  // The rest are single cut-offs between two groups of poses
+  set('thumbExtendedAngle', splitThreshold(values.thumbExtendedAngle, values.thumbCurledAngle), 1);
+  set('thumbExtendedOutward', splitThreshold(values.thumbExtendedOutward, values.thumbCurledOutward), 3);
+  set('pinchDistance', splitThreshold(values.otherDistance, values.pinchDistance), 3);
+  set('pinchIndexReach', splitThreshold(values.pinchIndexReach, values.fistIndexReach), 3);
+  if (values.pointingUp.length > 0) {
+    set('pointingUpAngle', percentile(values.pointingUp, 0.9) + DIRECTION_MARGIN, 1);
+  }
+  if (values.thumbVertical.length > 0) {
+    set('thumbVerticalAngle', percentile(values.thumbVertical, 0.9) + DIRECTION_MARGIN, 1);
+  }
+
+  return thresholds;
+}
+
+// Classify every sample with `thresholds` and report the poses that still
+// aren't reliable: [{ gesture, matchRate, confusedWith }], where
+// `confusedWith` is what its samples were most often taken for instead
+// ("Unknown" included). The neutral pose counts as a match when it's Unknown.
+// Poses with too few samples are reported with a matchRate of null.
+function findAmbiguousGestures(samples, thresholds) {
+  const problems = [];
+  for (const gesture of CALIBRATION_STEPS) {
+    const featureList = samples[gesture];
+    if (!Array.isArray(featureList) || featureList.length < MIN_CALIBRATION_SAMPLES) {
+      problems.push({ gesture, matchRate: null, confusedWith: null });
+      continue;
+    }
+
+    const target = gesture === NEUTRAL_POSE ? 'Unknown' : gesture;
+    const counts = new Map();
+    let matches = 0;
+    for (const features of featureList) {
+      const result = classifyFeatures(features, thresholds);
+      if (result === target) {
+        matches++;
+      } else {
+        counts.set(result, (counts.get(result) || 0) + 1);
+      }
+    }
+
+    const matchRate = matches / featureList.length;
+    if (matchRate < MIN_MATCH_RATE) {
+      const [confusedWith] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+      problems.push({ gesture, matchRate: round(matchRate, 2), confusedWith });
+    }
+  }
+  return problems;
+}
+
+// Human-readable form of a findAmbiguousGestures entry
+function describeAmbiguity({ gesture, matchRate, confusedWith }) {
+  if (matchRate === null) {
+    return `${gesture}: not enough samples (keep your hand in view)`;
+  }
+  const percent = Math.round(matchRate * 100);
+  if (gesture === NEUTRAL_POSE) {
+    return `Your relaxed hand was taken for ${confusedWith} (${100 - percent}% of samples)`;
+  }
+  return `${gesture}: recognized in ${percent}% of samples, otherwise mostly as ${confusedWith}`;
+}
+
+// Everything the wizard saves; `now` is the time of calibration
+function calibrate(samples, now = new Date()) {
+  const thresholds = deriveThresholds(samples);
+  return {
+    calibration: { calibratedAt: now.toISOString(), thresholds },
+    ambiguous: findAmbiguousGestures(samples, getThresholds({ thresholds }))
+  };
+}
+
+module.exports = {
+  NEUTRAL_POSE,
+  CALIBRATION_STEPS,
+  MIN_CALIBRATION_SAMPLES,
+  getThresholds,
+  validateCalibration,
+  deriveThresholds,
+  findAmbiguousGestures,
+  describeAmbiguity,
+  calibrate
+};
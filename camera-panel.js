@@ -0,0 +1,155 @@
+// Camera section of the Settings panel: which camera to use, its resolution,
+// mirroring, and MediaPipe's tracking options. Saved to the config's camera
+// section (see camera-settings.js), except the model, which is the
+// performance section's modelComplexity.
+
+const { CAMERA_RESOLUTIONS, getCameraSettings } = window.gestureApp.cameraSettings;
+const { getPerformanceSettings } = window.gestureApp.performance;
+
+const MODEL_LABELS = {
+  0: 'Fast (lite model)',
+  1: 'Accurate (full model)'
+};
+
+function labelled(text, control) {
+  const label = document.createElement('label');
+  label.className = 'camera-setting';
+  label.append(`${text} `, control);
+  return label;
+}
+
+function numberInput(min, max, step) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  Object.assign(input, { min, max, step });
+  return input;
+}
+
+// `onSave(camera, performance)` resolves to { ok, errors } like the other
+// settings handlers in main.js
+function createCameraPanel(container, { onSave }) {
+  let camera = getCameraSettings();
+  // The config's performance section as saved, so only the model changes
+  let performance = {};
+
+  const deviceSelect = document.createElement('select');
+  const resolutionSelect = document.createElement('select');
+  const mirrorCheckbox = document.createElement('input');
+  mirrorCheckbox.type = 'checkbox';
+  const handsInput = numberInput(1, 4, 1);
+  const modelSelect = document.createElement('select');
+  for (const [value, label] of Object.entries(MODEL_LABELS)) {
+    modelSelect.appendChild(new Option(label, value));
+  }
+  const detectionInput = numberInput(0, 1, 0.05);
+  const trackingInput = numberInput(0, 1, 0.05);
+  const applyButton = document.createElement('button');
+  applyButton.textContent = 'Apply';
+  const status = document.createElement('p');
+  status.className = 'camera-status';
+
+  container.append(
+    labelled('Camera', deviceSelect),
+    labelled('Resolution', resolutionSelect),
+    labelled('Mirror preview', mirrorCheckbox),
+    labelled('Hands', handsInput),
+    labelled('Model', modelSelect),
+    labelled('Detection confidence', detectionInput),
+    labelled('Tracking confidence', trackingInput),
+    applyButton,
+    status
+  );
+
+  // Device labels are only available once the app may use the camera, so
+  // this is called again after it starts
+  async function refreshDevices() {
+    let devices = [];
+    try {
+      devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+    } catch (error) {
+      console.error('Could not list cameras:', error);
+    }
+
+    deviceSelect.innerHTML = '';
+    deviceSelect.appendChild(new Option('System default', ''));
+    devices.forEach((device, index) => {
+      deviceSelect.appendChild(new Option(device.label || `Camera ${index + 1}`, device.deviceId));
+    });
+    if (camera.deviceId && !devices.some(device => device.deviceId === camera.deviceId)) {
+      deviceSelect.appendChild(new Option('Saved camera (not connected)', camera.deviceId));
+    }
+    deviceSelect.value = camera.deviceId || '';
+  }
+
+  function renderResolutions() {
+    const resolutions = CAMERA_RESOLUTIONS.slice();
+    if (!resolutions.some(([width, height]) => width === camera.width && height === camera.height)) {
+      resolutions.push([camera.width, camera.height]);
+    }
+    resolutionSelect.innerHTML = '';
+    for (const [width, height] of resolutions) {
+      resolutionSelect.appendChild(new Option(`${width} × ${height}`, `${width}x${height}`));
+    }
+    resolutionSelect.value = `${camera.width}x${camera.height}`;
+  }
+
+  function render() {
+    renderResolutions();
+    deviceSelect.value = camera.deviceId || '';
+    mirrorCheckbox.checked = camera.mirror;
+    handsInput.value = camera.maxNumHands;
+    modelSelect.value = String(getPerformanceSettings(performance).modelComplexity);
+    detectionInput.value = camera.minDetectionConfidence;
+    trackingInput.value = camera.minTrackingConfidence;
+  }
+
+  applyButton.addEventListener('click', async () => {
+    const [width, height] = resolutionSelect.value.split('x').map(Number);
+    const newCamera = {
+      deviceId: deviceSelect.value || null,
+      width,
+      height,
+      mirror: mirrorCheckbox.checked,
+      maxNumHands: Number(handsInput.value),
+      minDetectionConfidence: Number(detectionInput.value),
+      minTrackingConfidence: Number(trackingInput.value)
+    };
+    const newPerformance = { ...performance, modelComplexity: Number(modelSelect.value) };
+
+    try {
+      const result = await onSave(newCamera, newPerformance);
+      if (!result.ok) {
+        status.textContent = `Not saved: ${result.errors.join('; ')}`;
+        return;
+      }
+      camera = newCamera;
+      performance = newPerformance;
+      status.textContent = 'Saved';
+    } catch (error) {
+      status.textContent = `Could not save: ${error.message}`;
+    }
+  });
+
+  navigator.mediaDevices.addEventListener('devicechange', refreshDevices);
+
+  render();
+  refreshDevices();
+
+  return {
+    // `newCamera` and `newPerformance` are the config's sections as saved
+    setSettings(newCamera, newPerformance) {
+      camera = getCameraSettings(newCamera);
+      performance = newPerformance || {};
+      render();
+      refreshDevices();
+    },
+
+    refreshDevices,
+
+    setStatus(text) {
+      status.textContent = text;
+    }
+  };
+}
+
+export { createCameraPanel };
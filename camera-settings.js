@@ -0,0 +1,73 @@
+// Which camera to use and how MediaPipe tracks hands in it, from the Camera
+// section of the Settings panel:
+//   "camera": { "deviceId": null, "width": 640, "height": 480, "mirror": false,
+//               "maxNumHands": 2, "minDetectionConfidence": 0.5, "minTrackingConfidence": 0.5 }
+// MediaPipe's model complexity is part of the performance section (see
+// performance-settings.js), since it changes when tracking goes idle.
+
+const DEFAULT_CAMERA_SETTINGS = {
+  // A deviceId from enumerateDevices; null for the system's default camera
+  deviceId: null,
+  // Requested resolution; the camera may pick the closest one it supports
+  width: 640,
+  height: 480,
+  // Show the preview like a mirror. Landmarks aren't affected, but swipe and
+  // circle directions follow the preview.
+  mirror: false,
+  maxNumHands: 2,
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+// Resolutions offered in the Settings panel, as [width, height]
+const CAMERA_RESOLUTIONS = [
+  [320, 240],
+  [640, 480],
+  [960, 540],
+  [1280, 720],
+  [1920, 1080]
+];
+
+const MAX_WIDTH = 3840;
+const MAX_HEIGHT = 2160;
+const MAX_HANDS = 4;
+
+function getCameraSettings(settings) {
+  return { ...DEFAULT_CAMERA_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `camera` section of a config
+function validateCameraSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"camera" must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!(name in DEFAULT_CAMERA_SETTINGS)) {
+      errors.push(`"camera": unknown setting "${name}"`);
+    } else if (name === 'deviceId') {
+      if (value !== null && (typeof value !== 'string' || value === '')) {
+        errors.push('"camera": "deviceId" must be a device ID or null');
+      }
+    } else if (name === 'mirror') {
+      if (typeof value !== 'boolean') errors.push('"camera": "mirror" must be true or false');
+    } else if (name === 'width' || name === 'height' || name === 'maxNumHands') {
+      const max = { width: MAX_WIDTH, height: MAX_HEIGHT, maxNumHands: MAX_HANDS }[name];
+      if (!Number.isInteger(value) || value < 1 || value > max) {
+        errors.push(`"camera": "${name}" must be a whole number from 1 to ${max}`);
+      }
+    } else if (!Number.isFinite(value) || value < 0 || value > 1) {
+      errors.push(`"camera": "${name}" must be between 0 and 1`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_CAMERA_SETTINGS,
+  CAMERA_RESOLUTIONS,
+  getCameraSettings,
+  validateCameraSettings
+};
@@ -0,0 +1,51 @@
+// Opening the camera from the app's pages. Both the preview in the main
+// window and hand tracking in the inference window open the same device, so
+// they share this. `settings` are full camera settings (see camera-settings.js).
+
+function getVideoConstraints(settings, { anyDevice = false } = {}) {
+  const constraints = { width: { ideal: settings.width }, height: { ideal: settings.height } };
+  if (settings.deviceId && !anyDevice) {
+    constraints.deviceId = { exact: settings.deviceId };
+  }
+  return constraints;
+}
+
+// Resolves to { stream, fallback }. A chosen camera that has been unplugged
+// or renamed falls back to the default one, with `fallback` set.
+async function openCamera(settings) {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints(settings) });
+    return { stream, fallback: false };
+  } catch (error) {
+    const missing = error.name === 'NotFoundError' || error.name === 'OverconstrainedError';
+    if (!settings.deviceId || !missing) throw error;
+    const stream = await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints(settings, { anyDevice: true }) });
+    return { stream, fallback: true };
+  }
+}
+
+// Call `onLost` if the camera behind `stream` goes away, e.g. when it's unplugged
+function watchCamera(stream, onLost) {
+  for (const track of stream.getVideoTracks()) {
+    track.addEventListener('ended', onLost, { once: true });
+  }
+}
+
+// What to tell the user when the camera can't be opened
+function describeCameraError(error) {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access was denied. Allow this app to use the camera in your system privacy settings, then start the camera again.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera was found. Connect one, then start the camera again.';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'The camera is in use by another application or could not be started.';
+    default:
+      return `The camera could not be started: ${error ? error.message : 'unknown error'}`;
+  }
+}
+
+export { openCamera, watchCamera, describeCameraError };
@@ -0,0 +1,91 @@
+// k-nearest-neighbours classifier for user-taught gestures. Samples are hand
+// landmarks translated to the wrist and scaled by palm length, so they don't
+// depend on where the hand is in the frame or how close it is to the camera.
+// Orientation is kept on purpose: Thumbs Up and Thumbs Down differ only by it.
+
+const LANDMARK_COUNT = 21;
+const SAMPLE_LENGTH = LANDMARK_COUNT * 3;
+
+const DEFAULT_K = 5;
+// Mean per-landmark distance, in palm lengths, beyond which nothing matches
+const DEFAULT_MAX_DISTANCE = 0.25;
+
+// Flatten landmarks into [x0, y0, z0, x1, ...] relative to the wrist, in palm lengths
+function normalizeLandmarks(landmarks) {
+  const wrist = landmarks[0];
+  const middleBase = landmarks[9];
+  const palmLength = Math.hypot(
+    middleBase.x - wrist.x,
+    middleBase.y - wrist.y,
+    (middleBase.z || 0) - (wrist.z || 0)
+  ) || 1;
+
+  const sample = [];
+  for (const point of landmarks) {
+    sample.push(
+      (point.x - wrist.x) / palmLength,
+      (point.y - wrist.y) / palmLength,
+      ((point.z || 0) - (wrist.z || 0)) / palmLength
+    );
+  }
+  return sample;
+}
+
+// Mean Euclidean distance between corresponding landmarks of two samples
+function sampleDistance(a, b) {
+  let total = 0;
+  for (let i = 0; i < SAMPLE_LENGTH; i += 3) {
+    total += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+  }
+  return total / LANDMARK_COUNT;
+}
+
+function isValidSample(sample) {
+  return Array.isArray(sample) && sample.length === SAMPLE_LENGTH && sample.every(Number.isFinite);
+}
+
+// `gestures` is [{ name, samples: [normalized sample, ...] }]
+function createKnnClassifier(gestures, { k = DEFAULT_K, maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const examples = [];
+  for (const gesture of gestures) {
+    for (const sample of gesture.samples) {
+      examples.push({ name: gesture.name, sample });
+    }
+  }
+
+  return {
+    size: examples.length,
+
+    // Returns { name, distance } for the majority of the k nearest samples
+    // within maxDistance, or null when no taught gesture is close enough
+    classify(landmarks) {
+      if (examples.length === 0) return null;
+      const sample = normalizeLandmarks(landmarks);
+
+      const nearest = examples
+        .map(example => ({ name: example.name, distance: sampleDistance(sample, example.sample) }))
+        .filter(candidate => candidate.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+      if (nearest.length === 0) return null;
+
+      const votes = {};
+      for (const candidate of nearest) {
+        votes[candidate.name] = (votes[candidate.name] || 0) + 1;
+      }
+      // Ties go to the name with the closest sample, since nearest is sorted
+      const winner = nearest.reduce((best, candidate) =>
+        votes[candidate.name] > votes[best.name] ? candidate : best
+      );
+      return { name: winner.name, distance: winner.distance };
+    }
+  };
+}
+
+module.exports = {
+  SAMPLE_LENGTH,
+  normalizeLandmarks,
+  sampleDistance,
+  isValidSample,
+  createKnnClassifier
+};
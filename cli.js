@@ -0,0 +1,78 @@
+const path = require('path');
+
+// Command-line flags, e.g.
+//   npm start -- --hidden --config=ci-config.json --replay=swipes.jsonl --dry-run
+// Flags with a value take it after "=". Electron and Chromium have flags of
+// their own, so unknown flags are left alone rather than rejected.
+
+const CLI_FLAGS = {
+  'dev': { description: 'Open DevTools for the app\'s windows and log each action to the console' },
+  'hidden': { description: 'Start in the tray, with the window hidden' },
+  'config': { value: 'file', description: 'Use this config file instead of the one in the user data directory' },
+  'profile': { value: 'name', description: 'Start with this profile selected, as if picked from the tray' },
+  'replay': { value: 'file', description: 'Replay a landmark recording instead of using the camera' },
+  'fast': { description: 'With --replay, replay as fast as possible' },
+  'dry-run': { description: 'Print actions as JSON lines instead of sending them; run no commands or plugins' },
+  'driver': { value: 'name', description: 'Keystroke driver: macos, linux or recording' },
+  'check-config': { description: 'Check the config file, print any problems and exit' },
+  'help': { description: 'Show this help and exit' }
+};
+
+// Process exit statuses
+const EXIT_CONFIG_ERROR = 1;
+const EXIT_USAGE_ERROR = 2;
+
+function toOptionName(flag) {
+  return flag.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+// Returns { options, errors }. `options` has a camelCase entry for every
+// flag in CLI_FLAGS: true/false, or the value (file paths made absolute)
+// or undefined for flags that take one.
+function parseCommandLine(argv, { cwd = process.cwd() } = {}) {
+  const options = {};
+  for (const [flag, spec] of Object.entries(CLI_FLAGS)) {
+    options[toOptionName(flag)] = spec.value ? undefined : false;
+  }
+
+  const errors = [];
+  for (const arg of argv) {
+    const match = /^--([\w-]+)(?:=(.*))?$/s.exec(arg);
+    if (!match || !CLI_FLAGS[match[1]]) continue;
+    const [, flag, value] = match;
+    const spec = CLI_FLAGS[flag];
+
+    if (!spec.value) {
+      if (value !== undefined) errors.push(`--${flag} doesn't take a value`);
+      else options[toOptionName(flag)] = true;
+    } else if (!value) {
+      errors.push(`--${flag} needs a value: --${flag}=<${spec.value}>`);
+    } else {
+      options[toOptionName(flag)] = spec.value === 'file' ? path.resolve(cwd, value) : value;
+    }
+  }
+
+  if (options.dryRun && options.driver && options.driver !== 'recording') {
+    errors.push('--dry-run prints actions instead of sending them, so it can\'t be combined with --driver');
+  }
+  if (options.fast && !options.replay) {
+    errors.push('--fast only applies to --replay');
+  }
+  return { options, errors };
+}
+
+function formatUsage() {
+  const lines = Object.entries(CLI_FLAGS).map(([flag, spec]) => {
+    const name = spec.value ? `--${flag}=<${spec.value}>` : `--${flag}`;
+    return `  ${name.padEnd(20)} ${spec.description}`;
+  });
+  return ['Usage: npm start -- [options]', '', 'Options:', ...lines].join('\n');
+}
+
+module.exports = {
+  CLI_FLAGS,
+  EXIT_CONFIG_ERROR,
+  EXIT_USAGE_ERROR,
+  parseCommandLine,
+  formatUsage
+};
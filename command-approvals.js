@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Commands, launches and local files to open from action lists only run once
+// the user has approved that exact program (or file) and argument list, for
+// that kind of step: approving a file to open doesn't let a command step run
+// it. Approvals live next to the mapping config, so editing a command's
+// arguments in the config asks again:
+//   { "version": 2, "approved": [{ "kind": "command", "command": "say", "args": ["done"] }] }
+// Version 1 entries have no kind and were all command steps.
+const APPROVALS_FILE_NAME = 'approved-commands.json';
+const APPROVALS_VERSION = 2;
+
+function getApprovalsPath(userDataPath) {
+  return path.join(userDataPath, APPROVALS_FILE_NAME);
+}
+
+function approvalKey(kind, command, args) {
+  return JSON.stringify([kind, command, ...args]);
+}
+
+// A missing or unreadable file means nothing is approved yet
+function loadApprovals(userDataPath) {
+  const filePath = getApprovalsPath(userDataPath);
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(parsed.approved)
+      ? parsed.approved
+        .filter(entry => entry && typeof entry.command === 'string' && Array.isArray(entry.args))
+        .map(entry => ({ kind: typeof entry.kind === 'string' ? entry.kind : 'command', command: entry.command, args: entry.args }))
+      : [];
+  } catch (error) {
+    console.error(`Could not read ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+function saveApprovals(userDataPath, approved) {
+  fs.mkdirSync(userDataPath, { recursive: true });
+  fs.writeFileSync(getApprovalsPath(userDataPath), JSON.stringify({ version: APPROVALS_VERSION, approved }, null, 2));
+}
+
+// `confirm(command, args, kind)` asks the user and resolves to true to allow
+// the command; allowed commands are remembered. `kind` is the step type that
+// asks (see action-runner.js). Repeating a gesture while its prompt is open
+// waits for the same answer instead of asking twice.
+function createCommandApprovals({ userDataPath, confirm }) {
+  const approved = loadApprovals(userDataPath);
+  const approvedKeys = new Set(approved.map(entry => approvalKey(entry.kind, entry.command, entry.args)));
+  const pending = new Map();
+
+  async function ask(command, args, kind, key) {
+    const allowed = await confirm(command, args, kind);
+    if (allowed) {
+      approved.push({ kind, command, args: [...args] });
+      approvedKeys.add(key);
+      try {
+        saveApprovals(userDataPath, approved);
+      } catch (error) {
+        console.error('Error saving command approvals:', error);
+      }
+    }
+    return allowed;
+  }
+
+  return {
+    // Resolves to true when the command may run
+    async approve(command, args, kind = 'command') {
+      const key = approvalKey(kind, command, args);
+      if (approvedKeys.has(key)) return true;
+      if (!pending.has(key)) {
+        pending.set(key, ask(command, args, kind, key).finally(() => pending.delete(key)));
+      }
+      return pending.get(key);
+    }
+  };
+}
+
+module.exports = {
+  getApprovalsPath,
+  createCommandApprovals
+};
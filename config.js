@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { normalizeMapping } = require('./actions');
+const { validateProfiles } = require('./profiles');
+const { validateGestureSettings } = require('./gesture-tracker');
+const { validateMotionSettings } = require('./motion');
+const { validateAirMouseSettings } = require('./air-mouse');
+const { validateSequences } = require('./sequences');
+const { validateActivationSettings } = require('./activation');
+const { validateApiSettings } = require('./api-server');
+const { validateCalibration } = require('./calibration');
+const { validatePerformanceSettings } = require('./performance-settings');
+const { validateCameraSettings } = require('./camera-settings');
+const { validateOverlaySettings } = require('./overlay-window');
+const { BUILT_IN_GESTURES } = require('./gestures');
+
+const CONFIG_FILE_NAME = 'gesture-config.json';
+const CONFIG_VERSION = 2;
+
+// Mappings used when the config file is missing or invalid. Values are key
+// descriptors (see keys.js); combo strings such as "Cmd+Shift+]" and action
+// lists (see actions.js) also work in the file.
+const DEFAULT_MAPPINGS = {
+  'Palm': { key: 'space', modifiers: [], repeat: 1, holdMs: 0 },
+  'Closed Fist': { key: 'escape', modifiers: [], repeat: 1, holdMs: 0 },
+  'Finger Gun': { key: 'tab', modifiers: [], repeat: 1, holdMs: 0 },
+  'Thumbs Up': { key: 'enter', modifiers: [], repeat: 1, holdMs: 0 },
+  'Victory Sign': { key: 'pageup', modifiers: [], repeat: 1, holdMs: 0 },
+  'Three Fingers': { key: 'pagedown', modifiers: [], repeat: 1, holdMs: 0 },
+  'Pinch': { key: 'left', modifiers: [], repeat: 1, holdMs: 0 },
+  'Zoom In': { key: '+', modifiers: ['cmd'], repeat: 1, holdMs: 0, label: 'Zoom In' },
+  'Zoom Out': { key: '-', modifiers: ['cmd'], repeat: 1, holdMs: 0, label: 'Zoom Out' }
+};
+
+// Version 1 used a handful of ad-hoc key names; 'up'/'down' meant Page Up/Down
+const V1_KEY_NAMES = {
+  'up': { key: 'pageup' },
+  'down': { key: 'pagedown' },
+  'zoom-in': { key: '+', modifiers: ['cmd'] },
+  'zoom-out': { key: '-', modifiers: ['cmd'] }
+};
+
+function getDefaultConfig() {
+  return {
+    version: CONFIG_VERSION,
+    mappings: JSON.parse(JSON.stringify(DEFAULT_MAPPINGS))
+  };
+}
+
+function getConfigPath(userDataPath) {
+  return path.join(userDataPath, CONFIG_FILE_NAME);
+}
+
+function migrateConfig(config) {
+  if (!config || config.version !== 1 || !config.mappings || typeof config.mappings !== 'object') {
+    return config;
+  }
+
+  const mappings = {};
+  for (const [gesture, mapping] of Object.entries(config.mappings)) {
+    const renamed = mapping && V1_KEY_NAMES[mapping.key];
+    mappings[gesture] = renamed ? { ...mapping, ...renamed } : mapping;
+  }
+  return { ...config, version: CONFIG_VERSION, mappings };
+}
+
+// Returns a list of human-readable problems, empty if the config is usable.
+// `options.pluginActions` holds the loaded plugins' step types (see
+// plugin-manager.js); with `options.requirePluginActions`, a step for any
+// other plugin type is a problem.
+function validateConfig(config, options = {}) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Config must be a JSON object'];
+  }
+
+  if (config.version !== CONFIG_VERSION) {
+    errors.push(`Unsupported config version: ${config.version}`);
+  }
+
+  errors.push(...validateMappings(config.mappings, options));
+  errors.push(...validateProfiles(config.profiles, mappings => validateMappings(mappings, options)));
+  errors.push(...validateGestureSettings(config.gestureSettings));
+  errors.push(...validateMotionSettings(config.motionSettings));
+  errors.push(...validateAirMouseSettings(config.airMouse));
+  errors.push(...validateSequences(config.sequences, BUILT_IN_GESTURES));
+  errors.push(...validateActivationSettings(config.activation));
+  errors.push(...validateApiSettings(config.api));
+  errors.push(...validateCalibration(config.calibration));
+  errors.push(...validatePerformanceSettings(config.performance));
+  errors.push(...validateCameraSettings(config.camera));
+  errors.push(...validateOverlaySettings(config.overlay));
+
+  return errors;
+}
+
+function validateMappings(mappings, options = {}) {
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    return ['"mappings" must be an object of gesture name to action'];
+  }
+
+  const errors = [];
+  for (const [gesture, mapping] of Object.entries(mappings)) {
+    for (const error of normalizeMapping(mapping, options).errors) {
+      errors.push(`Mapping for "${gesture}": ${error}`);
+    }
+  }
+  return errors;
+}
+
+function normalizeMappings(mappings, options) {
+  const normalized = {};
+  for (const [gesture, mapping] of Object.entries(mappings)) {
+    normalized[gesture] = normalizeMapping(mapping, options).mapping;
+  }
+  return normalized;
+}
+
+// Expand combo strings and fill in defaults so the renderer only sees
+// descriptors and normalized action lists.
+// Assumes the config already passed validateConfig.
+function normalizeConfig(config, options = {}) {
+  const normalized = { ...config, mappings: normalizeMappings(config.mappings, options) };
+  if (config.profiles) {
+    normalized.profiles = {};
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      normalized.profiles[name] = { ...profile, mappings: normalizeMappings(profile.mappings, options) };
+    }
+  }
+  return normalized;
+}
+
+// Load the config from the userData directory, writing the defaults on first
+// run so there is a file to edit. An unreadable or invalid file is left alone
+// and the defaults are used instead. Resolves to { config, raw, errors, path }:
+// `raw` is the file as written, for saving changes back in the user's own
+// notation, and null when the defaults are used instead of it.
+function loadConfig(userDataPath, options = {}) {
+  const configPath = getConfigPath(userDataPath);
+
+  if (!fs.existsSync(configPath)) {
+    const config = getDefaultConfig();
+    try {
+      saveConfig(userDataPath, config);
+    } catch (error) {
+      console.error('Error writing default config:', error);
+    }
+    return { config, raw: config, errors: [], path: configPath };
+  }
+
+  return loadConfigFile(configPath, options);
+}
+
+// Like loadConfig, for a config file named on the command line. A missing
+// file is an error rather than created with the defaults.
+function loadConfigFile(configPath, options = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    return { config: getDefaultConfig(), raw: null, errors: [`Could not read config: ${error.message}`], path: configPath };
+  }
+
+  parsed = migrateConfig(parsed);
+  const errors = validateConfig(parsed, options);
+  if (errors.length > 0) {
+    return { config: getDefaultConfig(), raw: null, errors, path: configPath };
+  }
+
+  return { config: normalizeConfig(parsed, options), raw: parsed, errors: [], path: configPath };
+}
+
+// Mappings from the editor arrive normalized. Keep the file's own notation,
+// such as "Cmd+Shift+]", for each mapping that still means the same thing.
+function keepMappingNotation(mappings, previous = {}, options = {}) {
+  const kept = {};
+  for (const [gesture, mapping] of Object.entries(mappings)) {
+    const old = previous[gesture];
+    const unchanged = old !== undefined &&
+      isDeepStrictEqual(normalizeMapping(old, options).mapping, normalizeMapping(mapping, options).mapping);
+    kept[gesture] = unchanged ? old : mapping;
+  }
+  return kept;
+}
+
+function saveConfig(userDataPath, config) {
+  saveConfigFile(getConfigPath(userDataPath), config);
+}
+
+function saveConfigFile(configPath, config) {
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+}
+
+module.exports = {
+  DEFAULT_MAPPINGS,
+  getDefaultConfig,
+  getConfigPath,
+  migrateConfig,
+  validateConfig,
+  validateMappings,
+  normalizeConfig,
+  keepMappingNotation,
+  loadConfig,
+  loadConfigFile,
+  saveConfig,
+  saveConfigFile
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidSample } = require('./classifier');
+
+// Taught gestures live in their own file next to the mapping config:
+//   { "version": 1, "gestures": [{ "name", "createdAt", "samples": [[63 numbers], ...] }] }
+const CUSTOM_GESTURES_FILE_NAME = 'custom-gestures.json';
+const CUSTOM_GESTURES_VERSION = 1;
+
+const MIN_SAMPLES = 10;
+const MAX_NAME_LENGTH = 40;
+
+function getCustomGesturesPath(userDataPath) {
+  return path.join(userDataPath, CUSTOM_GESTURES_FILE_NAME);
+}
+
+// `reservedNames` are the built-in gestures, which can't be shadowed
+function validateCustomGesture(gesture, reservedNames = []) {
+  if (!gesture || typeof gesture !== 'object' || Array.isArray(gesture)) {
+    return ['Gesture must be an object with a name and samples'];
+  }
+
+  const errors = [];
+  const name = gesture.name;
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    errors.push(`Name must be 1 to ${MAX_NAME_LENGTH} characters`);
+  } else if (reservedNames.includes(name)) {
+    errors.push(`"${name}" is a built-in gesture`);
+  }
+
+  if (!Array.isArray(gesture.samples) || gesture.samples.length < MIN_SAMPLES) {
+    errors.push(`At least ${MIN_SAMPLES} samples are needed (keep your hand in view while recording)`);
+  } else if (!gesture.samples.every(isValidSample)) {
+    errors.push('Samples must be normalized landmark lists');
+  }
+
+  return errors;
+}
+
+// A missing file means no custom gestures; an invalid one is reported and ignored
+function loadCustomGestures(userDataPath, reservedNames = []) {
+  const filePath = getCustomGesturesPath(userDataPath);
+  if (!fs.existsSync(filePath)) {
+    return { gestures: [], errors: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { gestures: [], errors: [`Could not read ${filePath}: ${error.message}`] };
+  }
+
+  if (!parsed || !Array.isArray(parsed.gestures)) {
+    return { gestures: [], errors: [`${filePath} has no "gestures" list`] };
+  }
+
+  const gestures = [];
+  const errors = [];
+  for (const gesture of parsed.gestures) {
+    const gestureErrors = validateCustomGesture(gesture, reservedNames);
+    if (gestureErrors.length > 0) {
+      errors.push(`Skipping custom gesture "${gesture && gesture.name}": ${gestureErrors.join('; ')}`);
+    } else {
+      gestures.push(gesture);
+    }
+  }
+  return { gestures, errors };
+}
+
+function serializeCustomGestures(gestures) {
+  return JSON.stringify({ version: CUSTOM_GESTURES_VERSION, gestures });
+}
+
+function saveCustomGestures(userDataPath, gestures) {
+  fs.mkdirSync(userDataPath, { recursive: true });
+  fs.writeFileSync(getCustomGesturesPath(userDataPath), serializeCustomGestures(gestures));
+}
+
+module.exports = {
+  MIN_SAMPLES,
+  validateCustomGesture,
+  loadCustomGestures,
+  serializeCustomGestures,
+  saveCustomGestures
+};
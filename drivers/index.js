@@ -0,0 +1,66 @@
+const { createMacDriver } = require('./macos');
+const { createLinuxDriver } = require('./linux');
+const { createRecordingDriver } = require('./recording');
+
+// Every driver exposes { name, sendKeys(action), sendMouse(event, { point }) },
+// where action is a key descriptor from keys.js and event a mouse event from
+// mouse.js (`point` is the target in screen pixels for moves). Both resolve
+// once the input has been sent.
+// Action-list steps (see actions.js) use typeText(text), openTarget(target),
+// launchApp(app, args) and runCommand(command, args, { timeoutMs }), which
+// resolves to { stdout, stderr, exitCode }.
+// Drivers that can see the desktop also implement getFocusedWindow(), which
+// resolves to { pid, app, title } for profile switching.
+const DRIVERS = {
+  macos: createMacDriver,
+  linux: createLinuxDriver,
+  recording: createRecordingDriver
+};
+
+function defaultDriverName(platform) {
+  if (platform === 'darwin') return 'macos';
+  if (platform === 'linux') return 'linux';
+  return null;
+}
+
+// Pick a driver by name, falling back to the one for this platform. Platforms
+// without a driver get one that rejects with a clear message.
+function createDriver(name, options = {}) {
+  const driverName = name || defaultDriverName(process.platform);
+  const factory = DRIVERS[driverName];
+
+  if (name && !factory) {
+    throw new Error(`Unknown keystroke driver "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  if (!factory) {
+    return {
+      name: 'unsupported',
+      async sendKeys() {
+        throw new Error(`Keyboard simulation is not supported on ${process.platform}`);
+      },
+      async sendMouse() {
+        throw new Error(`Mouse simulation is not supported on ${process.platform}`);
+      },
+      async typeText() {
+        throw new Error(`Typing text is not supported on ${process.platform}`);
+      },
+      async openTarget() {
+        throw new Error(`Opening files and URLs is not supported on ${process.platform}`);
+      },
+      async launchApp() {
+        throw new Error(`Launching applications is not supported on ${process.platform}`);
+      },
+      async runCommand() {
+        throw new Error(`Running commands is not supported on ${process.platform}`);
+      }
+    };
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  DRIVERS,
+  createDriver
+};
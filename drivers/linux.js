@@ -0,0 +1,71 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const { toXdotoolArgs, toXdotoolTextArgs, formatAction } = require('../keys');
+const { toXdotoolMouseArgs } = require('../mouse');
+const { runProgram, startProgram } = require('./process');
+
+// Keystrokes and mouse input through xdotool, which talks to the X server (or XWayland).
+// Files and URLs open through xdg-open.
+function createLinuxDriver({ command = 'xdotool' } = {}) {
+  function run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, (error, stdout) => {
+        if (error && error.code === 'ENOENT') {
+          reject(new Error(`${command} not found: install it to send keystrokes on Linux`));
+        } else if (error) {
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  return {
+    name: 'linux',
+
+    async sendKeys(action) {
+      const args = toXdotoolArgs(action);
+      if (!args) {
+        throw new Error(`Unsupported key on Linux: ${formatAction(action)}`);
+      }
+      await run(args);
+    },
+
+    async sendMouse(event, { point } = {}) {
+      await run(toXdotoolMouseArgs(event, { point }));
+    },
+
+    async typeText(text) {
+      await run(toXdotoolTextArgs(text));
+    },
+
+    async openTarget(target) {
+      await runProgram('xdg-open', [target]);
+    },
+
+    // `app` is a program on the PATH (or a path to one), e.g. "firefox"
+    async launchApp(app, args = []) {
+      await startProgram(app, args);
+    },
+
+    async runCommand(command, args = [], { timeoutMs } = {}) {
+      return runProgram(command, args, { timeoutMs });
+    },
+
+    // The app name is the process name of the window's owner, e.g. "firefox"
+    async getFocusedWindow() {
+      const output = await run(['getactivewindow', 'getwindowpid', 'getwindowname']);
+      const [pid, ...title] = output.trimEnd().split('\n');
+      let app = '';
+      try {
+        app = fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+      } catch (error) {
+        // The process may already be gone; match on the title alone
+      }
+      return { pid: Number(pid), app, title: title.join('\n') };
+    }
+  };
+}
+
+module.exports = { createLinuxDriver };
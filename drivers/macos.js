@@ -0,0 +1,77 @@
+const { execFile } = require('child_process');
+const { toMacScript, toMacTextScript, formatAction } = require('../keys');
+const { toMacMouseScript } = require('../mouse');
+const { runProgram } = require('./process');
+
+// Prints the frontmost app's pid, name and front window title, one per line
+const FOCUSED_WINDOW_SCRIPT = `tell application "System Events"
+  set frontApp to first application process whose frontmost is true
+  set windowTitle to ""
+  try
+    set windowTitle to name of front window of frontApp
+  end try
+  return (unix id of frontApp as text) & linefeed & name of frontApp & linefeed & windowTitle
+end tell`;
+
+// Keystrokes and mouse input through osascript. Needs the Accessibility permission for the
+// app (or the terminal running it).
+function createMacDriver() {
+  // Moves while a button is down have to be sent as drags
+  let heldButton = null;
+
+  function runScript({ language, script }) {
+    return new Promise((resolve, reject) => {
+      execFile('osascript', ['-l', language, '-e', script], (error, stdout) => {
+        if (error && error.message.includes('not allowed assistive access')) {
+          error.permissionDenied = true;
+        }
+        if (error) reject(error);
+        else resolve(stdout);
+      });
+    });
+  }
+
+  return {
+    name: 'macos',
+
+    async sendKeys(action) {
+      const macScript = toMacScript(action);
+      if (!macScript) {
+        throw new Error(`Unsupported key on macOS: ${formatAction(action)}`);
+      }
+      await runScript(macScript);
+    },
+
+    async sendMouse(event, { point } = {}) {
+      await runScript(toMacMouseScript(event, { point, heldButton }));
+      if (event.type === 'button') {
+        heldButton = event.action === 'down' ? event.button : null;
+      }
+    },
+
+    async typeText(text) {
+      await runScript(toMacTextScript(text));
+    },
+
+    async openTarget(target) {
+      await runProgram('open', [target]);
+    },
+
+    // `app` is an application name such as "Safari" or a path to a .app bundle
+    async launchApp(app, args = []) {
+      await runProgram('open', args.length > 0 ? ['-a', app, '--args', ...args] : ['-a', app]);
+    },
+
+    async runCommand(command, args = [], { timeoutMs } = {}) {
+      return runProgram(command, args, { timeoutMs });
+    },
+
+    async getFocusedWindow() {
+      const output = await runScript({ language: 'AppleScript', script: FOCUSED_WINDOW_SCRIPT });
+      const [pid, app, ...title] = output.trimEnd().split('\n');
+      return { pid: Number(pid), app, title: title.join('\n') };
+    }
+  };
+}
+
+module.exports = { createMacDriver };
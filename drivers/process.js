@@ -0,0 +1,46 @@
+const { execFile, spawn } = require('child_process');
+
+// Helpers for the drivers' action-list steps. Programs always run directly
+// with an argument list, never through a shell, so nothing in a step can be
+// interpreted as shell syntax.
+
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Run a program to completion. Resolves to { stdout, stderr, exitCode } and
+// rejects when it can't start, times out or exits non-zero.
+function runProgram(command, args, { timeoutMs } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: timeoutMs, maxBuffer: MAX_OUTPUT_BYTES, windowsHide: true }, (error, stdout, stderr) => {
+      if (error && error.code === 'ENOENT') {
+        reject(new Error(`${command} not found`));
+      } else if (error && error.killed) {
+        reject(new Error(`${command} timed out after ${timeoutMs} ms`));
+      } else if (error) {
+        const detail = String(stderr).trim().split('\n')[0];
+        reject(new Error(`${command} exited with code ${error.code}${detail ? `: ${detail}` : ''}`));
+      } else {
+        resolve({ stdout: String(stdout), stderr: String(stderr), exitCode: 0 });
+      }
+    });
+  });
+}
+
+// Start a program that keeps running on its own, such as an application.
+// Resolves once it has started.
+function startProgram(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+    child.once('error', (error) => {
+      reject(error.code === 'ENOENT' ? new Error(`${command} not found`) : error);
+    });
+    child.once('spawn', () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  runProgram,
+  startProgram
+};
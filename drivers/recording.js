@@ -0,0 +1,66 @@
+// Keeps output events in memory instead of touching the OS, so the
+// gesture -> keystroke, mouse and action-list path can run in CI without a
+// desktop session. Only the latest `maxEvents` are kept, so a long
+// --driver=recording session doesn't grow without limit.
+
+const DEFAULT_MAX_EVENTS = 1000;
+
+function createRecordingDriver({ onEvent, maxEvents = DEFAULT_MAX_EVENTS } = {}) {
+  const events = [];
+  let focusedWindow = null;
+
+  function record(event) {
+    const entry = { ...event, time: Date.now() };
+    events.push(entry);
+    if (events.length > maxEvents) {
+      events.splice(0, events.length - maxEvents);
+    }
+    if (onEvent) onEvent(entry);
+  }
+
+  return {
+    name: 'recording',
+    events,
+
+    async sendKeys(action) {
+      record({ type: 'keys', action });
+    },
+
+    async sendMouse(event, { point } = {}) {
+      record({ type: 'mouse', event, point });
+    },
+
+    async typeText(text) {
+      record({ type: 'text', text });
+    },
+
+    async openTarget(target) {
+      record({ type: 'open', target });
+    },
+
+    async launchApp(app, args = []) {
+      record({ type: 'launch', app, args });
+    },
+
+    // Commands are recorded, not run
+    async runCommand(command, args = []) {
+      record({ type: 'command', command, args });
+      return { stdout: '', stderr: '', exitCode: 0 };
+    },
+
+    async getFocusedWindow() {
+      return focusedWindow;
+    },
+
+    // Pretend another application has focus, e.g. to exercise profile switching
+    setFocusedWindow(window) {
+      focusedWindow = window;
+    },
+
+    clear() {
+      events.length = 0;
+    }
+  };
+}
+
+module.exports = { DEFAULT_MAX_EVENTS, createRecordingDriver };
@@ -0,0 +1,78 @@
+// Paces hand tracking in the inference window (see inference.js) by the
+// config's performance section, which main.js sends with defaults filled in
+// (see performance-settings.js). It only looks at timestamps, and runs in
+// the page itself so the sandboxed window's preload needn't load it.
+
+// FPS and latency are averaged over this much time
+const METRICS_WINDOW_MS = 2000;
+
+// `settings` is the config's performance section with defaults filled in.
+// Starts active, as if a hand had just been seen.
+function createFrameScheduler({ settings, now = Date.now() }) {
+  let lastHandSeen = now;
+  let idle = false;
+
+  function getState() {
+    return {
+      idle,
+      fps: idle ? settings.idleFps : settings.targetFps,
+      modelComplexity: idle ? settings.idleModelComplexity : settings.modelComplexity
+    };
+  }
+
+  return {
+    getState,
+
+    // Report whether the latest frame had a hand in it. Returns the new
+    // state when it switched between active and idle, otherwise null.
+    update(handSeen, now) {
+      if (handSeen) {
+        lastHandSeen = now;
+      }
+      const shouldIdle = now - lastHandSeen >= settings.idleAfterSeconds * 1000;
+      if (shouldIdle === idle) return null;
+      idle = shouldIdle;
+      return getState();
+    },
+
+    // How long to wait before the next frame, given when this one started
+    getDelay(startedAt, now) {
+      return Math.max(0, startedAt + 1000 / getState().fps - now);
+    }
+  };
+}
+
+// Rolling frame rate and per-frame detection latency
+function createFrameMetrics({ windowMs = METRICS_WINDOW_MS } = {}) {
+  // { time, latencyMs }, oldest first
+  let frames = [];
+
+  function prune(now) {
+    while (frames.length > 0 && now - frames[0].time > windowMs) {
+      frames.shift();
+    }
+  }
+
+  return {
+    record(latencyMs, now) {
+      frames.push({ time: now, latencyMs });
+      prune(now);
+    },
+
+    // { fps, latencyMs }, rounded for display; zeros before any frame
+    get(now) {
+      prune(now);
+      if (frames.length === 0) return { fps: 0, latencyMs: 0 };
+      const span = frames[frames.length - 1].time - frames[0].time;
+      const fps = span > 0 ? (frames.length - 1) * 1000 / span : 0;
+      const latencyMs = frames.reduce((sum, frame) => sum + frame.latencyMs, 0) / frames.length;
+      return { fps: Math.round(fps * 10) / 10, latencyMs: Math.round(latencyMs) };
+    },
+
+    reset() {
+      frames = [];
+    }
+  };
+}
+
+export { createFrameScheduler, createFrameMetrics };
@@ -0,0 +1,238 @@
+// Turns the frame-by-frame gesture stream of one hand into discrete events.
+// A gesture has to be seen for a few frames or a moment before it counts,
+// fires once when it starts and only fires again after the hand releases it
+// (another gesture or a neutral pose, itself held stably, or the hand leaving
+// the frame). A single misclassified frame therefore neither fires nor
+// re-arms a gesture.
+//
+// Each gesture can have two extra mappings under derived names:
+//   "Palm (Hold)"        repeats while Palm is held
+//   "Palm (Long Press)"  fires once Palm has been held for longPressMs; when
+//                        mapped, the plain "Palm" action waits for release
+//                        so a long press doesn't also trigger it
+
+const NEUTRAL_GESTURE = 'Unknown';
+
+const HOLD_SUFFIX = ' (Hold)';
+const LONG_PRESS_SUFFIX = ' (Long Press)';
+
+const DEFAULT_GESTURE_SETTINGS = {
+  // A gesture counts once it has been seen for this many consecutive frames
+  // or this many milliseconds, whichever comes first, so a low frame rate
+  // doesn't add stableFrames' worth of delay
+  stableFrames: 3,
+  stableMs: 100,
+  // Min time between two activations of the same gesture
+  cooldownMs: 1500,
+  longPressMs: 800,
+  // Delay before "(Hold)" starts repeating, then the time between repeats
+  repeatDelayMs: 500,
+  repeatIntervalMs: 250
+};
+
+function holdVariant(gesture) {
+  return gesture + HOLD_SUFFIX;
+}
+
+function longPressVariant(gesture) {
+  return gesture + LONG_PRESS_SUFFIX;
+}
+
+// Whether a mapping name is a "(Hold)" or "(Long Press)" variant of a gesture
+function isGestureVariant(name) {
+  return name.endsWith(HOLD_SUFFIX) || name.endsWith(LONG_PRESS_SUFFIX);
+}
+
+// "Palm (Hold)" -> "Palm"; plain gesture names are returned as they are
+function getBaseGesture(name) {
+  for (const suffix of [HOLD_SUFFIX, LONG_PRESS_SUFFIX]) {
+    if (name.endsWith(suffix)) return name.slice(0, -suffix.length);
+  }
+  return name;
+}
+
+// Defaults, then the config's `defaults`, then the gesture's own overrides
+function getGestureSettings(settings, gesture) {
+  const config = settings || {};
+  return {
+    ...DEFAULT_GESTURE_SETTINGS,
+    ...config.defaults,
+    ...(config.gestures && config.gestures[gesture])
+  };
+}
+
+function validateSettingsEntry(entry, where) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${where} must be an object`];
+  }
+  const errors = [];
+  for (const [name, value] of Object.entries(entry)) {
+    if (!(name in DEFAULT_GESTURE_SETTINGS)) {
+      errors.push(`${where}: unknown setting "${name}"`);
+    } else if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${where}: "${name}" must be a number of at least 0`);
+    }
+  }
+  return errors;
+}
+
+// Returns a list of problems with the `gestureSettings` section of a config:
+//   { "defaults": { ... }, "gestures": { "Palm": { "cooldownMs": 3000 } } }
+function validateGestureSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"gestureSettings" must be an object'];
+  }
+
+  const errors = [];
+  if (settings.defaults !== undefined) {
+    errors.push(...validateSettingsEntry(settings.defaults, '"gestureSettings.defaults"'));
+  }
+  if (settings.gestures !== undefined) {
+    if (!settings.gestures || typeof settings.gestures !== 'object' || Array.isArray(settings.gestures)) {
+      errors.push('"gestureSettings.gestures" must be an object of gesture name to settings');
+    } else {
+      for (const [gesture, entry] of Object.entries(settings.gestures)) {
+        errors.push(...validateSettingsEntry(entry, `Settings for "${gesture}"`));
+      }
+    }
+  }
+  return errors;
+}
+
+// `settings` is the config's gestureSettings. `hasMapping(name)` tells the
+// tracker which variants are mapped, so a gesture without a long-press action
+// fires straight away instead of waiting for release.
+function createGestureTracker({ settings, hasMapping = () => false } = {}) {
+  // The gesture seen in the latest frames and how long it has been seen
+  let candidate = null;
+  // The gesture the hand is currently holding, once it became stable
+  let active = null;
+  const lastActivated = {};
+
+  function enter(gesture, now, events) {
+    if (gesture === NEUTRAL_GESTURE) {
+      active = null;
+      return;
+    }
+
+    const gestureSettings = getGestureSettings(settings, gesture);
+    const last = lastActivated[gesture];
+    active = {
+      gesture,
+      since: now,
+      settings: gestureSettings,
+      // Entered too soon after the last activation: held, but does nothing
+      coolingDown: last !== undefined && now - last < gestureSettings.cooldownMs,
+      pressed: false,
+      longPressed: false,
+      nextRepeat: now + gestureSettings.repeatDelayMs
+    };
+
+    // Reported even while cooling down, for sequence matching
+    events.push({ type: 'enter', gesture, coolingDown: active.coolingDown });
+    if (active.coolingDown) return;
+
+    lastActivated[gesture] = now;
+    if (!hasMapping(longPressVariant(gesture))) {
+      active.pressed = true;
+      events.push({ type: 'press', gesture, name: gesture });
+    }
+  }
+
+  function hold(now, events) {
+    if (!active || active.coolingDown) return;
+    const { gesture, settings: gestureSettings } = active;
+
+    if (!active.pressed && !active.longPressed && now - active.since >= gestureSettings.longPressMs) {
+      active.longPressed = true;
+      events.push({ type: 'longPress', gesture, name: longPressVariant(gesture) });
+    }
+
+    if (hasMapping(holdVariant(gesture)) && now >= active.nextRepeat) {
+      active.nextRepeat = now + Math.max(gestureSettings.repeatIntervalMs, 1);
+      events.push({ type: 'hold', gesture, name: holdVariant(gesture) });
+    }
+  }
+
+  function release(now, events) {
+    if (!active) return;
+    const { gesture } = active;
+    // A short press of a gesture that also has a long-press action
+    if (!active.coolingDown && !active.pressed && !active.longPressed) {
+      events.push({ type: 'press', gesture, name: gesture });
+    }
+    events.push({ type: 'release', gesture });
+    active = null;
+  }
+
+  return {
+    // Feed the gesture classified for this hand in one frame (or
+    // NEUTRAL_GESTURE when the hand isn't visible). Returns the events it
+    // caused, in order: enter and release when a gesture becomes stable or
+    // ends, and press, hold and longPress with `name`, the mapping to run.
+    update(gesture, now) {
+      const seen = gesture || NEUTRAL_GESTURE;
+      if (candidate && candidate.gesture === seen) {
+        candidate.frames++;
+      } else {
+        candidate = { gesture: seen, since: now, frames: 1 };
+      }
+
+      const events = [];
+      const current = active ? active.gesture : NEUTRAL_GESTURE;
+      if (seen !== current) {
+        const { stableFrames, stableMs } = getGestureSettings(settings, seen);
+        if (candidate.frames >= stableFrames || now - candidate.since >= stableMs) {
+          release(now, events);
+          enter(seen, now, events);
+        }
+      }
+      hold(now, events);
+      return events;
+    },
+
+    // For display: the held gesture, whether it is cooling down, and how close
+    // a different gesture is to replacing it (0..1)
+    getState(now) {
+      const state = {
+        gesture: active ? active.gesture : null,
+        coolingDown: Boolean(active && active.coolingDown),
+        pending: null,
+        progress: 1
+      };
+      const current = active ? active.gesture : NEUTRAL_GESTURE;
+      if (candidate && candidate.gesture !== current) {
+        const { stableFrames, stableMs } = getGestureSettings(settings, candidate.gesture);
+        state.pending = candidate.gesture;
+        state.progress = Math.min(1, Math.max(
+          stableFrames > 0 ? candidate.frames / stableFrames : 1,
+          stableMs > 0 ? (now - candidate.since) / stableMs : 1
+        ));
+      }
+      return state;
+    },
+
+    // Forget everything, e.g. before replaying a recording whose timestamps
+    // are in the past
+    reset() {
+      candidate = null;
+      active = null;
+      for (const gesture of Object.keys(lastActivated)) {
+        delete lastActivated[gesture];
+      }
+    }
+  };
+}
+
+module.exports = {
+  NEUTRAL_GESTURE,
+  DEFAULT_GESTURE_SETTINGS,
+  holdVariant,
+  longPressVariant,
+  isGestureVariant,
+  getBaseGesture,
+  getGestureSettings,
+  validateGestureSettings,
+  createGestureTracker
+};
@@ -0,0 +1,274 @@
+// Rule-based hand pose classification. Everything here is a pure function of
+// MediaPipe's 21 normalized hand landmarks, so it can be used from the
+// renderer, replay tooling or plain Node without Electron or a camera.
+//
+// Rules work on features that don't depend on how far the hand is from the
+// camera or how it's tilted: distances are measured in palm lengths (wrist to
+// middle knuckle, including z) and finger bends as 3D joint angles. Only Thumbs
+// Up/Down and Pointing Up look at the image's vertical axis, since "up" is what
+// tells those apart.
+
+const { MOTION_GESTURES } = require('./motion');
+
+// Every pose detectGesture can return, other than "Unknown"
+const POSE_GESTURES = [
+  "Palm",
+  "Closed Fist",
+  "Finger Gun",
+  "Thumbs Up",
+  "Thumbs Down",
+  "Pointing Up",
+  "Victory Sign",
+  "Three Fingers",
+  "Pinch",
+  "Zoom Pinch"
+];
+
+// Every built-in gesture name: the poses, the two-handed zoom gestures that
+// the renderer derives from a pair of pinches, and the motions in motion.js
+const BUILT_IN_GESTURES = [...POSE_GESTURES, "Zoom In", "Zoom Out", ...MOTION_GESTURES];
+
+const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Landmark indices from knuckle to tip (thumb: CMC, MCP, IP, tip)
+const FINGER_JOINTS = {
+  thumb: [1, 2, 3, 4],
+  index: [5, 6, 7, 8],
+  middle: [9, 10, 11, 12],
+  ring: [13, 14, 15, 16],
+  pinky: [17, 18, 19, 20]
+};
+
+// Landmarks are normalized to the image's width and height separately, so x
+// (and z, which shares x's scale) is stretched by the aspect ratio before measuring
+const DEFAULT_ASPECT_RATIO = 640 / 480;
+
+const DEFAULT_THRESHOLDS = {
+  // Min lower joint angle (180 = straight) and min tip-to-wrist / knuckle-to-wrist
+  // ratio for a finger to count as extended
+  fingerExtendedAngle: 150,
+  fingerExtendedReach: 1.5,
+  // Below either of these a finger counts as curled
+  fingerCurledAngle: 120,
+  fingerCurledReach: 1.2,
+  // Min angle at both thumb joints, and how far the thumb may point back across
+  // the palm (-1 = straight at the pinky) and still count as extended
+  thumbExtendedAngle: 140,
+  thumbExtendedOutward: -0.2,
+  // Max thumb tip to index tip distance (palm lengths), and min index reach so a
+  // fist with the thumb over the index finger isn't a pinch
+  pinchDistance: 0.35,
+  pinchIndexReach: 1.05,
+  // Max deviation from straight up/down in the image, in degrees
+  pointingUpAngle: 45,
+  thumbVerticalAngle: 50
+};
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+function normalize(v) {
+  const size = length(v) || 1;
+  return { x: v.x / size, y: v.y / size, z: v.z / size };
+}
+
+function scale(v, factor) {
+  return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+// Angle in degrees at point2 between point1 and point3, in 3D when z is present
+function calculateAngle(point1, point2, point3) {
+  const a = subtract(point1, point2);
+  const b = subtract(point3, point2);
+  const cosine = dot(a, b) / ((length(a) * length(b)) || 1);
+  return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+}
+
+// 2D distance between two landmarks in normalized image coordinates
+function calculateDistance(point1, point2) {
+  return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
+}
+
+// Orthonormal axes anchored to the hand: `up` runs wrist to middle knuckle,
+// `across` runs pinky knuckle to index knuckle and `normal` points out of the
+// palm for either hand (MediaPipe's handedness tells us which way to flip it).
+function getHandFrame(points, handedness) {
+  const up = normalize(subtract(points[9], points[0]));
+  const rawAcross = subtract(points[5], points[17]);
+  const across = normalize(subtract(rawAcross, scale(up, dot(rawAcross, up))));
+  let normal = cross(across, up);
+  if (handedness === 'Left') {
+    normal = scale(normal, -1);
+  }
+  return { up, across, normal };
+}
+
+function toHandFrame(vector, frame) {
+  return {
+    x: dot(vector, frame.across),
+    y: dot(vector, frame.up),
+    z: dot(vector, frame.normal)
+  };
+}
+
+// Angle in degrees between a direction and straight up (or down) in the image
+function angleFromVertical(direction, pointingDown = false) {
+  const flat = Math.hypot(direction.x, direction.y) || 1;
+  const vertical = (pointingDown ? direction.y : -direction.y) / flat;
+  return Math.acos(Math.max(-1, Math.min(1, vertical))) * 180 / Math.PI;
+}
+
+// Distance- and rotation-invariant measurements of one hand. `handedness` is
+// MediaPipe's "Left"/"Right" label for the hand.
+function computeHandFeatures(landmarks, { handedness, aspectRatio = DEFAULT_ASPECT_RATIO } = {}) {
+  const points = landmarks.map(point => ({
+    x: point.x * aspectRatio,
+    y: point.y,
+    z: (point.z || 0) * aspectRatio
+  }));
+  const wrist = points[0];
+  const palmSize = length(subtract(points[9], wrist)) || 1;
+  const frame = getHandFrame(points, handedness);
+
+  const fingers = {};
+  for (const name of FINGER_NAMES) {
+    const [base, lower, upper, tip] = FINGER_JOINTS[name].map(index => points[index]);
+    // The thumb's CMC joint barely moves, so measure its direction from the MCP
+    const direction = normalize(subtract(tip, name === 'thumb' ? lower : base));
+    fingers[name] = {
+      // Bend at the first and second joints above the knuckle, 180 = straight
+      lowerAngle: calculateAngle(base, lower, upper),
+      upperAngle: calculateAngle(lower, upper, tip),
+      // How much further from the wrist the tip is than the knuckle
+      reach: length(subtract(tip, wrist)) / (length(subtract(base, wrist)) || 1),
+      direction,
+      handDirection: toHandFrame(direction, frame)
+    };
+  }
+
+  return {
+    handedness,
+    palmSize,
+    fingers,
+    palmNormal: frame.normal,
+    pinchDistance: length(subtract(points[4], points[8])) / palmSize
+  };
+}
+
+// 'extended', 'curled' or 'partial' for each finger, thumb first
+function getFingerStates(features, thresholds = DEFAULT_THRESHOLDS) {
+  return FINGER_NAMES.map(name => {
+    const finger = features.fingers[name];
+
+    // A tucked thumb is bent and lies across the palm toward the pinky
+    if (name === 'thumb') {
+      return finger.lowerAngle >= thresholds.thumbExtendedAngle &&
+        finger.upperAngle >= thresholds.thumbExtendedAngle &&
+        finger.handDirection.x >= thresholds.thumbExtendedOutward ? 'extended' : 'curled';
+    }
+
+    if (finger.lowerAngle >= thresholds.fingerExtendedAngle && finger.reach >= thresholds.fingerExtendedReach) {
+      return 'extended';
+    }
+    if (finger.lowerAngle < thresholds.fingerCurledAngle || finger.reach < thresholds.fingerCurledReach) {
+      return 'curled';
+    }
+    return 'partial';
+  });
+}
+
+function classifyFeatures(features, thresholds = DEFAULT_THRESHOLDS) {
+  const [thumb, index, middle, ring, pinky] = getFingerStates(features, thresholds);
+  const extended = state => state === 'extended';
+  const curled = state => state === 'curled';
+  const othersCurled = curled(middle) && curled(ring) && curled(pinky);
+
+  // Check for Victory Sign (index and middle fingers extended in a V shape)
+  if (extended(index) && extended(middle) && curled(ring) && curled(pinky)) {
+    return "Victory Sign";
+  }
+
+  // Check for Three Fingers Up (index, middle, and ring fingers extended)
+  if (extended(index) && extended(middle) && extended(ring) && curled(pinky)) {
+    return "Three Fingers";
+  }
+
+  // Check for finger gun (thumb out, index extended, other fingers curled)
+  if (extended(thumb) && extended(index) && othersCurled) {
+    return "Finger Gun";
+  }
+
+  // Check for pointing up (only the index extended, pointing up in the image)
+  if (!extended(thumb) && extended(index) && othersCurled &&
+      angleFromVertical(features.fingers.index.direction) <= thresholds.pointingUpAngle) {
+    return "Pointing Up";
+  }
+
+  // Check for general pinch gesture (thumb and index finger tips together)
+  // Used for both single-hand pinch and two-hand zoom gestures
+  if (features.pinchDistance < thresholds.pinchDistance &&
+      features.fingers.index.reach >= thresholds.pinchIndexReach) {
+    // Different types of pinch depending on other fingers
+    return othersCurled ? "Pinch" : "Zoom Pinch";
+  }
+
+  // Check for palm (all fingers extended)
+  if ([thumb, index, middle, ring, pinky].every(extended)) {
+    return "Palm";
+  }
+
+  // Check for closed fist (all fingers curled)
+  if (!extended(thumb) && curled(index) && othersCurled) {
+    return "Closed Fist";
+  }
+
+  // Check for thumbs up/down (only thumb extended, pointing up or down)
+  if (extended(thumb) && curled(index) && othersCurled) {
+    if (angleFromVertical(features.fingers.thumb.direction) <= thresholds.thumbVerticalAngle) {
+      return "Thumbs Up";
+    }
+    if (angleFromVertical(features.fingers.thumb.direction, true) <= thresholds.thumbVerticalAngle) {
+      return "Thumbs Down";
+    }
+  }
+
+  // No recognized gesture
+  return "Unknown";
+}
+
+// Classify one hand's landmarks into a gesture name, or "Unknown"
+function detectGesture(landmarks, { handedness, aspectRatio, thresholds = DEFAULT_THRESHOLDS } = {}) {
+  return classifyFeatures(computeHandFeatures(landmarks, { handedness, aspectRatio }), thresholds);
+}
+
+module.exports = {
+  POSE_GESTURES,
+  BUILT_IN_GESTURES,
+  FINGER_NAMES,
+  FINGER_JOINTS,
+  DEFAULT_THRESHOLDS,
+  angleFromVertical,
+  calculateAngle,
+  calculateDistance,
+  computeHandFeatures,
+  getFingerStates,
+  classifyFeatures,
+  detectGesture
+};
@@ -0,0 +1,148 @@
+// Everything the main window works out from a frame's landmarks: each hand's
+// side, features, finger states and gesture, its swipes and circles, and the
+// air mouse's pointer events. It runs in preload.js, and renderer.js makes
+// one call per frame, so the landmarks cross into the page's world once
+// rather than once for every module that reads them.
+
+const { computeHandFeatures, getFingerStates, classifyFeatures } = require('./gestures');
+const { normalizeLandmarks, createKnnClassifier } = require('./classifier');
+const { getThresholds } = require('./calibration');
+const { createMotionDetector } = require('./motion');
+const { createAirMouse } = require('./air-mouse');
+const { getHandSide } = require('./hand-mappings');
+
+function createHandAnalyzer() {
+  let thresholds = getThresholds();
+  let customClassifier = createKnnClassifier([]);
+  let motionSettings = {};
+  let mirrored = false;
+  // Palm trajectories, keyed like the page's gesture trackers
+  const motionDetectors = new Map();
+  let airMouseSettings = {};
+  let airMouse = null;
+
+  function getMotionDetector(key, aspectRatio) {
+    if (!motionDetectors.has(key)) {
+      motionDetectors.set(key, createMotionDetector({ settings: motionSettings, aspectRatio, mirrored }));
+    }
+    return motionDetectors.get(key);
+  }
+
+  // A confident match against a taught gesture wins, since the user taught
+  // it deliberately; otherwise fall back to the built-in rules
+  function classifyHand(landmarks, features) {
+    const custom = customClassifier.classify(landmarks);
+    return custom ? custom.name : classifyFeatures(features, thresholds);
+  }
+
+  // Let go of anything the air mouse holds and start it afresh, so it reads
+  // the hand with the current thresholds and settings
+  function restartAirMouse(enabled) {
+    const events = airMouse ? airMouse.release() : [];
+    airMouse = enabled ? createAirMouse({ settings: airMouseSettings, thresholds }) : null;
+    return events;
+  }
+
+  return {
+    // Any of `thresholds` (from calibration.js), `customGestures`,
+    // `motionSettings`, `mirrored` and `airMouseSettings` (the config's
+    // airMouse section). Changing how motion is read starts the
+    // trajectories afresh, and new thresholds or air-mouse settings restart
+    // the air mouse if it's on. Returns the events letting go of anything
+    // it held.
+    configure(options) {
+      if (options.thresholds) {
+        thresholds = options.thresholds;
+      }
+      if (options.airMouseSettings) {
+        airMouseSettings = options.airMouseSettings;
+      }
+      if (options.customGestures) {
+        customClassifier = createKnnClassifier(options.customGestures);
+      }
+      if (options.motionSettings || options.mirrored !== undefined) {
+        motionSettings = options.motionSettings || motionSettings;
+        mirrored = options.mirrored !== undefined ? options.mirrored : mirrored;
+        motionDetectors.clear();
+      }
+      return (options.thresholds || options.airMouseSettings) && airMouse ? restartAirMouse(true) : [];
+    },
+
+    // Turns air-mouse mode on or off. Returns the events letting go of
+    // anything held before.
+    setAirMouse(enabled) {
+      return restartAirMouse(enabled);
+    },
+
+    releaseAirMouse() {
+      return airMouse ? airMouse.release() : [];
+    },
+
+    resetMotion() {
+      motionDetectors.clear();
+    },
+
+    // `results` has multiHandLandmarks, multiHandedness and aspectRatio, as
+    // from the inference window or a recording. With `sample`, the first
+    // hand also comes with its landmarks as a custom-gesture sample.
+    // Returns { hands, mouseEvents, airMouse }: per hand its side ('Left',
+    // 'Right', or null when MediaPipe labelled both hands the same), key,
+    // handedness score, features, finger states, gesture, motion and palm
+    // trail; the air mouse's events and state while it's on.
+    analyze(results, now, { sample = false } = {}) {
+      const hands = [];
+      const seen = new Set();
+      let mouseEvents = [];
+      const multiHandLandmarks = results.multiHandLandmarks || [];
+
+      multiHandLandmarks.forEach((landmarks, i) => {
+        const handedness = results.multiHandedness && results.multiHandedness[i];
+        const features = computeHandFeatures(landmarks, {
+          handedness: handedness ? handedness.label : undefined,
+          aspectRatio: results.aspectRatio
+        });
+
+        // MediaPipe occasionally labels both hands the same; keep them
+        // apart, without hand-specific mappings for the second one
+        let side = getHandSide(handedness ? handedness.label : undefined);
+        if (side && seen.has(side)) side = null;
+        const key = side || `hand-${i}`;
+        seen.add(key);
+
+        // Follow the palm centre for swipes and circles
+        const motionDetector = getMotionDetector(key, results.aspectRatio);
+        const motion = airMouse ? null : motionDetector.update(landmarks, now);
+
+        if (airMouse && i === 0) {
+          mouseEvents = airMouse.update(landmarks, features, now);
+        }
+
+        hands.push({
+          side,
+          key,
+          score: side ? handedness.score : null,
+          features,
+          fingerStates: getFingerStates(features, thresholds),
+          gesture: classifyHand(landmarks, features),
+          motion,
+          trail: motionDetector.getTrail(),
+          sample: sample && i === 0 ? normalizeLandmarks(landmarks) : null
+        });
+      });
+
+      // Hands that left the frame start their trajectories afresh
+      for (const key of motionDetectors.keys()) {
+        if (!seen.has(key)) motionDetectors.delete(key);
+      }
+      if (airMouse && hands.length === 0) {
+        mouseEvents = airMouse.release();
+      }
+
+      return { hands, mouseEvents, airMouse: airMouse ? airMouse.getState() : null };
+    }
+  };
+}
+
+module.exports = {
+  createHandAnalyzer
+};
@@ -0,0 +1,39 @@
+// Hand-specific mapping names. A mapping can name a gesture plainly ("Palm",
+// either hand), for one hand ("Left Palm", "Right Palm (Hold)") or as a
+// two-hand combination ("Left Palm + Right Pointing Up"). A hand-specific
+// mapping wins over the plain one for that hand.
+
+const HAND_SIDES = ['Left', 'Right'];
+
+// MediaPipe labels hands as if the image were mirrored (a selfie view). Camera
+// frames here aren't, so its "Left" is the user's right hand.
+function getHandSide(label, { mirrored = false } = {}) {
+  if (!HAND_SIDES.includes(label)) return null;
+  if (mirrored) return label;
+  return label === 'Left' ? 'Right' : 'Left';
+}
+
+function handGestureName(side, gesture) {
+  return `${side} ${gesture}`;
+}
+
+function comboName(leftGesture, rightGesture) {
+  return `${handGestureName('Left', leftGesture)} + ${handGestureName('Right', rightGesture)}`;
+}
+
+// The mapping name to use for `name` on the given side (null when the hand
+// isn't known), or null when neither the hand-specific nor the plain name is mapped
+function resolveMappingName(mappings, name, side) {
+  if (side && mappings[handGestureName(side, name)]) {
+    return handGestureName(side, name);
+  }
+  return mappings[name] ? name : null;
+}
+
+module.exports = {
+  HAND_SIDES,
+  getHandSide,
+  handGestureName,
+  comboName,
+  resolveMappingName
+};
@@ -0,0 +1,134 @@
+// History panel for the window: the latest gestures and actions from the
+// history main.js keeps (see history.js), newest first, with a filter, a
+// search box and export buttons.
+
+const { MAX_HISTORY_ENTRIES, HISTORY_FILTERS, filterHistory } = window.gestureApp.history;
+
+const FILTER_LABELS = {
+  all: 'Everything',
+  gestures: 'Gestures',
+  actions: 'Actions',
+  problems: 'Errors and ignored'
+};
+
+// Rows shown at once; export includes every matching entry
+const MAX_ROWS = 200;
+
+const COLUMNS = [
+  ['Time', entry => new Date(entry.time).toLocaleTimeString()],
+  ['Type', entry => entry.type],
+  ['Gesture', entry => entry.gesture],
+  ['Hand', entry => entry.hand],
+  ['Profile', entry => entry.profile],
+  ['What', entry => entry.description],
+  ['Status', entry => entry.status],
+  ['Detail', entry => entry.detail]
+];
+
+// `onExport(format, { filter, text })` saves the matching entries as 'csv'
+// or 'json'; `onClear()` empties the history
+function createHistoryView(container, { onExport, onClear }) {
+  let entries = [];
+  let renderPending = false;
+
+  const controls = document.createElement('div');
+  controls.className = 'history-controls';
+  const filterSelect = document.createElement('select');
+  for (const name of Object.keys(HISTORY_FILTERS)) {
+    filterSelect.appendChild(new Option(FILTER_LABELS[name] || name, name));
+  }
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search';
+  const csvButton = document.createElement('button');
+  csvButton.textContent = 'Export CSV';
+  const jsonButton = document.createElement('button');
+  jsonButton.textContent = 'Export JSON';
+  const clearButton = document.createElement('button');
+  clearButton.textContent = 'Clear';
+  controls.append(filterSelect, searchInput, csvButton, jsonButton, clearButton);
+
+  const status = document.createElement('p');
+  status.className = 'history-status';
+  const table = document.createElement('table');
+  table.className = 'history-table';
+
+  container.append(controls, status, table);
+
+  function getFilter() {
+    return { filter: filterSelect.value, text: searchInput.value };
+  }
+
+  function render() {
+    renderPending = false;
+    const matching = filterHistory(entries, getFilter());
+    const shown = matching.slice(-MAX_ROWS).reverse();
+    table.innerHTML = '';
+
+    const header = document.createElement('tr');
+    for (const [title] of COLUMNS) {
+      const cell = document.createElement('th');
+      cell.textContent = title;
+      header.appendChild(cell);
+    }
+    table.appendChild(header);
+
+    for (const entry of shown) {
+      const row = document.createElement('tr');
+      if (entry.status !== 'ok') row.className = `history-row-${entry.status}`;
+      for (const [, value] of COLUMNS) {
+        const cell = document.createElement('td');
+        cell.textContent = value(entry);
+        row.appendChild(cell);
+      }
+      table.appendChild(row);
+    }
+
+    status.textContent = matching.length > shown.length
+      ? `Showing the latest ${shown.length} of ${matching.length} entries`
+      : `${matching.length} entries`;
+  }
+
+  // Entries can arrive several times a frame; draw at most once per frame
+  function scheduleRender() {
+    if (renderPending) return;
+    renderPending = true;
+    requestAnimationFrame(render);
+  }
+
+  filterSelect.addEventListener('change', render);
+  searchInput.addEventListener('input', render);
+  clearButton.addEventListener('click', () => {
+    entries = [];
+    onClear();
+    render();
+  });
+  for (const [button, format] of [[csvButton, 'csv'], [jsonButton, 'json']]) {
+    button.addEventListener('click', async () => {
+      try {
+        const filePath = await onExport(format, getFilter());
+        if (filePath) status.textContent = `Exported to ${filePath}`;
+      } catch (error) {
+        status.textContent = `Could not export: ${error.message}`;
+      }
+    });
+  }
+
+  render();
+
+  return {
+    setEntries(newEntries) {
+      entries = newEntries.slice();
+      render();
+    },
+
+    // Keeps as many entries as main.js does
+    addEntry(entry) {
+      entries.push(entry);
+      if (entries.length > MAX_HISTORY_ENTRIES) entries.shift();
+      scheduleRender();
+    }
+  };
+}
+
+export { createHistoryView };
@@ -0,0 +1,140 @@
+// Rolling history of what the app saw and did, for working out afterwards
+// why a key was pressed. main.js keeps it and turns each event it publishes
+// (the same events the event API streams) into an entry:
+//   { id, time, type, gesture, hand, profile, source, description, status, detail }
+// `type` is gesture, action, action-step, activation or profile, and
+// `status` is ok, error or ignored.
+
+const MAX_HISTORY_ENTRIES = 2000;
+
+const HISTORY_COLUMNS = ['time', 'type', 'gesture', 'hand', 'profile', 'source', 'description', 'status', 'detail'];
+
+// Filters offered by the viewer, by name
+const HISTORY_FILTERS = {
+  all: () => true,
+  gestures: entry => entry.type === 'gesture',
+  actions: entry => entry.type === 'action' || entry.type === 'action-step',
+  problems: entry => entry.status !== 'ok'
+};
+
+function describeActivationEvent(event) {
+  if (event.paused) return 'Paused';
+  if (event.armed) return 'Armed';
+  if (event.arming) return `Waiting for ${event.wakeGesture}`;
+  return 'Active';
+}
+
+// Turn a published event into a history entry (without id), or null for
+// events that aren't worth keeping. `profile` is the profile in use.
+function toHistoryEntry(event, profile) {
+  const entry = {
+    time: event.timestamp || Date.now(),
+    type: event.type,
+    gesture: event.gesture || '',
+    hand: event.hand || '',
+    profile,
+    source: event.source || '',
+    description: '',
+    status: 'ok',
+    detail: ''
+  };
+
+  switch (event.type) {
+    case 'gesture':
+      entry.description = event.kind || '';
+      entry.detail = Number.isFinite(event.confidence) ? `confidence ${event.confidence.toFixed(2)}` : '';
+      break;
+    case 'action':
+      entry.description = event.description || '';
+      if (event.error) {
+        entry.status = 'ignored';
+        entry.detail = event.error;
+      }
+      break;
+    case 'action-step':
+      entry.description = event.total > 1 ? `Step ${event.index + 1}/${event.total}: ${event.description}` : event.description;
+      entry.status = event.ok ? 'ok' : 'error';
+      entry.detail = event.ok ? event.output || '' : event.error || '';
+      break;
+    case 'activation':
+      entry.description = describeActivationEvent(event);
+      break;
+    case 'profile':
+      entry.description = `Switched to ${event.name}${event.automatic ? '' : ' (manual)'}`;
+      entry.profile = event.name;
+      break;
+    default:
+      return null;
+  }
+  return entry;
+}
+
+// `filter` is a HISTORY_FILTERS name; `text` matches any column, ignoring case
+function filterHistory(entries, { filter = 'all', text = '' } = {}) {
+  const matchesFilter = HISTORY_FILTERS[filter] || HISTORY_FILTERS.all;
+  const needle = text.trim().toLowerCase();
+  return entries.filter(entry => matchesFilter(entry) &&
+    (!needle || HISTORY_COLUMNS.some(column => String(entry[column]).toLowerCase().includes(needle))));
+}
+
+function formatHistoryTime(time) {
+  return new Date(time).toISOString();
+}
+
+// Quote fields that need it, and keep spreadsheets from reading a field as a
+// formula: they take one starting with = + - @, a tab or a carriage return as
+// one
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyToCsv(entries) {
+  const rows = entries.map(entry => HISTORY_COLUMNS.map(column => csvField(
+    column === 'time' ? formatHistoryTime(entry.time) : entry[column]
+  )).join(','));
+  return [HISTORY_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function historyToJson(entries) {
+  return JSON.stringify(entries.map(entry => ({ ...entry, time: formatHistoryTime(entry.time) })), null, 2);
+}
+
+// Ring buffer of the latest `limit` entries, oldest first
+function createHistory({ limit = MAX_HISTORY_ENTRIES } = {}) {
+  let entries = [];
+  let nextId = 1;
+
+  return {
+    // Returns the stored entry
+    add(entry) {
+      const stored = { id: nextId++, ...entry };
+      entries.push(stored);
+      if (entries.length > limit) {
+        entries.shift();
+      }
+      return stored;
+    },
+
+    getEntries() {
+      return entries.slice();
+    },
+
+    clear() {
+      entries = [];
+    }
+  };
+}
+
+module.exports = {
+  MAX_HISTORY_ENTRIES,
+  HISTORY_COLUMNS,
+  HISTORY_FILTERS,
+  toHistoryEntry,
+  filterHistory,
+  formatHistoryTime,
+  historyToCsv,
+  historyToJson,
+  createHistory
+};
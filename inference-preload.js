@@ -0,0 +1,25 @@
+// The inference window's counterpart to preload.js: `window.gestureInference`
+// can only report results and camera errors, and hear start and stop. The
+// window is sandboxed, so this loads nothing but Electron; main.js passes
+// the channels from ipc.js as an argument.
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+const CHANNELS_ARGUMENT = '--ipc-channels=';
+const channels = JSON.parse(process.argv.find(arg => arg.startsWith(CHANNELS_ARGUMENT)).slice(CHANNELS_ARGUMENT.length));
+
+contextBridge.exposeInMainWorld('gestureInference', {
+  send(channel, ...args) {
+    if (!Object.prototype.hasOwnProperty.call(channels.send, channel)) {
+      throw new Error(`IPC channel "${channel}" isn't available to this window`);
+    }
+    ipcRenderer.send(channel, ...args);
+  },
+
+  on(channel, listener) {
+    if (!channels.receive.includes(channel)) {
+      throw new Error(`IPC channel "${channel}" isn't available to this window`);
+    }
+    ipcRenderer.on(channel, (event, ...args) => listener(...args));
+  }
+});
@@ -0,0 +1,129 @@
+// Hand tracking for the app, in a hidden window of its own so MediaPipe's
+// inference never blocks the main window's UI thread. main.js starts and
+// stops it; each processed frame goes back as 'hand-results':
+//   { time, multiHandLandmarks, multiHandedness, aspectRatio, metrics: { fps, latencyMs, idle } }
+// Frames are paced by frame-scheduler.js rather than taken as fast as the
+// camera delivers them. MediaPipe comes from its script tag in
+// inference.html, and IPC from inference-preload.js.
+
+import { openCamera, watchCamera, describeCameraError } from './camera.js';
+import { createFrameScheduler, createFrameMetrics } from './frame-scheduler.js';
+
+const { Hands } = window;
+const { send, on } = window.gestureInference;
+
+const videoElement = document.getElementById('camera');
+
+const hands = new Hands({
+  locateFile: (file) => {
+    return `node_modules/@mediapipe/hands/${file}`;
+  }
+});
+
+let stream = null;
+// MediaPipe options from the camera settings, without model complexity
+let trackingOptions = null;
+let scheduler = null;
+let timer = null;
+const metrics = createFrameMetrics();
+// Capture time of the frame MediaPipe is working on
+let frameTime = 0;
+
+// MediaPipe's results hold class instances that don't survive IPC
+function toPlainResults(results) {
+  return {
+    multiHandLandmarks: (results.multiHandLandmarks || []).map(landmarks =>
+      landmarks.map(point => ({ x: point.x, y: point.y, z: point.z }))),
+    multiHandedness: (results.multiHandedness || []).map(handedness => ({
+      index: handedness.index,
+      score: handedness.score,
+      label: handedness.label
+    }))
+  };
+}
+
+hands.onResults((results) => {
+  if (!scheduler) return;
+  const now = Date.now();
+  metrics.record(now - frameTime, now);
+
+  const plain = toPlainResults(results);
+  const change = scheduler.update(plain.multiHandLandmarks.length > 0, now);
+  if (change) {
+    hands.setOptions({ ...trackingOptions, modelComplexity: change.modelComplexity });
+  }
+
+  send('hand-results', {
+    time: frameTime,
+    ...plain,
+    // Landmarks are normalized to the frame, so distances need its shape
+    aspectRatio: videoElement.videoWidth / videoElement.videoHeight || 4 / 3,
+    metrics: { ...metrics.get(now), idle: scheduler.getState().idle }
+  });
+});
+
+async function processFrame() {
+  timer = null;
+  if (!scheduler) return;
+  const startedAt = Date.now();
+  try {
+    // Wait until the camera has produced a frame
+    if (videoElement.readyState >= 2) {
+      frameTime = startedAt;
+      await hands.send({ image: videoElement });
+    }
+  } catch (error) {
+    console.error('Hand tracking failed:', error);
+  }
+  if (scheduler) {
+    timer = setTimeout(processFrame, scheduler.getDelay(startedAt, Date.now()));
+  }
+}
+
+function stop() {
+  scheduler = null;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+    stream = null;
+  }
+  videoElement.srcObject = null;
+  metrics.reset();
+}
+
+// `camera` and `performance` are the config's sections with defaults filled in
+async function start({ camera, performance }) {
+  stop();
+  const opened = await openCamera(camera);
+  stream = opened.stream;
+  videoElement.srcObject = stream;
+  watchCamera(stream, () => {
+    if (stream !== opened.stream) return;
+    stop();
+    send('inference-error', 'The camera was disconnected. Reconnect it, then start the camera again.');
+  });
+
+  trackingOptions = {
+    maxNumHands: camera.maxNumHands,
+    minDetectionConfidence: camera.minDetectionConfidence,
+    minTrackingConfidence: camera.minTrackingConfidence
+  };
+  scheduler = createFrameScheduler({ settings: performance });
+  hands.setOptions({ ...trackingOptions, modelComplexity: scheduler.getState().modelComplexity });
+  processFrame();
+}
+
+on('inference-start', (settings) => {
+  start(settings).catch(error => {
+    console.error('Could not start the camera:', error);
+    stop();
+    send('inference-error', describeCameraError(error));
+  });
+});
+
+on('inference-stop', () => {
+  stop();
+});
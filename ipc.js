@@ -0,0 +1,113 @@
+// The IPC surface between the app's windows and main.js. Each window's
+// preload only offers the channels listed for it here, and main.js checks
+// every message against the same lists: that it came from the right window,
+// on a channel that window may use, with arguments of the listed types.
+//
+// `send` channels are fire-and-forget, `invoke` channels resolve to a reply
+// and `receive` lists the events main.js pushes to the window. Argument types
+// are 'string', 'boolean', 'object' or 'array'; a trailing '?' also allows
+// null or a missing argument.
+
+const IPC_CHANNELS = {
+  main: {
+    send: {
+      'run-mapping': ['string'],
+      'gesture-event': ['object'],
+      'start-camera': [],
+      'stop-camera': [],
+      'clear-history': [],
+      'set-paused': ['boolean'],
+      'wake-gesture': [],
+      'mouse-event': ['object'],
+      'record-frame': ['object'],
+      'minimize-to-tray': [],
+      'replay-finished': ['object'],
+      'gesture-cooldown': ['string', 'string?']
+    },
+    invoke: {
+      'get-history': [],
+      'export-history': ['string', 'object?'],
+      'get-activation': [],
+      'get-config': [],
+      'get-active-profile': [],
+      'save-mappings': ['string', 'object'],
+      'save-calibration': ['object?'],
+      'save-camera-settings': ['object', 'object'],
+      'start-recording': [],
+      'stop-recording': [],
+      'open-recording': [],
+      'get-launch-replay': [],
+      'get-custom-gestures': [],
+      'save-custom-gesture': ['string', 'array'],
+      'delete-custom-gesture': ['string'],
+      'export-custom-gesture': ['string']
+    },
+    receive: [
+      'action-step',
+      'activation-changed',
+      'profile-changed',
+      'history-entry',
+      'hand-results',
+      'camera-error'
+    ]
+  },
+  inference: {
+    send: {
+      'hand-results': ['object'],
+      'inference-error': ['string']
+    },
+    invoke: {},
+    receive: ['inference-start', 'inference-stop']
+  },
+  overlay: {
+    send: {},
+    invoke: {},
+    receive: ['overlay-update']
+  }
+};
+
+function checkType(value, type) {
+  if (type.endsWith('?')) {
+    return value === null || value === undefined || checkType(value, type.slice(0, -1));
+  }
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// Returns a list of problems with a message from a window, empty if it's
+// allowed. `window` is a key of IPC_CHANNELS, or null for an unknown sender,
+// and `kind` is 'send' or 'invoke'.
+function validateIpcMessage(window, kind, channel, args) {
+  const channels = window && IPC_CHANNELS[window];
+  if (!channels) {
+    return ['message from an unknown window'];
+  }
+  const types = Object.prototype.hasOwnProperty.call(channels[kind], channel) ? channels[kind][channel] : null;
+  if (!types) {
+    return [`the ${window} window may not ${kind} "${channel}"`];
+  }
+
+  const errors = [];
+  if (args.length > types.length) {
+    errors.push(`expected at most ${types.length} arguments, got ${args.length}`);
+  }
+  types.forEach((type, index) => {
+    if (!checkType(args[index], type)) {
+      errors.push(`argument ${index + 1} must be ${type.endsWith('?') ? `${type.slice(0, -1)} or null` : type}`);
+    }
+  });
+  return errors;
+}
+
+// The sandboxed windows' preloads can't load this file, so main.js passes
+// them their window's lists as an argument to the renderer process
+const CHANNELS_ARGUMENT = '--ipc-channels=';
+
+function getChannelsArgument(window) {
+  return CHANNELS_ARGUMENT + JSON.stringify(IPC_CHANNELS[window]);
+}
+
+module.exports = { IPC_CHANNELS, CHANNELS_ARGUMENT, getChannelsArgument, validateIpcMessage };
@@ -0,0 +1,378 @@
+// Key model shared by main.js and the renderer. A keyboard action is described as
+//   { key: 'pagedown', modifiers: ['cmd', 'shift'], repeat: 1, holdMs: 0 }
+// and every platform translation reads from the KEYS table below, so adding a
+// key means adding one entry here.
+
+// Cmd is the Super/Windows key on Linux
+const MODIFIERS = {
+  ctrl: { label: 'Ctrl', appleScript: 'control down', macFlag: 0x40000, x11: 'ctrl' },
+  alt: { label: 'Alt', appleScript: 'option down', macFlag: 0x80000, x11: 'alt' },
+  shift: { label: 'Shift', appleScript: 'shift down', macFlag: 0x20000, x11: 'shift' },
+  cmd: { label: 'Cmd', appleScript: 'command down', macFlag: 0x100000, x11: 'super' }
+};
+
+const MODIFIER_ALIASES = {
+  command: 'cmd',
+  meta: 'cmd',
+  super: 'cmd',
+  win: 'cmd',
+  control: 'ctrl',
+  option: 'alt',
+  opt: 'alt'
+};
+
+// name -> { label, code: KeyboardEvent.code, mac: virtual key code,
+//          nx: macOS media key type, x11: X keysym name }
+const KEYS = {};
+
+function defineKey(name, props) {
+  KEYS[name] = props;
+}
+
+// Letters and digits (mac codes are ANSI layout positions)
+const LETTER_MAC_CODES = {
+  a: 0, b: 11, c: 8, d: 2, e: 14, f: 3, g: 5, h: 4, i: 34, j: 38, k: 40, l: 37, m: 46,
+  n: 45, o: 31, p: 35, q: 12, r: 15, s: 1, t: 17, u: 32, v: 9, w: 13, x: 7, y: 16, z: 6
+};
+for (const [letter, mac] of Object.entries(LETTER_MAC_CODES)) {
+  defineKey(letter, { label: letter.toUpperCase(), code: `Key${letter.toUpperCase()}`, mac, x11: letter });
+}
+
+const DIGIT_MAC_CODES = [29, 18, 19, 20, 21, 23, 22, 26, 28, 25];
+DIGIT_MAC_CODES.forEach((mac, digit) => {
+  defineKey(String(digit), { label: String(digit), code: `Digit${digit}`, mac, x11: String(digit) });
+});
+
+// Unshifted punctuation on the main block
+defineKey('`', { label: '`', code: 'Backquote', mac: 50, x11: 'grave' });
+defineKey('-', { label: '-', code: 'Minus', mac: 27, x11: 'minus' });
+defineKey('=', { label: '=', code: 'Equal', mac: 24, x11: 'equal' });
+defineKey('[', { label: '[', code: 'BracketLeft', mac: 33, x11: 'bracketleft' });
+defineKey(']', { label: ']', code: 'BracketRight', mac: 30, x11: 'bracketright' });
+defineKey('\\', { label: '\\', code: 'Backslash', mac: 42, x11: 'backslash' });
+defineKey(';', { label: ';', code: 'Semicolon', mac: 41, x11: 'semicolon' });
+defineKey("'", { label: "'", code: 'Quote', mac: 39, x11: 'apostrophe' });
+defineKey(',', { label: ',', code: 'Comma', mac: 43, x11: 'comma' });
+defineKey('.', { label: '.', code: 'Period', mac: 47, x11: 'period' });
+defineKey('/', { label: '/', code: 'Slash', mac: 44, x11: 'slash' });
+
+// Function keys
+const FUNCTION_MAC_CODES = [122, 120, 99, 118, 96, 97, 98, 100, 101, 109, 103, 111, 105, 107, 113, 106, 64, 79, 80, 90];
+FUNCTION_MAC_CODES.forEach((mac, index) => {
+  defineKey(`f${index + 1}`, { label: `F${index + 1}`, code: `F${index + 1}`, mac, x11: `F${index + 1}` });
+});
+
+// Editing and navigation
+defineKey('space', { label: 'Spacebar', code: 'Space', mac: 49, x11: 'space' });
+defineKey('enter', { label: 'Enter', code: 'Enter', mac: 36, x11: 'Return' });
+defineKey('tab', { label: 'Tab', code: 'Tab', mac: 48, x11: 'Tab' });
+defineKey('escape', { label: 'Escape', code: 'Escape', mac: 53, x11: 'Escape' });
+defineKey('backspace', { label: 'Backspace', code: 'Backspace', mac: 51, x11: 'BackSpace' });
+defineKey('delete', { label: 'Delete', code: 'Delete', mac: 117, x11: 'Delete' });
+defineKey('insert', { label: 'Insert', code: 'Insert', mac: 114, x11: 'Insert' });
+defineKey('home', { label: 'Home', code: 'Home', mac: 115, x11: 'Home' });
+defineKey('end', { label: 'End', code: 'End', mac: 119, x11: 'End' });
+defineKey('pageup', { label: 'Page Up', code: 'PageUp', mac: 116, x11: 'Prior' });
+defineKey('pagedown', { label: 'Page Down', code: 'PageDown', mac: 121, x11: 'Next' });
+defineKey('up', { label: 'Arrow Up', code: 'ArrowUp', mac: 126, x11: 'Up' });
+defineKey('down', { label: 'Arrow Down', code: 'ArrowDown', mac: 125, x11: 'Down' });
+defineKey('left', { label: 'Arrow Left', code: 'ArrowLeft', mac: 123, x11: 'Left' });
+defineKey('right', { label: 'Arrow Right', code: 'ArrowRight', mac: 124, x11: 'Right' });
+
+// Media keys (macOS posts these as system-defined events, not key codes)
+defineKey('volumeup', { label: 'Volume Up', code: 'AudioVolumeUp', nx: 0, x11: 'XF86AudioRaiseVolume' });
+defineKey('volumedown', { label: 'Volume Down', code: 'AudioVolumeDown', nx: 1, x11: 'XF86AudioLowerVolume' });
+defineKey('mute', { label: 'Mute', code: 'AudioVolumeMute', nx: 7, x11: 'XF86AudioMute' });
+defineKey('playpause', { label: 'Play/Pause', code: 'MediaPlayPause', nx: 16, x11: 'XF86AudioPlay' });
+defineKey('nexttrack', { label: 'Next Track', code: 'MediaTrackNext', nx: 17, x11: 'XF86AudioNext' });
+defineKey('prevtrack', { label: 'Previous Track', code: 'MediaTrackPrevious', nx: 18, x11: 'XF86AudioPrev' });
+defineKey('brightnessup', { label: 'Brightness Up', code: 'BrightnessUp', nx: 2, x11: 'XF86MonBrightnessUp' });
+defineKey('brightnessdown', { label: 'Brightness Down', code: 'BrightnessDown', nx: 3, x11: 'XF86MonBrightnessDown' });
+
+// X keysyms for characters typed as text (shifted symbols and capitals)
+const X11_TYPED_KEYSYMS = {
+  '!': 'exclam', '"': 'quotedbl', '#': 'numbersign', '$': 'dollar', '%': 'percent',
+  '&': 'ampersand', '(': 'parenleft', ')': 'parenright', '*': 'asterisk', '+': 'plus',
+  ':': 'colon', '<': 'less', '>': 'greater', '?': 'question', '@': 'at',
+  '^': 'asciicircum', '_': 'underscore', '{': 'braceleft', '|': 'bar', '}': 'braceright',
+  '~': 'asciitilde'
+};
+
+const KEY_ALIASES = {
+  spacebar: 'space',
+  return: 'enter',
+  esc: 'escape',
+  del: 'delete',
+  pgup: 'pageup',
+  pgdn: 'pagedown',
+  arrowup: 'up',
+  arrowdown: 'down',
+  arrowleft: 'left',
+  arrowright: 'right',
+  plus: '+'
+};
+
+const MAX_REPEAT = 50;
+const MAX_HOLD_MS = 10000;
+
+// Shifted symbols and other printable characters outside the table are typed
+// as text, which keeps them correct on non-US layouts but means they can't be held
+function isTypedCharacter(key) {
+  return typeof key === 'string' && /^[\x21-\x7e]$/.test(key) && !KEYS[key];
+}
+
+function normalizeKeyName(name) {
+  if (typeof name !== 'string' || name.length === 0) return null;
+  if (name.length === 1) {
+    const lower = name.toLowerCase();
+    if (KEYS[lower]) return lower;
+    return isTypedCharacter(name) ? name : null;
+  }
+  const lower = name.toLowerCase().replace(/[\s_]/g, '');
+  const resolved = KEY_ALIASES[lower] || lower;
+  return KEYS[resolved] || isTypedCharacter(resolved) ? resolved : null;
+}
+
+function normalizeModifier(name) {
+  if (typeof name !== 'string') return null;
+  const lower = name.toLowerCase();
+  const resolved = MODIFIER_ALIASES[lower] || lower;
+  return MODIFIERS[resolved] ? resolved : null;
+}
+
+// Parse a combo string such as "Cmd+Shift+]" or "Ctrl++" into a descriptor
+function parseCombo(text) {
+  if (typeof text !== 'string' || text.trim() === '') return null;
+  let parts = text.trim().split('+');
+  // A trailing "+" key shows up as two empty parts: "Cmd++" -> ["Cmd", "", ""]
+  if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') {
+    parts = [...parts.slice(0, -2), '+'];
+  }
+  const keyPart = parts.pop().trim();
+  return { key: keyPart, modifiers: parts.map(part => part.trim()) };
+}
+
+// Turn a config value (combo string or descriptor object) into a canonical
+// descriptor. Returns { action, errors }; action is null when errors is non-empty.
+function normalizeAction(value) {
+  const errors = [];
+  const raw = typeof value === 'string' ? parseCombo(value) : value;
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { action: null, errors: ['Action must be a combo string or an object with a "key"'] };
+  }
+
+  const key = normalizeKeyName(raw.key);
+  if (!key) {
+    errors.push(`Unknown key "${raw.key}"`);
+  }
+
+  const modifiers = [];
+  if (raw.modifiers !== undefined && !Array.isArray(raw.modifiers)) {
+    errors.push('"modifiers" must be a list');
+  } else {
+    for (const name of raw.modifiers || []) {
+      const modifier = normalizeModifier(name);
+      if (!modifier) {
+        errors.push(`Unknown modifier "${name}"`);
+      } else if (!modifiers.includes(modifier)) {
+        modifiers.push(modifier);
+      }
+    }
+  }
+
+  const repeat = raw.repeat === undefined ? 1 : raw.repeat;
+  if (!Number.isInteger(repeat) || repeat < 1 || repeat > MAX_REPEAT) {
+    errors.push(`"repeat" must be a whole number from 1 to ${MAX_REPEAT}`);
+  }
+
+  const holdMs = raw.holdMs === undefined ? 0 : raw.holdMs;
+  if (typeof holdMs !== 'number' || holdMs < 0 || holdMs > MAX_HOLD_MS) {
+    errors.push(`"holdMs" must be between 0 and ${MAX_HOLD_MS}`);
+  } else if (holdMs > 0 && key && isTypedCharacter(key)) {
+    errors.push(`"${key}" is typed as text and can't be held`);
+  }
+
+  // Media keys are sent as system events of their own, which take no
+  // modifiers and have no separate press and release
+  if (key && KEYS[key] && KEYS[key].nx !== undefined) {
+    if (modifiers.length > 0) {
+      errors.push(`${KEYS[key].label} is a media key and can't have modifiers`);
+    }
+    if (holdMs > 0) {
+      errors.push(`${KEYS[key].label} is a media key and can't be held`);
+    }
+  }
+
+  if (raw.label !== undefined && typeof raw.label !== 'string') {
+    errors.push('"label" must be a string');
+  }
+
+  if (errors.length > 0) {
+    return { action: null, errors };
+  }
+
+  // Canonical modifier order keeps formatting and conflict checks stable
+  const action = {
+    key,
+    modifiers: Object.keys(MODIFIERS).filter(modifier => modifiers.includes(modifier)),
+    repeat,
+    holdMs
+  };
+  if (raw.label !== undefined) action.label = raw.label;
+  return { action, errors };
+}
+
+function describeKey(key) {
+  return KEYS[key] ? KEYS[key].label : key;
+}
+
+// Human-readable form, e.g. "Cmd+Shift+] ×3" or "Spacebar (hold 500 ms)"
+function formatAction(action) {
+  const combo = [...action.modifiers.map(modifier => MODIFIERS[modifier].label), describeKey(action.key)].join('+');
+  let text = combo;
+  if (action.repeat > 1) text += ` ×${action.repeat}`;
+  if (action.holdMs > 0) text += ` (hold ${action.holdMs} ms)`;
+  return text;
+}
+
+// Identity of the key chord itself, ignoring repeat/hold and labels
+function comboId(action) {
+  return [...action.modifiers, action.key].join('+');
+}
+
+// KeyboardEvent.code -> key name, for recording combos in the editor
+function keyFromCode(code) {
+  for (const [name, props] of Object.entries(KEYS)) {
+    if (props.code === code) return name;
+  }
+  if (code === 'NumpadEnter') return 'enter';
+  return null;
+}
+
+function escapeAppleScriptString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Translate a descriptor into a script for osascript. Plain taps use AppleScript
+// via System Events; held keys and media keys need CoreGraphics events, so those
+// are JavaScript for Automation. Returns { language, script } or null.
+function toMacScript(action) {
+  const props = KEYS[action.key];
+  const flags = action.modifiers.reduce((sum, modifier) => sum + MODIFIERS[modifier].macFlag, 0);
+
+  if (props && props.nx !== undefined) {
+    return {
+      language: 'JavaScript',
+      script: [
+        "ObjC.import('Cocoa');",
+        `for (var i = 0; i < ${action.repeat}; i++) {`,
+        '  [0xa, 0xb].forEach(function (state) {',
+        '    var event = $.NSEvent.otherEventWithTypeLocationModifierFlagsTimestampWindowNumberContextSubtypeData1Data2(',
+        `      14, $.NSMakePoint(0, 0), state << 8, 0, 0, $(), 8, (${props.nx} << 16) | (state << 8), -1);`,
+        '    $.CGEventPost($.kCGHIDEventTap, event.CGEvent);',
+        '  });',
+        '}'
+      ].join('\n')
+    };
+  }
+
+  if (props && action.holdMs > 0) {
+    return {
+      language: 'JavaScript',
+      script: [
+        "ObjC.import('Cocoa');",
+        `for (var i = 0; i < ${action.repeat}; i++) {`,
+        `  var down = $.CGEventCreateKeyboardEvent($(), ${props.mac}, true);`,
+        `  $.CGEventSetFlags(down, ${flags});`,
+        '  $.CGEventPost($.kCGHIDEventTap, down);',
+        `  delay(${action.holdMs / 1000});`,
+        `  var up = $.CGEventCreateKeyboardEvent($(), ${props.mac}, false);`,
+        `  $.CGEventSetFlags(up, ${flags});`,
+        '  $.CGEventPost($.kCGHIDEventTap, up);',
+        '}'
+      ].join('\n')
+    };
+  }
+
+  let command;
+  if (props) {
+    command = `key code ${props.mac}`;
+  } else if (isTypedCharacter(action.key)) {
+    command = `keystroke "${escapeAppleScriptString(action.key)}"`;
+  } else {
+    return null;
+  }
+
+  if (action.modifiers.length > 0) {
+    command += ` using {${action.modifiers.map(modifier => MODIFIERS[modifier].appleScript).join(', ')}}`;
+  }
+
+  const body = action.repeat > 1
+    ? `  repeat ${action.repeat} times\n    ${command}\n  end repeat`
+    : `  ${command}`;
+
+  return {
+    language: 'AppleScript',
+    script: `tell application "System Events"\n${body}\nend tell`
+  };
+}
+
+// Translate a descriptor into xdotool arguments, e.g.
+//   ['key', '--repeat', '3', '--delay', '50', 'ctrl+shift+bracketright']
+// Held keys chain keydown, sleep and keyup in one invocation. Returns null
+// when the key has no X keysym.
+function toXdotoolArgs(action) {
+  const props = KEYS[action.key];
+  let keysym;
+  if (props) {
+    keysym = props.x11;
+  } else {
+    keysym = X11_TYPED_KEYSYMS[action.key];
+  }
+  if (!keysym) return null;
+
+  const combo = [...action.modifiers.map(modifier => MODIFIERS[modifier].x11), keysym].join('+');
+
+  if (action.holdMs > 0) {
+    const args = [];
+    for (let i = 0; i < action.repeat; i++) {
+      args.push('keydown', combo, 'sleep', String(action.holdMs / 1000), 'keyup', combo);
+    }
+    return args;
+  }
+
+  return ['key', '--clearmodifiers', '--repeat', String(action.repeat), '--delay', '50', combo];
+}
+
+// Type a text snippet as keystrokes. AppleScript strings can't contain raw
+// line breaks, so those become `return` keystrokes.
+function toMacTextScript(text) {
+  const lines = text.split(/\r?\n/).map(line => `  keystroke "${escapeAppleScriptString(line)}"`);
+  return {
+    language: 'AppleScript',
+    script: `tell application "System Events"\n${lines.join('\n  keystroke return\n')}\nend tell`
+  };
+}
+
+function toXdotoolTextArgs(text) {
+  return ['type', '--clearmodifiers', '--delay', '12', '--', text];
+}
+
+module.exports = {
+  KEYS,
+  MODIFIERS,
+  isTypedCharacter,
+  normalizeKeyName,
+  normalizeModifier,
+  parseCombo,
+  normalizeAction,
+  describeKey,
+  formatAction,
+  comboId,
+  keyFromCode,
+  toMacScript,
+  toXdotoolArgs,
+  toMacTextScript,
+  toXdotoolTextArgs
+};
@@ -1,134 +1,229 @@
-const { app, BrowserWindow, screen, Menu, Tray, ipcMain, globalShortcut, nativeImage } = require('electron');
+const { app, BrowserWindow, screen, Menu, Tray, ipcMain, globalShortcut, nativeImage, dialog, utilityProcess, session } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { loadConfig, loadConfigFile, saveConfigFile, validateConfig, normalizeConfig, keepMappingNotation } = require('./config');
+const { EXIT_CONFIG_ERROR, EXIT_USAGE_ERROR, parseCommandLine, formatUsage } = require('./cli');
+const { formatMapping } = require('./actions');
+const { normalizeMouseEvent, toScreenPoint } = require('./mouse');
+const { createDriver } = require('./drivers');
+const { createActionRunner } = require('./action-runner');
+const { createCommandApprovals } = require('./command-approvals');
+const { getActivationSettings, createActivation } = require('./activation');
+const { getApiSettings, createApiServer } = require('./api-server');
+const { HAND_SIDES, handGestureName, resolveMappingName } = require('./hand-mappings');
+const { getPluginsDir } = require('./plugins');
+const { createPluginManager } = require('./plugin-manager');
+const { getPerformanceSettings } = require('./performance-settings');
+const { getCameraSettings } = require('./camera-settings');
+const { createOverlayController } = require('./overlay-window');
+const { getChannelsArgument, validateIpcMessage } = require('./ipc');
+const { toHistoryEntry, filterHistory, historyToCsv, historyToJson, createHistory } = require('./history');
+const {
+  DEFAULT_PROFILE,
+  getProfileNames,
+  getProfileMappings,
+  matchProfile,
+  createFocusWatcher
+} = require('./profiles');
+const { getRecordingsDir, createRecordingWriter, readRecording } = require('./recordings');
+const {
+  validateCustomGesture,
+  loadCustomGestures,
+  serializeCustomGestures,
+  saveCustomGestures
+} = require('./custom-gestures');
+const { BUILT_IN_GESTURES } = require('./gestures');
 
 let mainWindow;
+// Hidden window running hand tracking (see inference.js)
+let inferenceWindow = null;
+// Whether the main window has the camera on
+let cameraWanted = false;
 let tray;
-let activeKeys = new Set();
+let gestureConfig;
+// Where gestureConfig is saved: --config, or the file in the user data directory
+let configPath;
+// The config file as written, which changes are saved into; null while the
+// file has problems and the defaults are in use, so it isn't overwritten
+let savedConfig = null;
+let keyboardDriver;
+let actionRunner;
+let activation;
+let apiServer = null;
+let pluginManager;
+const history = createHistory();
+let mouseQueue = Promise.resolve();
+// A pointer move waiting in mouseQueue. Newer moves update it instead of
+// queueing behind it, so a slow driver skips positions rather than lagging.
+let queuedMove = null;
+let focusWatcher;
+let activeProfile = DEFAULT_PROFILE;
+let autoProfile = DEFAULT_PROFILE;
+let profileOverride = null; // profile picked from the tray, null for automatic
+let recordingWriter = null;
+let customGestures = [];
+// Frames of the recording given with --replay
+let launchReplay = null;
 
-// Custom shortcut function to simulate keypresses
-function simulateKeypress(keyCode) {
-  // Create a script that will simulate a keypress using AppleScript (macOS only)
-  if (process.platform === 'darwin') {
-    const { execSync } = require('child_process');
-    try {
-      let script;
-      
-      switch(keyCode) {
-        case 'space':
-          script = 'tell application "System Events" to key code 49'; // Space
-          break;
-        case 'escape':
-          script = 'tell application "System Events" to key code 53'; // Escape
-          break;
-        case 'enter':
-          script = 'tell application "System Events" to key code 36'; // Return
-          break;
-        case 'up':
-          script = 'tell application "System Events" to key code 116'; // Page Up
-          break;
-        case 'down':
-          script = 'tell application "System Events" to key code 121'; // Page Down
-          break;
-        case 'left':
-          script = 'tell application "System Events" to key code 123'; // Left arrow
-          break;
-        case 'tab':
-          script = 'tell application "System Events" to keystroke tab'; // Tab
-          break;
-        case 'zoom-in':
-          script = 'tell application "System Events" to keystroke "+" using {command down}'; // Cmd+Plus
-          break;
-        case 'zoom-out':
-          script = 'tell application "System Events" to keystroke "-" using {command down}'; // Cmd+Minus
-          break;
-        default:
-          console.log('Unsupported key:', keyCode);
-          return;
+const { options: cliOptions, errors: cliErrors } = parseCommandLine(process.argv.slice(1));
+
+// Keystroke output goes through a driver (see drivers/). `--dry-run` always
+// uses the recording driver and prints what it records as JSON lines instead
+// of sending it; `--driver=recording` only keeps the latest events in memory.
+const driverName = cliOptions.dryRun ? 'recording' : cliOptions.driver || process.env.GESTURE_DRIVER;
+
+// Status messages for people. A dry run keeps standard output for its JSON
+// lines alone so scripts can parse it, and these go to standard error.
+function logInfo(...args) {
+  if (cliOptions.dryRun) console.error(...args);
+  else console.log(...args);
+}
+
+// Per-action detail for --dev. Everything logged this way is also in the
+// history, which is where users look.
+function logDev(...args) {
+  if (cliOptions.dev) logInfo(...args);
+}
+
+function initKeyboardDriver() {
+  // A dry run prints actions as they happen, so the driver needn't keep them
+  keyboardDriver = createDriver(driverName, cliOptions.dryRun
+    ? { onEvent: (event) => console.log(JSON.stringify(event)), maxEvents: 0 }
+    : {});
+  logInfo('Using keystroke driver:', keyboardDriver.name);
+}
+
+const CONFIRM_MESSAGES = {
+  command: { title: 'Allow Command?', message: 'A gesture mapping wants to run a command.', name: 'Program' },
+  launch: { title: 'Allow Launch?', message: 'A gesture mapping wants to launch an application.', name: 'Application' },
+  open: { title: 'Allow Opening File?', message: 'A gesture mapping wants to open a file, which may be a program.', name: 'File' }
+};
+
+// Ask before a command, launch or local file step runs for the first time
+async function confirmCommand(command, args, kind) {
+  const { title, message, name } = CONFIRM_MESSAGES[kind] || CONFIRM_MESSAGES.command;
+  const argumentLines = args.length > 0 ? args.map(arg => `  ${JSON.stringify(arg)}`).join('\n') : '  (none)';
+  const options = {
+    type: 'warning',
+    buttons: ['Deny', 'Allow'],
+    defaultId: 0,
+    cancelId: 0,
+    title,
+    message,
+    detail: kind === 'open'
+      ? `${name}: ${command}\n\nAllowed files open without asking again.`
+      : `${name}: ${command}\nArguments:\n${argumentLines}\n\nAllowed steps run without asking again until their arguments change.`
+  };
+  const result = mainWindow
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+  return result.response === 1;
+}
+
+// Mappings run through the driver one at a time so combos never interleave;
+// each step's result goes to the renderer's Last Action display. A dry run
+// prints plugin steps as it prints the driver's events, and has no commands
+// to approve since the driver doesn't run them.
+function initActionRunner() {
+  const approvals = createCommandApprovals({ userDataPath: app.getPath('userData'), confirm: confirmCommand });
+  actionRunner = createActionRunner({
+    driver: keyboardDriver,
+    approveCommand: cliOptions.dryRun ? async () => true : approvals.approve,
+    runPlugin: async (step, gesture) => {
+      const { type, ...options } = step;
+      if (cliOptions.dryRun) {
+        console.log(JSON.stringify({ type: 'plugin', step: type, options, time: Date.now() }));
+        return '';
       }
-      
-      execSync(`osascript -e '${script}'`);
-      console.log(`Simulated key: ${keyCode}`);
-    } catch (error) {
-      console.error('Error executing AppleScript:', error);
-      
-      // If error is related to permissions, show a message in the window
-      if (error.message.includes('not allowed assistive access')) {
-        mainWindow.webContents.executeJavaScript(`
-          document.getElementById('last-action').textContent = 'Error: Please enable accessibility permissions';
-        `);
+      return pluginManager.execute(type, options, { gesture, profile: activeProfile });
+    },
+    onStep: (step) => {
+      if (step.ok) {
+        logDev(`Ran ${step.description} for ${step.gesture}`);
       }
+      if (mainWindow) {
+        mainWindow.webContents.send('action-step', step);
+      }
+      publishEvent({ type: 'action-step', ...step });
     }
-  } else {
-    console.log('Keyboard simulation currently only supported on macOS');
+  });
+}
+
+// Pixel position on the primary display for a normalized move. CGEvent works
+// in points, xdotool in physical pixels.
+function getMousePoint(event) {
+  const display = screen.getPrimaryDisplay();
+  const scale = process.platform === 'darwin' ? 1 : display.scaleFactor;
+  const { x, y, width, height } = display.bounds;
+  return toScreenPoint(event, { x: x * scale, y: y * scale, width: width * scale, height: height * scale });
+}
+
+// Mouse output has its own queue so pointer moves don't wait behind keystrokes
+function simulateMouse(event) {
+  if (event.type === 'move' && queuedMove) {
+    queuedMove.event = event;
+    return mouseQueue;
   }
+
+  const entry = { event };
+  queuedMove = event.type === 'move' ? entry : null;
+  mouseQueue = mouseQueue
+    .then(() => {
+      if (queuedMove === entry) queuedMove = null;
+      const point = entry.event.type === 'move' ? getMousePoint(entry.event) : undefined;
+      return keyboardDriver.sendMouse(entry.event, { point });
+    })
+    .catch((error) => {
+      console.error('Error simulating mouse:', error);
+    });
+  return mouseQueue;
 }
 
 function createWindow() {
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width, height } = primaryDisplay.workAreaSize;
-  
   mainWindow = new BrowserWindow({
     width: 800,
     height: 600,
+    // The page gets only what preload.js exposes. The preload itself needs
+    // Node to load the shared modules, so it isn't sandboxed; the hidden
+    // tracking window and the overlay, whose preloads only pass messages, are.
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      preload: path.join(__dirname, 'preload.js')
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: false,
+      preload: path.join(__dirname, 'preload.js'),
+      // A replay from the command line keeps its pace with the window hidden
+      backgroundThrottling: !cliOptions.replay
     },
-    show: true
+    show: !cliOptions.hidden
   });
 
   mainWindow.loadFile('index.html');
   
   mainWindow.on('closed', () => {
     mainWindow = null;
+    if (inferenceWindow) inferenceWindow.close();
+    overlay.close();
   });
+  // The window has the same feedback, so the overlay gives way to it
+  mainWindow.on('show', overlay.hide);
+  mainWindow.on('restore', overlay.hide);
+
+  createInferenceWindow();
+  overlay.apply(gestureConfig.overlay);
 
   // Open DevTools in development mode
-  if (process.argv.includes('--dev')) {
+  if (cliOptions.dev) {
     mainWindow.webContents.openDevTools();
   }
   
   try {
-    // Create compact mode menu item
-    const contextMenu = Menu.buildFromTemplate([
-      { 
-        label: 'Show/Hide Window', 
-        click: () => {
-          if (mainWindow.isVisible()) {
-            mainWindow.hide();
-          } else {
-            mainWindow.show();
-          }
-        } 
-      },
-      { type: 'separator' },
-      { 
-        label: 'Always on Top', 
-        type: 'checkbox',
-        checked: false,
-        click: (menuItem) => {
-          mainWindow.setAlwaysOnTop(menuItem.checked);
-        }
-      },
-      { type: 'separator' },
-      { 
-        label: 'Quit', 
-        click: () => {
-          app.quit();
-        } 
-      }
-    ]);
-    
     // Create a simple icon for the tray - using a 16x16 transparent icon with default Electron app icon
     const icon = nativeImage.createEmpty();
     // Use the Electron default app icon as a fallback
     
     // Create tray icon with the empty icon
     tray = new Tray(icon);
-    tray.setToolTip('Gesture to Shortcut');
-    tray.setContextMenu(contextMenu);
+    updateTray();
     
     // Show window when tray icon is clicked
     tray.on('click', () => {
@@ -140,46 +235,790 @@ function createWindow() {
     });
   } catch (error) {
     console.error('Error setting up tray icon:', error);
+    // Without a tray icon a hidden window could never be shown
+    mainWindow.show();
   }
 }
 
-// Handle keyboard shortcuts through IPC from renderer
-ipcMain.on('trigger-keyboard', (event, key) => {
-  console.log('Triggering key:', key);
+// Hand tracking runs in its own hidden window so inference doesn't stall the
+// main window. Timers keep running there at full speed while it's hidden.
+function createInferenceWindow() {
+  inferenceWindow = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'inference-preload.js'),
+      additionalArguments: [getChannelsArgument('inference')],
+      backgroundThrottling: false
+    }
+  });
+  inferenceWindow.loadFile('inference.html');
+  // The main window usually asks for the camera before this has loaded
+  inferenceWindow.webContents.on('did-finish-load', () => {
+    if (cameraWanted) startInference();
+  });
+  inferenceWindow.on('closed', () => {
+    inferenceWindow = null;
+  });
+
+  if (cliOptions.dev) {
+    inferenceWindow.webContents.openDevTools({ mode: 'detach' });
+  }
+}
+
+// The overlay never takes focus or clicks, so it can't get in the way of
+// the app underneath
+function createOverlayWindow(bounds) {
+  const overlayWindow = new BrowserWindow({
+    ...bounds,
+    show: false,
+    frame: false,
+    transparent: true,
+    resizable: false,
+    movable: false,
+    focusable: false,
+    skipTaskbar: true,
+    hasShadow: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'overlay-preload.js'),
+      additionalArguments: [getChannelsArgument('overlay')]
+    }
+  });
+  overlayWindow.setAlwaysOnTop(true, 'screen-saver');
+  overlayWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+  overlayWindow.setIgnoreMouseEvents(true);
+  return overlayWindow;
+}
+
+// Feedback overlay shown while the main window is hidden (see overlay-window.js)
+const overlay = createOverlayController({
+  createWindow: createOverlayWindow,
+  getWorkArea: () => screen.getPrimaryDisplay().workArea,
+  isCovered: () => Boolean(mainWindow && mainWindow.isVisible() && !mainWindow.isMinimized()),
+  describeState: describeActivation
+});
+
+// Rebuild the tray menu and tooltip, e.g. after the active profile changes
+function updateTray() {
+  if (!tray) return;
+
+  const profileItems = getProfileNames(gestureConfig).map(name => ({
+    label: name,
+    type: 'radio',
+    checked: profileOverride === name,
+    click: () => {
+      profileOverride = name;
+      applyProfileSelection();
+    }
+  }));
+
+  const contextMenu = Menu.buildFromTemplate([
+    { 
+      label: 'Show/Hide Window', 
+      click: () => {
+        if (mainWindow.isVisible()) {
+          mainWindow.hide();
+        } else {
+          mainWindow.show();
+        }
+      } 
+    },
+    { type: 'separator' },
+    { label: `Recognition: ${describeActivation()}`, enabled: false },
+    {
+      label: 'Pause Recognition',
+      type: 'checkbox',
+      checked: activation.getState().paused,
+      click: (menuItem) => {
+        activation.setPaused(menuItem.checked);
+      }
+    },
+    { type: 'separator' },
+    {
+      label: `Profile: ${activeProfile}`,
+      submenu: [
+        {
+          label: 'Automatic',
+          type: 'radio',
+          checked: profileOverride === null,
+          click: () => {
+            profileOverride = null;
+            applyProfileSelection();
+          }
+        },
+        { type: 'separator' },
+        ...profileItems
+      ]
+    },
+    { type: 'separator' },
+    { 
+      label: 'Always on Top', 
+      type: 'checkbox',
+      checked: mainWindow ? mainWindow.isAlwaysOnTop() : false,
+      click: (menuItem) => {
+        mainWindow.setAlwaysOnTop(menuItem.checked);
+      }
+    },
+    { type: 'separator' },
+    { 
+      label: 'Quit', 
+      click: () => {
+        app.quit();
+      } 
+    }
+  ]);
+
+  const status = describeActivation();
+  tray.setToolTip(`Gesture to Shortcut (profile: ${activeProfile}, ${status.toLowerCase()})`);
+  // The tray icon is blank, so on macOS the menu bar title carries the state
+  if (process.platform === 'darwin') {
+    const state = activation.getState();
+    tray.setTitle(state.paused ? 'Paused' : state.armed ? 'Armed' : '');
+  }
+  tray.setContextMenu(contextMenu);
+}
+
+// "Active", "Paused", "Armed" or "Waiting for <wake gesture>"
+function describeActivation() {
+  const state = activation.getState();
+  if (state.paused) return 'Paused';
+  if (state.armed) return 'Armed';
+  if (state.arming) return `Waiting for ${state.wakeGesture}`;
+  return 'Active';
+}
+
+// The pause shortcut works while other apps have focus
+function registerPauseShortcut() {
+  const accelerator = getActivationSettings(gestureConfig.activation).pauseShortcut;
+  if (!accelerator) return;
+
   try {
-    // For tab key, try multiple methods (it can be problematic)
-    if (key === 'tab') {
-      try {
-        // First try with key code
-        const { execSync } = require('child_process');
-        execSync(`osascript -e 'tell application "System Events" to key code 48'`);
-      } catch (error) {
-        // If that fails, try with keystroke
-        simulateKeypress(key);
+    if (!globalShortcut.register(accelerator, () => activation.togglePaused())) {
+      console.error(`Could not register pause shortcut ${accelerator}: it may be in use by another app`);
+    }
+  } catch (error) {
+    console.error(`Invalid pause shortcut "${accelerator}":`, error.message);
+  }
+}
+
+function initActivation() {
+  activation = createActivation({
+    settings: gestureConfig.activation,
+    onChange: (state) => {
+      logDev('Recognition:', describeActivation());
+      updateTray();
+      if (mainWindow) {
+        mainWindow.webContents.send('activation-changed', state);
+      }
+      publishEvent({ type: 'activation', ...state });
+    }
+  });
+  registerPauseShortcut();
+}
+
+function getActiveProfile() {
+  return {
+    name: activeProfile,
+    automatic: profileOverride === null,
+    mappings: getProfileMappings(gestureConfig, activeProfile)
+  };
+}
+
+// Switch to the tray override if there is one, else the profile matched from
+// the focused window, and push the result to the renderer
+function applyProfileSelection() {
+  if (profileOverride !== null && !getProfileNames(gestureConfig).includes(profileOverride)) {
+    profileOverride = null;
+  }
+  const name = profileOverride || autoProfile;
+  if (name !== activeProfile) {
+    logDev('Switching to profile:', name);
+  }
+  activeProfile = name;
+  updateTray();
+  if (mainWindow) {
+    mainWindow.webContents.send('profile-changed', getActiveProfile());
+  }
+  publishEvent({ type: 'profile', name: activeProfile, automatic: profileOverride === null });
+}
+
+function startFocusWatcher() {
+  if (Object.keys(gestureConfig.profiles || {}).length === 0) return;
+
+  focusWatcher = createFocusWatcher({
+    driver: keyboardDriver,
+    onChange: (focusedWindow) => {
+      autoProfile = matchProfile(gestureConfig, focusedWindow);
+      if (profileOverride === null && autoProfile !== activeProfile) {
+        applyProfileSelection();
       }
+    }
+  });
+  focusWatcher.start();
+}
+
+// Run the active profile's mapping by name. Pausing stops every mapping;
+// `ignoreArming` lets API clients run one without the wake gesture.
+// Resolves to { ok: true, mapping } or { ok: false, status, error }.
+function runMapping(name, { source = 'camera', ignoreArming = false } = {}) {
+  const mappings = getProfileMappings(gestureConfig, activeProfile);
+  const mapping = Object.prototype.hasOwnProperty.call(mappings, name) ? mappings[name] : null;
+  const state = activation.getState();
+  let refusal = null;
+  if (!mapping) {
+    refusal = { ok: false, status: 404, error: `No mapping for "${name}" in profile ${activeProfile}` };
+  } else if (state.paused || (!state.accepting && !ignoreArming)) {
+    refusal = { ok: false, status: 409, error: `Recognition is ${describeActivation().toLowerCase()}` };
+  }
+  if (refusal) {
+    const description = mapping ? mapping.label || formatMapping(mapping) : '';
+    publishEvent({ type: 'action', gesture: name, description, error: refusal.error, source });
+    return refusal;
+  }
+
+  logDev(`Triggering ${name}: ${formatMapping(mapping)}`);
+  publishEvent({ type: 'action', gesture: name, description: mapping.label || formatMapping(mapping), source });
+  actionRunner.run(name, mapping);
+  return { ok: true, mapping: name };
+}
+
+// Which of the app's windows sent an IPC message, as named in ipc.js
+function getIpcWindow(event) {
+  if (mainWindow && event.sender === mainWindow.webContents) return 'main';
+  if (inferenceWindow && event.sender === inferenceWindow.webContents) return 'inference';
+  if (overlay.getWindow() && event.sender === overlay.getWindow().webContents) return 'overlay';
+  return null;
+}
+
+function checkIpcMessage(kind, channel, event, args) {
+  const errors = validateIpcMessage(getIpcWindow(event), kind, channel, args);
+  if (errors.length > 0) {
+    console.error(`Rejected IPC message "${channel}": ${errors.join('; ')}`);
+    return false;
+  }
+  return true;
+}
+
+// ipcMain.on and ipcMain.handle, but messages that ipc.js doesn't allow from
+// their window never reach the listener
+function onIpc(channel, listener) {
+  ipcMain.on(channel, (event, ...args) => {
+    if (checkIpcMessage('send', channel, event, args)) {
+      listener(event, ...args);
+    }
+  });
+}
+
+function handleIpc(channel, handler) {
+  ipcMain.handle(channel, (event, ...args) => {
+    if (!checkIpcMessage('invoke', channel, event, args)) {
+      throw new Error(`Rejected IPC request "${channel}"`);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// The renderer names the gesture rather than sending the action, so only
+// configured actions can run
+onIpc('run-mapping', (event, gesture) => {
+  if (typeof gesture !== 'string') return;
+  const result = runMapping(gesture);
+  if (!result.ok) {
+    logDev(`Ignoring ${gesture}: ${result.error}`);
+  }
+});
+
+// Gestures recognized by the renderer, streamed to API clients
+onIpc('gesture-event', (event, value) => {
+  if (!value || typeof value.gesture !== 'string') return;
+  publishEvent({
+    type: 'gesture',
+    gesture: value.gesture,
+    hand: HAND_SIDES.includes(value.hand) ? value.hand : null,
+    kind: typeof value.kind === 'string' ? value.kind : 'press',
+    confidence: Number.isFinite(value.confidence) ? value.confidence : null,
+    timestamp: Number.isFinite(value.timestamp) ? value.timestamp : Date.now(),
+    source: 'camera'
+  });
+});
+
+// Record an event in the history and send it to the history viewer, to
+// local API clients if the API is on, and to the overlay
+function publishEvent(event) {
+  const stamped = { timestamp: Date.now(), ...event };
+  const entry = toHistoryEntry(stamped, activeProfile);
+  if (entry) {
+    const stored = history.add(entry);
+    if (mainWindow) {
+      mainWindow.webContents.send('history-entry', stored);
+    }
+  }
+  if (apiServer) {
+    apiServer.broadcast(stamped);
+  }
+  overlay.update(stamped);
+}
+
+// The main window starts and stops the camera; the inference window sends
+// back landmarks for every processed frame
+function startInference() {
+  if (inferenceWindow && !inferenceWindow.webContents.isLoading()) {
+    inferenceWindow.webContents.send('inference-start', {
+      camera: getCameraSettings(gestureConfig.camera),
+      performance: getPerformanceSettings(gestureConfig.performance)
+    });
+  }
+}
+
+onIpc('start-camera', () => {
+  cameraWanted = true;
+  startInference();
+});
+
+onIpc('stop-camera', () => {
+  cameraWanted = false;
+  if (inferenceWindow) {
+    inferenceWindow.webContents.send('inference-stop');
+  }
+});
+
+onIpc('hand-results', (event, results) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('hand-results', results);
+  }
+});
+
+onIpc('inference-error', (event, message) => {
+  cameraWanted = false;
+  if (mainWindow) {
+    mainWindow.webContents.send('camera-error', message);
+  }
+  overlay.update({ type: 'camera-error', message });
+});
+
+// A gesture made again before its cooldown ran out, which does nothing
+onIpc('gesture-cooldown', (event, gesture, hand) => {
+  overlay.update({ type: 'cooldown', gesture, hand: HAND_SIDES.includes(hand) ? hand : null });
+});
+
+handleIpc('get-history', () => {
+  return history.getEntries();
+});
+
+onIpc('clear-history', () => {
+  history.clear();
+});
+
+// Save the entries matching the viewer's filter as CSV or JSON; resolves to
+// the file path, or null if the dialog is cancelled
+handleIpc('export-history', async (event, format, filter) => {
+  const json = format === 'json';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export History',
+    defaultPath: `gesture-history-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.${json ? 'json' : 'csv'}`,
+    filters: [json ? { name: 'JSON', extensions: ['json'] } : { name: 'CSV', extensions: ['csv'] }]
+  });
+  if (result.canceled || !result.filePath) return null;
+
+  const entries = filterHistory(history.getEntries(), filter && typeof filter === 'object' ? {
+    filter: typeof filter.filter === 'string' ? filter.filter : 'all',
+    text: typeof filter.text === 'string' ? filter.text : ''
+  } : {});
+  fs.writeFileSync(result.filePath, json ? historyToJson(entries) : historyToCsv(entries));
+  return result.filePath;
+});
+
+// A synthetic gesture from the API goes through the same hand-specific
+// mapping lookup, pausing and arming as one from the camera. A "type" of
+// "action" runs the named mapping directly instead.
+function handleApiRequest({ type, gesture, hand = null }) {
+  if (typeof gesture !== 'string' || gesture === '') {
+    return { ok: false, status: 400, error: '"gesture" must be a gesture or mapping name' };
+  }
+  if (hand !== null && !HAND_SIDES.includes(hand)) {
+    return { ok: false, status: 400, error: `"hand" must be one of: ${HAND_SIDES.join(', ')}` };
+  }
+  if (type === 'action') {
+    return runMapping(gesture, { source: 'api', ignoreArming: true });
+  }
+
+  publishEvent({ type: 'gesture', gesture, hand, kind: 'press', confidence: 1, source: 'api' });
+  const state = activation.getState();
+  const wakeGesture = state.wakeGesture;
+  if (!state.paused && wakeGesture && (gesture === wakeGesture || (hand && handGestureName(hand, gesture) === wakeGesture))) {
+    activation.wake();
+    return { ok: true, mapping: null, armed: true };
+  }
+  const name = resolveMappingName(getProfileMappings(gestureConfig, activeProfile), gesture, hand);
+  if (!name) {
+    return { ok: true, mapping: null };
+  }
+  return runMapping(name, { source: 'api' });
+}
+
+function startApiServer() {
+  const settings = getApiSettings(gestureConfig.api);
+  if (!settings.enabled) return;
+
+  apiServer = createApiServer({
+    settings,
+    handleRequest: handleApiRequest,
+    getStatus: () => ({
+      profile: activeProfile,
+      mappings: Object.keys(getProfileMappings(gestureConfig, activeProfile)),
+      activation: activation.getState()
+    })
+  });
+  apiServer.start()
+    .then(url => logInfo('Event API listening on', url))
+    .catch((error) => {
+      console.error('Could not start the event API:', error.message);
+      apiServer = null;
+    });
+}
+
+handleIpc('get-activation', () => {
+  return activation.getState();
+});
+
+onIpc('set-paused', (event, paused) => {
+  activation.setPaused(paused === true);
+});
+
+// The renderer saw the wake gesture
+onIpc('wake-gesture', () => {
+  activation.wake();
+});
+
+// Pointer output from air-mouse mode in the renderer
+onIpc('mouse-event', (event, value) => {
+  const { event: mouseEvent, errors } = normalizeMouseEvent(value);
+  if (!mouseEvent) {
+    console.error('Ignoring invalid mouse event:', errors.join('; '));
+    return;
+  }
+  simulateMouse(mouseEvent);
+});
+
+// Serve the gesture mapping config to the renderer
+handleIpc('get-config', () => {
+  return gestureConfig;
+});
+
+handleIpc('get-active-profile', () => {
+  return getActiveProfile();
+});
+
+// Apply `change(savedConfig)` to the config file and, once it's saved, to
+// gestureConfig and the overlay. Resolves to { ok, errors }.
+function saveConfigChange(change, description) {
+  if (!savedConfig) {
+    return { ok: false, errors: [`${configPath} has problems, so changes aren't saved over it. Fix the file and restart the app.`] };
+  }
+  const candidate = change(savedConfig);
+  const errors = validateConfig(candidate, getConfigOptions());
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+  try {
+    saveConfigFile(configPath, candidate);
+  } catch (error) {
+    console.error(`Error saving ${description}:`, error);
+    return { ok: false, errors: [error.message] };
+  }
+  savedConfig = candidate;
+  gestureConfig = normalizeConfig(candidate, getConfigOptions());
+  overlay.apply(gestureConfig.overlay);
+  return { ok: true, errors: [] };
+}
+
+// Validate and persist one profile's mappings from the in-app editor
+handleIpc('save-mappings', (event, profileName, mappings) => {
+  if (profileName !== DEFAULT_PROFILE && !(gestureConfig.profiles && gestureConfig.profiles[profileName])) {
+    return { ok: false, errors: [`Unknown profile "${profileName}"`] };
+  }
+
+  const result = saveConfigChange((config) => {
+    if (profileName === DEFAULT_PROFILE) {
+      return { ...config, mappings: keepMappingNotation(mappings, config.mappings, getConfigOptions()) };
+    }
+    const previous = config.profiles[profileName];
+    const profile = { ...previous, mappings: keepMappingNotation(mappings, previous.mappings, getConfigOptions()) };
+    return { ...config, profiles: { ...config.profiles, [profileName]: profile } };
+  }, 'config');
+  if (!result.ok) {
+    return result;
+  }
+
+  if (profileName === activeProfile) {
+    applyProfileSelection();
+  }
+  return { ok: true, config: gestureConfig };
+});
+
+// Save thresholds from the calibration wizard (see calibration.js), or go
+// back to the defaults with null; resolves to { ok, errors }
+handleIpc('save-calibration', (event, calibration) => {
+  return saveConfigChange((config) => {
+    const candidate = { ...config };
+    if (calibration) {
+      candidate.calibration = calibration;
     } else {
-      simulateKeypress(key);
+      delete candidate.calibration;
     }
+    return candidate;
+  }, 'calibration');
+});
+
+// The Camera section of the Settings panel saves the camera settings along
+// with the performance section, which holds MediaPipe's model complexity. A
+// running camera is restarted by the renderer to pick them up.
+handleIpc('save-camera-settings', (event, camera, performance) => {
+  return saveConfigChange(config => ({ ...config, camera, performance }), 'camera settings');
+});
+
+// Landmark recording: the renderer streams frames while a recording is open
+handleIpc('start-recording', () => {
+  if (!recordingWriter) {
+    recordingWriter = createRecordingWriter(getRecordingsDir(app.getPath('userData')));
+    logInfo('Recording landmarks to', recordingWriter.path);
+  }
+  return recordingWriter.path;
+});
+
+onIpc('record-frame', (event, frame) => {
+  if (recordingWriter) {
+    recordingWriter.write(frame);
+  }
+});
+
+handleIpc('stop-recording', async () => {
+  if (!recordingWriter) return null;
+  const writer = recordingWriter;
+  recordingWriter = null;
+  const frames = await writer.close();
+  return { path: writer.path, frames };
+});
+
+// Pick a recording to replay; resolves to null if the dialog is cancelled
+handleIpc('open-recording', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Replay Landmark Recording',
+    defaultPath: getRecordingsDir(app.getPath('userData')),
+    filters: [{ name: 'Landmark Recordings', extensions: ['jsonl'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  return { path: filePath, frames: readRecording(filePath) };
+});
+
+// The recording given with --replay, which the renderer plays instead of
+// starting the camera; null without one
+handleIpc('get-launch-replay', () => {
+  return launchReplay && { path: cliOptions.replay, frames: launchReplay, realtime: !cliOptions.fast };
+});
+
+// A hidden replay from the command line quits once its actions have run
+onIpc('replay-finished', (event, result) => {
+  logInfo(`Replay finished after ${result.frames} frames`);
+  if (cliOptions.replay && cliOptions.hidden) {
+    Promise.all([actionRunner.whenIdle(), mouseQueue]).then(() => app.quit());
+  }
+});
+
+// Custom gestures taught in the app
+handleIpc('get-custom-gestures', () => {
+  return customGestures;
+});
+
+// Save (or replace) a taught gesture; resolves to { ok, errors, gestures }
+handleIpc('save-custom-gesture', (event, name, samples) => {
+  const gesture = { name: typeof name === 'string' ? name.trim() : name, createdAt: new Date().toISOString(), samples };
+  const errors = validateCustomGesture(gesture, BUILT_IN_GESTURES);
+  if (errors.length > 0) {
+    return { ok: false, errors, gestures: customGestures };
+  }
+
+  const updated = [...customGestures.filter(existing => existing.name !== gesture.name), gesture];
+  try {
+    saveCustomGestures(app.getPath('userData'), updated);
+  } catch (error) {
+    console.error('Error saving custom gestures:', error);
+    return { ok: false, errors: [error.message], gestures: customGestures };
+  }
+  customGestures = updated;
+  return { ok: true, errors: [], gestures: customGestures };
+});
+
+// Resolves to { ok, errors, gestures } like save-custom-gesture
+handleIpc('delete-custom-gesture', (event, name) => {
+  const updated = customGestures.filter(gesture => gesture.name !== name);
+  try {
+    saveCustomGestures(app.getPath('userData'), updated);
   } catch (error) {
-    console.error('Error typing key:', error);
+    console.error('Error saving custom gestures:', error);
+    return { ok: false, errors: [error.message], gestures: customGestures };
   }
+  customGestures = updated;
+  return { ok: true, errors: [], gestures: customGestures };
+});
+
+// Write one taught gesture to a file of the user's choosing; null if cancelled
+handleIpc('export-custom-gesture', async (event, name) => {
+  const gesture = customGestures.find(existing => existing.name === name);
+  if (!gesture) return null;
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Custom Gesture',
+    defaultPath: `${name.replace(/[^\w -]/g, '_')}.json`,
+    filters: [{ name: 'Gesture Samples', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) return null;
+
+  fs.writeFileSync(result.filePath, serializeCustomGestures([gesture]));
+  return result.filePath;
 });
 
 // Handle minimize to tray event
-ipcMain.on('minimize-to-tray', () => {
+onIpc('minimize-to-tray', () => {
   if (mainWindow) {
     mainWindow.hide();
   }
 });
 
-app.whenReady().then(() => {
+// Plugins run in Electron utility processes, one each (see plugin-manager.js)
+async function loadPlugins() {
+  const dir = getPluginsDir(app.getPath('userData'));
+  pluginManager = createPluginManager({
+    dir,
+    fork: (modulePath, args) => utilityProcess.fork(modulePath, args, { serviceName: 'Gesture to Shortcut plugin' })
+  });
+  const errors = await pluginManager.load();
+  errors.forEach(error => console.error(error));
+  const types = [...pluginManager.getActions().keys()];
+  if (types.length > 0) {
+    logInfo(`Loaded plugin actions from ${dir}: ${types.join(', ')}`);
+  }
+}
+
+// What config validation needs to know beyond the file itself. Plugin steps
+// that can't be checked, for plugins that failed to load or aren't loaded in
+// a dry run, are kept, unless the config must be valid (`strict`).
+function getConfigOptions({ strict = false } = {}) {
+  return {
+    pluginActions: pluginManager ? pluginManager.getActions() : new Map(),
+    requirePluginActions: strict
+  };
+}
+
+// The app's pages never navigate or open windows, and only ever need the camera
+app.on('web-contents-created', (event, contents) => {
+  contents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  contents.on('will-navigate', (navigateEvent) => navigateEvent.preventDefault());
+});
+
+app.whenReady().then(async () => {
+  session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
+    callback(permission === 'media');
+  });
+
+  if (cliErrors.length > 0 || cliOptions.help) {
+    cliErrors.forEach(error => console.error(error));
+    console.log(formatUsage());
+    app.exit(cliErrors.length > 0 ? EXIT_USAGE_ERROR : 0);
+    return;
+  }
+
+  // Loading a plugin runs its code, which a dry run mustn't
+  if (!cliOptions.dryRun) {
+    await loadPlugins();
+  }
+
+  // A config given on the command line, or checked by a script, must be
+  // valid; otherwise a broken file falls back to the default mappings
+  const strictConfig = Boolean(cliOptions.config || cliOptions.checkConfig || cliOptions.dryRun);
+  const configOptions = getConfigOptions({ strict: strictConfig });
+  const loaded = cliOptions.config
+    ? loadConfigFile(cliOptions.config, configOptions)
+    : loadConfig(app.getPath('userData'), configOptions);
+  configPath = loaded.path;
+  const errors = loaded.errors.slice();
+  if (errors.length === 0 && cliOptions.profile && !getProfileNames(loaded.config).includes(cliOptions.profile)) {
+    errors.push(`--profile: no profile named "${cliOptions.profile}"`);
+  }
+  if (errors.length > 0) {
+    console.error(`Invalid config at ${configPath}${strictConfig ? ':' : ', using default mappings:'}`);
+    errors.forEach(error => console.error(`  ${error}`));
+    if (strictConfig || cliOptions.profile) {
+      app.exit(EXIT_CONFIG_ERROR);
+      return;
+    }
+  } else {
+    logInfo('Loaded config from', configPath);
+  }
+  if (cliOptions.checkConfig) {
+    app.exit(0);
+    return;
+  }
+  gestureConfig = loaded.config;
+  savedConfig = loaded.raw;
+  if (cliOptions.profile) {
+    profileOverride = cliOptions.profile;
+    activeProfile = cliOptions.profile;
+  }
+
+  if (cliOptions.replay) {
+    try {
+      launchReplay = readRecording(cliOptions.replay);
+    } catch (error) {
+      console.error(`Could not read recording ${cliOptions.replay}: ${error.message}`);
+      app.exit(EXIT_USAGE_ERROR);
+      return;
+    }
+  }
+
+  try {
+    const customGestureResult = loadCustomGestures(app.getPath('userData'), BUILT_IN_GESTURES);
+    customGestureResult.errors.forEach(error => console.error(error));
+    customGestures = customGestureResult.gestures;
+  } catch (error) {
+    console.error('Error loading custom gestures:', error);
+  }
+
+  try {
+    initKeyboardDriver();
+  } catch (error) {
+    console.error(error.message);
+    app.exit(1);
+    return;
+  }
+  initActionRunner();
+  initActivation();
+  startApiServer();
+
   createWindow();
+  startFocusWatcher();
 
   app.on('activate', function () {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
   });
 });
 
+app.on('will-quit', () => {
+  if (focusWatcher) focusWatcher.stop();
+  if (activation) activation.dispose();
+  if (apiServer) apiServer.stop();
+  if (pluginManager) pluginManager.stop();
+  globalShortcut.unregisterAll();
+});
+
 app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
 }); 
\ No newline at end of file
@@ -0,0 +1,278 @@
+// Mapping editor for the Settings panel. Every gesture gets a dropdown of
+// preset keys plus a "Record" button that captures a full key combo. Action
+// lists are edited in the config file; the editor shows and keeps them.
+
+const { normalizeAction, formatAction, comboId, keyFromCode } = window.gestureApp.keys;
+const { formatMapping, mappingId } = window.gestureApp.actions;
+const { isGestureVariant, getBaseGesture } = window.gestureApp.gestureTracker;
+const { HAND_SIDES, handGestureName, comboName } = window.gestureApp.handMappings;
+
+// Common choices offered in each dropdown; anything else can be recorded
+const PRESETS = [
+  'Space', 'Enter', 'Escape', 'Tab', 'Backspace',
+  'PageUp', 'PageDown', 'Left', 'Right', 'Up', 'Down', 'Home', 'End',
+  'PlayPause', 'NextTrack', 'PrevTrack', 'VolumeUp', 'VolumeDown', 'Mute',
+  'Cmd++', 'Cmd+-'
+].map(combo => normalizeAction(combo).action);
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// Translate a keydown event into { key, modifiers }. `key` is null when only
+// modifiers are held and undefined when the key can't be sent. Keys come from
+// KeyboardEvent.code so Shift+] records as "]" and not "}".
+function comboFromKeyEvent(event) {
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('ctrl');
+  if (event.altKey) modifiers.push('alt');
+  if (event.shiftKey) modifiers.push('shift');
+  if (event.metaKey) modifiers.push('cmd');
+
+  if (MODIFIER_KEYS.includes(event.key)) {
+    return { key: null, modifiers };
+  }
+
+  return { key: keyFromCode(event.code) || undefined, modifiers };
+}
+
+// Returns { errors, warnings } keyed by gesture name
+function validateMappings(gestures, mappings) {
+  const errors = {};
+  const warnings = {};
+  const owners = {};
+
+  for (const gesture of gestures) {
+    const mapping = mappings[gesture];
+    if (!mapping) {
+      // Hold and long-press variants are optional extras
+      if (!isGestureVariant(gesture)) {
+        warnings[gesture] = 'Not assigned';
+      }
+      continue;
+    }
+    const id = mappingId(mapping);
+    // Tapping and holding the same gesture may well send the same keys
+    if (owners[id] && getBaseGesture(owners[id]) !== getBaseGesture(gesture)) {
+      errors[gesture] = `Same keys as ${owners[id]}`;
+      errors[owners[id]] = errors[owners[id]] || `Same keys as ${gesture}`;
+    } else {
+      owners[id] = gesture;
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// `handGestures` can be mapped for one hand ("Left Palm") and `comboGestures`
+// combined across both ("Left Palm + Right Pointing Up") with the Add row
+function createMappingEditor(container, { gestures: initialGestures, handGestures = [], comboGestures = [], onSave }) {
+  let gestures = initialGestures;
+  let handOptions = { handGestures, comboGestures };
+  let draft = {};
+  let recording = null;
+  const recordErrors = {};
+  // Hand-specific and combination rows added but not assigned yet
+  const addedNames = new Set();
+
+  const table = document.createElement('table');
+  table.className = 'mapping-editor';
+  const status = document.createElement('p');
+  status.className = 'mapping-editor-status';
+  const saveButton = document.createElement('button');
+  saveButton.textContent = 'Save Mappings';
+
+  const addRow = document.createElement('div');
+  addRow.className = 'mapping-editor-add';
+  const handSelect = document.createElement('select');
+  for (const side of HAND_SIDES) {
+    handSelect.appendChild(new Option(`${side} hand`, side));
+  }
+  handSelect.appendChild(new Option('Both hands', 'Both'));
+  const firstGestureSelect = document.createElement('select');
+  const secondGestureSelect = document.createElement('select');
+  const addButton = document.createElement('button');
+  addButton.textContent = 'Add Mapping';
+  addRow.append(handSelect, firstGestureSelect, secondGestureSelect, addButton);
+
+  container.appendChild(table);
+  container.appendChild(addRow);
+  container.appendChild(status);
+  container.appendChild(saveButton);
+
+  // One hand picks any gesture; both hands pick a pose for each
+  function renderAddRow() {
+    const both = handSelect.value === 'Both';
+    const firstSide = both ? 'Left' : handSelect.value;
+    const firstChoices = both ? handOptions.comboGestures : handOptions.handGestures;
+    firstGestureSelect.innerHTML = '';
+    for (const gesture of firstChoices) {
+      firstGestureSelect.appendChild(new Option(handGestureName(firstSide, gesture), gesture));
+    }
+    secondGestureSelect.innerHTML = '';
+    for (const gesture of handOptions.comboGestures) {
+      secondGestureSelect.appendChild(new Option(handGestureName('Right', gesture), gesture));
+    }
+    secondGestureSelect.hidden = !both;
+  }
+
+  handSelect.addEventListener('change', renderAddRow);
+  addButton.addEventListener('click', () => {
+    if (!firstGestureSelect.value) return;
+    const name = handSelect.value === 'Both'
+      ? comboName(firstGestureSelect.value, secondGestureSelect.value)
+      : handGestureName(handSelect.value, firstGestureSelect.value);
+    addedNames.add(name);
+    render();
+  });
+
+  // The fixed gesture rows, then hand-specific and combination mappings
+  function getRowNames() {
+    const extra = [...Object.keys(draft), ...addedNames].filter(name => !gestures.includes(name));
+    return [...gestures, ...new Set(extra)];
+  }
+
+  function render() {
+    const rowNames = getRowNames();
+    const { errors, warnings } = validateMappings(rowNames, draft);
+    Object.assign(errors, recordErrors);
+    table.innerHTML = '';
+
+    for (const gesture of rowNames) {
+      const mapping = draft[gesture];
+      const row = document.createElement('tr');
+      if (errors[gesture]) {
+        row.className = 'mapping-row-error';
+      } else if (isGestureVariant(gesture)) {
+        row.className = 'mapping-row-variant';
+      }
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = gesture;
+
+      const select = document.createElement('select');
+      select.appendChild(new Option('Unassigned', ''));
+      for (const preset of PRESETS) {
+        select.appendChild(new Option(formatAction(preset), comboId(preset)));
+      }
+      const isPlainPreset = mapping && mapping.repeat === 1 && mapping.holdMs === 0 &&
+        PRESETS.some(preset => comboId(preset) === comboId(mapping));
+      if (isPlainPreset) {
+        select.value = comboId(mapping);
+      } else if (mapping) {
+        select.appendChild(new Option(formatMapping(mapping), 'custom'));
+        select.value = 'custom';
+      }
+      select.addEventListener('change', () => {
+        delete recordErrors[gesture];
+        if (select.value === '') {
+          delete draft[gesture];
+          addedNames.delete(gesture);
+        } else if (select.value !== 'custom') {
+          const preset = PRESETS.find(entry => comboId(entry) === select.value);
+          draft[gesture] = { ...preset };
+        }
+        render();
+      });
+
+      const recordButton = document.createElement('button');
+      recordButton.textContent = recording === gesture ? 'Press keys…' : 'Record';
+      recordButton.addEventListener('click', () => {
+        recording = recording === gesture ? null : gesture;
+        render();
+      });
+
+      const feedback = document.createElement('td');
+      feedback.className = 'mapping-feedback';
+      feedback.textContent = errors[gesture] || warnings[gesture] || '';
+
+      const controlCell = document.createElement('td');
+      controlCell.appendChild(select);
+      controlCell.appendChild(recordButton);
+
+      row.appendChild(nameCell);
+      row.appendChild(controlCell);
+      row.appendChild(feedback);
+      table.appendChild(row);
+    }
+
+    const errorCount = Object.keys(errors).length;
+    saveButton.disabled = errorCount > 0;
+    if (errorCount > 0) {
+      status.textContent = `Fix ${errorCount} conflicting or empty assignment(s) before saving`;
+    } else if (Object.keys(warnings).length > 0) {
+      status.textContent = `${Object.keys(warnings).length} gesture(s) not assigned`;
+    } else {
+      status.textContent = '';
+    }
+  }
+
+  // Capture phase so Tab and Enter don't move focus or click the button
+  window.addEventListener('keydown', (event) => {
+    if (!recording) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const combo = comboFromKeyEvent(event);
+    if (combo.key === null) {
+      return;
+    }
+    const { action, errors } = combo.key === undefined
+      ? { action: null, errors: [`${event.key} can't be sent`] }
+      : normalizeAction(combo);
+    if (action) {
+      delete recordErrors[recording];
+      draft[recording] = action;
+    } else {
+      recordErrors[recording] = errors.join('; ');
+    }
+    recording = null;
+    render();
+  }, true);
+
+  // Releasing modifiers without pressing a key leaves an empty combo
+  window.addEventListener('keyup', (event) => {
+    if (!recording || !MODIFIER_KEYS.includes(event.key)) return;
+    const stillHeld = event.ctrlKey || event.altKey || event.shiftKey || event.metaKey;
+    if (!stillHeld) {
+      recordErrors[recording] = 'Empty combo: add a non-modifier key';
+      recording = null;
+      render();
+    }
+  }, true);
+
+  saveButton.addEventListener('click', async () => {
+    saveButton.disabled = true;
+    status.textContent = 'Saving…';
+    const result = await onSave(JSON.parse(JSON.stringify(draft)));
+    if (result.ok) {
+      render();
+      status.textContent = 'Mappings saved';
+    } else {
+      render();
+      status.textContent = `Could not save: ${result.errors.join('; ')}`;
+    }
+  });
+
+  renderAddRow();
+
+  return {
+    setMappings(mappings) {
+      draft = JSON.parse(JSON.stringify(mappings));
+      addedNames.clear();
+      render();
+    },
+
+    // Custom gestures come and go, so the list of rows can change
+    setGestures(names, options = {}) {
+      gestures = names;
+      handOptions = { handGestures: [], comboGestures: [], ...options };
+      renderAddRow();
+      render();
+    }
+  };
+}
+
+export {
+  createMappingEditor,
+  comboFromKeyEvent,
+  validateMappings
+};
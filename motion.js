@@ -0,0 +1,202 @@
+// Motion gestures: swipes and circles traced by the palm centre over the last
+// fraction of a second. Like gestures.js this only looks at landmarks and
+// timestamps, so recordings replay through it exactly.
+//
+// Distances are in palm lengths so the same movement counts whether the hand
+// is near the camera or far from it. Directions are as seen in the preview
+// (image coordinates, with y pointing down).
+
+const MOTION_GESTURES = [
+  "Swipe Left",
+  "Swipe Right",
+  "Swipe Up",
+  "Swipe Down",
+  "Circle Clockwise",
+  "Circle Counter-Clockwise"
+];
+
+// Same aspect ratio correction as gestures.js, so circles aren't squashed
+const DEFAULT_ASPECT_RATIO = 640 / 480;
+
+const DEFAULT_MOTION_SETTINGS = {
+  // A swipe must cover swipeDistance palm lengths within swipeWindowMs, at
+  // swipeSpeed palm lengths per second or more, along a mostly straight path
+  // (straight-line distance / path length) and mostly along one axis
+  swipeDistance: 2,
+  swipeSpeed: 4,
+  swipeWindowMs: 500,
+  swipeStraightness: 0.9,
+  // A circle must sweep this fraction of a full turn within circleWindowMs,
+  // with a radius of at least circleMinRadius palm lengths
+  circleCompleteness: 0.85,
+  circleWindowMs: 1500,
+  circleMinRadius: 0.5
+};
+
+// Wrist and the four finger knuckles move with the hand but not with the fingers
+const PALM_LANDMARKS = [0, 5, 9, 13, 17];
+
+function getMotionSettings(settings) {
+  return { ...DEFAULT_MOTION_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `motionSettings` section of a config
+function validateMotionSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"motionSettings" must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!(name in DEFAULT_MOTION_SETTINGS)) {
+      errors.push(`"motionSettings": unknown setting "${name}"`);
+    } else if (!Number.isFinite(value) || value <= 0) {
+      errors.push(`"motionSettings": "${name}" must be a positive number`);
+    }
+  }
+  return errors;
+}
+
+// Palm centre and palm length, with x stretched to match y's scale
+function getPalmPosition(landmarks, aspectRatio = DEFAULT_ASPECT_RATIO) {
+  let x = 0;
+  let y = 0;
+  for (const index of PALM_LANDMARKS) {
+    x += landmarks[index].x * aspectRatio;
+    y += landmarks[index].y;
+  }
+  const wrist = landmarks[0];
+  const middleBase = landmarks[9];
+  const palmSize = Math.hypot((middleBase.x - wrist.x) * aspectRatio, middleBase.y - wrist.y) || 1;
+  return { x: x / PALM_LANDMARKS.length, y: y / PALM_LANDMARKS.length, palmSize };
+}
+
+function detectSwipe(samples, palmSize, settings) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsed = (last.time - first.time) / 1000;
+  if (elapsed <= 0) return null;
+
+  const dx = (last.x - first.x) / palmSize;
+  const dy = (last.y - first.y) / palmSize;
+  const distance = Math.hypot(dx, dy);
+  if (distance < settings.swipeDistance || distance / elapsed < settings.swipeSpeed) {
+    return null;
+  }
+
+  let pathLength = 0;
+  for (let i = 1; i < samples.length; i++) {
+    pathLength += Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y);
+  }
+  if (distance / (pathLength / palmSize || 1) < settings.swipeStraightness) {
+    return null;
+  }
+
+  // Diagonal movements are ambiguous, so one axis has to clearly dominate
+  if (Math.abs(dx) >= 2 * Math.abs(dy)) {
+    return dx > 0 ? "Swipe Right" : "Swipe Left";
+  }
+  if (Math.abs(dy) >= 2 * Math.abs(dx)) {
+    return dy > 0 ? "Swipe Down" : "Swipe Up";
+  }
+  return null;
+}
+
+function detectCircle(samples, palmSize, settings) {
+  if (samples.length < 8) return null;
+
+  let centerX = 0;
+  let centerY = 0;
+  for (const sample of samples) {
+    centerX += sample.x;
+    centerY += sample.y;
+  }
+  centerX /= samples.length;
+  centerY /= samples.length;
+
+  // Total signed angle swept around the centre, and how round the path is
+  let sweep = 0;
+  let radiusSum = 0;
+  let previousAngle = null;
+  const radii = [];
+  for (const sample of samples) {
+    const radius = Math.hypot(sample.x - centerX, sample.y - centerY) / palmSize;
+    radii.push(radius);
+    radiusSum += radius;
+    const angle = Math.atan2(sample.y - centerY, sample.x - centerX);
+    if (previousAngle !== null) {
+      let delta = angle - previousAngle;
+      if (delta > Math.PI) delta -= 2 * Math.PI;
+      if (delta < -Math.PI) delta += 2 * Math.PI;
+      sweep += delta;
+    }
+    previousAngle = angle;
+  }
+
+  const meanRadius = radiusSum / samples.length;
+  if (meanRadius < settings.circleMinRadius) return null;
+  // A wobbly line back and forth passes close to the centre; a circle doesn't
+  if (Math.min(...radii) < meanRadius * 0.3) return null;
+  if (Math.abs(sweep) < 2 * Math.PI * settings.circleCompleteness) return null;
+
+  // With y pointing down, a positive sweep is clockwise on screen
+  return sweep > 0 ? "Circle Clockwise" : "Circle Counter-Clockwise";
+}
+
+// Tracks one hand's palm trajectory. `settings` is the config's motionSettings.
+// With `mirrored`, directions are those of a mirrored preview: the camera's
+// left is the user's right.
+function createMotionDetector({ settings, aspectRatio = DEFAULT_ASPECT_RATIO, mirrored = false } = {}) {
+  const xSign = mirrored ? -1 : 1;
+  const motionSettings = getMotionSettings(settings);
+  const windowMs = Math.max(motionSettings.swipeWindowMs, motionSettings.circleWindowMs);
+  let samples = [];
+  let lastMotionTime = -Infinity;
+
+  return {
+    // Add this frame's landmarks for the hand; returns a motion gesture name
+    // when the trajectory just completed one, otherwise null
+    update(landmarks, now) {
+      const position = getPalmPosition(landmarks, aspectRatio);
+      samples.push({ x: position.x * xSign, y: position.y, time: now });
+      samples = samples.filter(sample => now - sample.time <= windowMs);
+      // Give the hand a moment after a motion, so bringing it back to where
+      // it started isn't taken for a swipe the other way
+      if (now - lastMotionTime < motionSettings.swipeWindowMs) {
+        return null;
+      }
+
+      const swipeSamples = samples.filter(sample => now - sample.time <= motionSettings.swipeWindowMs);
+      const motion = detectSwipe(swipeSamples, position.palmSize, motionSettings) ||
+        detectCircle(samples, position.palmSize, motionSettings);
+
+      // Start over so the same movement isn't reported on the next frame too
+      if (motion) {
+        samples = [];
+        lastMotionTime = now;
+      }
+      return motion;
+    },
+
+    // Recent palm centres, oldest first, in normalized image coordinates
+    // (of the camera image, even when mirrored)
+    getTrail() {
+      return samples.map(sample => ({ x: sample.x * xSign / aspectRatio, y: sample.y }));
+    },
+
+    reset() {
+      samples = [];
+      lastMotionTime = -Infinity;
+    }
+  };
+}
+
+module.exports = {
+  MOTION_GESTURES,
+  DEFAULT_MOTION_SETTINGS,
+  getMotionSettings,
+  validateMotionSettings,
+  getPalmPosition,
+  createMotionDetector
+};
@@ -0,0 +1,120 @@
+// Mouse output for air-mouse mode. The renderer describes what the pointer
+// should do with plain events; main.js validates them and hands them to the
+// driver, which turns them into osascript or xdotool calls like keys.js does
+// for keystrokes.
+//
+//   { type: 'move', x, y }                    x and y from 0 to 1 across the screen
+//   { type: 'button', button, action }        button: left/right/middle, action: click/down/up
+//   { type: 'scroll', dy }                    whole lines, positive scrolls down
+
+const MOUSE_BUTTONS = {
+  left: { x11: 1, macDown: 1, macUp: 2, macDragged: 6, macNumber: 0 },
+  right: { x11: 3, macDown: 3, macUp: 4, macDragged: 7, macNumber: 1 },
+  middle: { x11: 2, macDown: 25, macUp: 26, macDragged: 27, macNumber: 2 }
+};
+
+const BUTTON_ACTIONS = ['click', 'down', 'up'];
+
+const MAX_SCROLL_LINES = 50;
+
+// Returns { event, errors } like normalizeAction in keys.js
+function normalizeMouseEvent(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { event: null, errors: ['Mouse event must be an object'] };
+  }
+
+  if (value.type === 'move') {
+    const inRange = coordinate => typeof coordinate === 'number' && coordinate >= 0 && coordinate <= 1;
+    if (!inRange(value.x) || !inRange(value.y)) {
+      return { event: null, errors: ['"x" and "y" must be between 0 and 1'] };
+    }
+    return { event: { type: 'move', x: value.x, y: value.y }, errors: [] };
+  }
+
+  if (value.type === 'button') {
+    const button = value.button === undefined ? 'left' : value.button;
+    const errors = [];
+    if (!MOUSE_BUTTONS[button]) errors.push(`Unknown mouse button "${button}"`);
+    if (!BUTTON_ACTIONS.includes(value.action)) errors.push(`"action" must be one of: ${BUTTON_ACTIONS.join(', ')}`);
+    if (errors.length > 0) return { event: null, errors };
+    return { event: { type: 'button', button, action: value.action }, errors: [] };
+  }
+
+  if (value.type === 'scroll') {
+    if (!Number.isInteger(value.dy) || value.dy === 0 || Math.abs(value.dy) > MAX_SCROLL_LINES) {
+      return { event: null, errors: [`"dy" must be a whole number of lines from 1 to ${MAX_SCROLL_LINES} either way`] };
+    }
+    return { event: { type: 'scroll', dy: value.dy }, errors: [] };
+  }
+
+  return { event: null, errors: [`Unknown mouse event type "${value.type}"`] };
+}
+
+// Screen position in pixels for a normalized move, given the display's bounds
+function toScreenPoint(event, bounds) {
+  return {
+    x: Math.round(bounds.x + event.x * (bounds.width - 1)),
+    y: Math.round(bounds.y + event.y * (bounds.height - 1))
+  };
+}
+
+// JXA for one mouse event. `point` is the screen position for moves and
+// `heldButton` the button currently down, so moves while dragging are sent as
+// drags (macOS ignores plain moves for that).
+function toMacMouseScript(event, { point, heldButton } = {}) {
+  const lines = ["ObjC.import('Cocoa');"];
+
+  if (event.type === 'move') {
+    const type = heldButton ? MOUSE_BUTTONS[heldButton].macDragged : 5;
+    const button = heldButton ? MOUSE_BUTTONS[heldButton].macNumber : 0;
+    lines.push(
+      `var event = $.CGEventCreateMouseEvent($(), ${type}, $.CGPointMake(${point.x}, ${point.y}), ${button});`,
+      '$.CGEventPost($.kCGHIDEventTap, event);'
+    );
+  } else if (event.type === 'button') {
+    const props = MOUSE_BUTTONS[event.button];
+    const types = { click: [props.macDown, props.macUp], down: [props.macDown], up: [props.macUp] }[event.action];
+    lines.push('var location = $.CGEventGetLocation($.CGEventCreate($()));');
+    for (const type of types) {
+      lines.push(
+        `$.CGEventPost($.kCGHIDEventTap, $.CGEventCreateMouseEvent($(), ${type}, location, ${props.macNumber}));`
+      );
+    }
+  } else if (event.type === 'scroll') {
+    // The variadic CGEventCreateScrollWheelEvent can't be called from JXA;
+    // the fixed-argument version needs macOS 13. Positive wheel values scroll up.
+    lines.push(
+      `var event = $.CGEventCreateScrollWheelEvent2($(), 1, 1, ${-event.dy}, 0, 0);`,
+      '$.CGEventPost($.kCGHIDEventTap, event);'
+    );
+  } else {
+    return null;
+  }
+
+  return { language: 'JavaScript', script: lines.join('\n') };
+}
+
+// xdotool arguments for one mouse event; `point` is the position for moves
+function toXdotoolMouseArgs(event, { point } = {}) {
+  if (event.type === 'move') {
+    return ['mousemove', String(point.x), String(point.y)];
+  }
+  if (event.type === 'button') {
+    const command = { click: 'click', down: 'mousedown', up: 'mouseup' }[event.action];
+    return [command, String(MOUSE_BUTTONS[event.button].x11)];
+  }
+  if (event.type === 'scroll') {
+    // X11 scrolls with buttons 4 (up) and 5 (down)
+    return ['click', '--repeat', String(Math.abs(event.dy)), event.dy > 0 ? '5' : '4'];
+  }
+  return null;
+}
+
+module.exports = {
+  MOUSE_BUTTONS,
+  MAX_SCROLL_LINES,
+  normalizeMouseEvent,
+  toScreenPoint,
+  toMacMouseScript,
+  toXdotoolMouseArgs
+};
@@ -0,0 +1,18 @@
+// The overlay window's counterpart to preload.js: `window.gestureOverlay`
+// can only hear the feedback main.js pushes to it. The window is sandboxed,
+// so this loads nothing but Electron; main.js passes the channels from
+// ipc.js as an argument.
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+const CHANNELS_ARGUMENT = '--ipc-channels=';
+const channels = JSON.parse(process.argv.find(arg => arg.startsWith(CHANNELS_ARGUMENT)).slice(CHANNELS_ARGUMENT.length));
+
+contextBridge.exposeInMainWorld('gestureOverlay', {
+  on(channel, listener) {
+    if (!channels.receive.includes(channel)) {
+      throw new Error(`IPC channel "${channel}" isn't available to this window`);
+    }
+    ipcRenderer.on(channel, (event, ...args) => listener(...args));
+  }
+});
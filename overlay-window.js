@@ -0,0 +1,203 @@
+const { handGestureName } = require('./hand-mappings');
+
+// Feedback overlay: a small always-on-top, click-through window that shows
+// what the app saw and did while the main window is hidden (its page is
+// overlay.js). Configured in the config file:
+//   "overlay": { "enabled": true, "position": "bottom-right", "width": 320,
+//                "height": 110, "opacity": 0.85, "hideAfterSeconds": 3 }
+
+const OVERLAY_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+const DEFAULT_OVERLAY_SETTINGS = {
+  enabled: true,
+  position: 'bottom-right',
+  width: 320,
+  height: 110,
+  opacity: 0.85,
+  // Hide again this long after the last update; 0 keeps it up until the
+  // main window is shown
+  hideAfterSeconds: 3
+};
+
+// Distance from the edges of the screen's work area, in pixels
+const OVERLAY_MARGIN = 20;
+const MIN_SIZE = 100;
+const MAX_SIZE = 2000;
+
+const KIND_LABELS = {
+  hold: 'hold',
+  longPress: 'long press',
+  sequence: 'sequence'
+};
+
+function getOverlaySettings(settings) {
+  return { ...DEFAULT_OVERLAY_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `overlay` section of a config
+function validateOverlaySettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"overlay" must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!(name in DEFAULT_OVERLAY_SETTINGS)) {
+      errors.push(`"overlay": unknown setting "${name}"`);
+    } else if (name === 'enabled') {
+      if (typeof value !== 'boolean') errors.push('"overlay": "enabled" must be true or false');
+    } else if (name === 'position') {
+      if (!OVERLAY_POSITIONS.includes(value)) {
+        errors.push(`"overlay": "position" must be one of ${OVERLAY_POSITIONS.join(', ')}`);
+      }
+    } else if (name === 'width' || name === 'height') {
+      if (!Number.isInteger(value) || value < MIN_SIZE || value > MAX_SIZE) {
+        errors.push(`"overlay": "${name}" must be a whole number of pixels from ${MIN_SIZE} to ${MAX_SIZE}`);
+      }
+    } else if (name === 'opacity') {
+      if (!Number.isFinite(value) || value <= 0 || value > 1) {
+        errors.push('"overlay": "opacity" must be greater than 0 and at most 1');
+      }
+    } else if (!Number.isFinite(value) || value < 0) {
+      errors.push(`"overlay": "${name}" must be a number of seconds, 0 or more`);
+    }
+  }
+  return errors;
+}
+
+// Window bounds for the overlay within a display's work area ({ x, y, width, height })
+function getOverlayBounds(settings, workArea) {
+  const { position, width, height } = getOverlaySettings(settings);
+  const [vertical, horizontal] = position.split('-');
+  let x = workArea.x + OVERLAY_MARGIN;
+  if (horizontal === 'center') x = workArea.x + Math.round((workArea.width - width) / 2);
+  if (horizontal === 'right') x = workArea.x + workArea.width - width - OVERLAY_MARGIN;
+  const y = vertical === 'top'
+    ? workArea.y + OVERLAY_MARGIN
+    : workArea.y + workArea.height - height - OVERLAY_MARGIN;
+  return { x, y, width, height };
+}
+
+// What the overlay shows: { gesture, action, error }, each a line of text or
+// null. Returns the feedback after one of main.js's published events, or
+// null if the event doesn't concern the overlay. Two more events come from
+// main.js alone: 'cooldown' for a gesture made again too soon, and
+// 'camera-error' with the `message` shown in the main window.
+function applyOverlayEvent(feedback, event) {
+  switch (event.type) {
+    case 'gesture': {
+      const name = event.hand ? handGestureName(event.hand, event.gesture) : event.gesture;
+      const kind = KIND_LABELS[event.kind];
+      return { gesture: kind ? `${name} (${kind})` : name, action: null, error: null };
+    }
+    case 'cooldown': {
+      const name = event.hand ? handGestureName(event.hand, event.gesture) : event.gesture;
+      return { gesture: `${name} (cooling down)`, action: null, error: null };
+    }
+    case 'action':
+      if (event.error) {
+        return { ...feedback, action: null, error: event.error };
+      }
+      return { ...feedback, action: event.description || event.gesture, error: null };
+    case 'action-step':
+      if (event.ok) return null;
+      return {
+        ...feedback,
+        error: event.permissionDenied
+          ? 'Accessibility permission is missing, so keys can\'t be sent'
+          : `${event.description} failed: ${event.error}`
+      };
+    case 'camera-error':
+      return { ...feedback, error: `Camera error: ${event.message}` };
+    case 'activation':
+      return { ...feedback };
+    default:
+      return null;
+  }
+}
+
+// Keeps the overlay window in line with its settings and shows it on events.
+// `createWindow(bounds)` opens the window, a BrowserWindow in main.js;
+// `getWorkArea()` is the display's work area; `isCovered()` says whether the
+// main window is up, with the same feedback; `describeState()` is the
+// recognition state line.
+function createOverlayController({ createWindow, getWorkArea, isCovered = () => false, describeState = () => null }) {
+  let settings = getOverlaySettings();
+  let overlayWindow = null;
+  let feedback = { gesture: null, action: null, error: null };
+  let timer = null;
+
+  // The page reads its opacity from the query string
+  function loadPage() {
+    overlayWindow.loadFile('overlay.html', { query: { opacity: String(settings.opacity) } });
+  }
+
+  function hide() {
+    clearTimeout(timer);
+    timer = null;
+    if (overlayWindow) overlayWindow.hide();
+  }
+
+  return {
+    // Bring the window in line with the config's overlay section: open or
+    // close it when it's turned on or off, otherwise move it and reload it
+    // with the new opacity
+    apply(overlaySettings) {
+      settings = getOverlaySettings(overlaySettings);
+      if (!settings.enabled) {
+        hide();
+        if (overlayWindow) overlayWindow.destroy();
+        overlayWindow = null;
+        return;
+      }
+      if (!overlayWindow) {
+        const opened = createWindow(getOverlayBounds(settings, getWorkArea()));
+        opened.on('closed', () => {
+          if (overlayWindow === opened) overlayWindow = null;
+        });
+        overlayWindow = opened;
+      } else {
+        overlayWindow.setBounds(getOverlayBounds(settings, getWorkArea()));
+      }
+      loadPage();
+    },
+
+    // Fold an event into the feedback, and show it for hideAfterSeconds
+    // unless the main window is up
+    update(event) {
+      const next = applyOverlayEvent(feedback, event);
+      if (!next) return;
+      feedback = next;
+
+      if (!overlayWindow || overlayWindow.webContents.isLoading() || isCovered()) return;
+      overlayWindow.webContents.send('overlay-update', { ...feedback, state: describeState() });
+      overlayWindow.showInactive();
+
+      clearTimeout(timer);
+      timer = settings.hideAfterSeconds > 0 ? setTimeout(hide, settings.hideAfterSeconds * 1000) : null;
+    },
+
+    hide,
+
+    close() {
+      hide();
+      if (overlayWindow) overlayWindow.close();
+    },
+
+    // The open window, if any, e.g. to tell its IPC messages apart
+    getWindow() {
+      return overlayWindow;
+    }
+  };
+}
+
+module.exports = {
+  OVERLAY_POSITIONS,
+  DEFAULT_OVERLAY_SETTINGS,
+  getOverlaySettings,
+  validateOverlaySettings,
+  getOverlayBounds,
+  applyOverlayEvent,
+  createOverlayController
+};
@@ -0,0 +1,26 @@
+// Page of the feedback overlay (see overlay-window.js). main.js sends the whole
+// feedback on every change as 'overlay-update':
+//   { gesture, action, state, error }
+// and passes the configured opacity in the page's query string.
+
+const { on } = window.gestureOverlay;
+
+const overlayElement = document.querySelector('.overlay');
+const lineElements = {
+  gesture: document.getElementById('overlay-gesture'),
+  action: document.getElementById('overlay-action'),
+  state: document.getElementById('overlay-state'),
+  error: document.getElementById('overlay-error')
+};
+
+const opacity = Number(new URLSearchParams(window.location.search).get('opacity'));
+if (opacity > 0) {
+  overlayElement.style.opacity = opacity;
+}
+
+on('overlay-update', (feedback) => {
+  for (const [name, element] of Object.entries(lineElements)) {
+    element.textContent = feedback[name] || '';
+    element.hidden = !feedback[name];
+  }
+});
@@ -0,0 +1,60 @@
+// How often hand tracking runs. Frames are processed at targetFps while a
+// hand is in view; after idleAfterSeconds without one the rate drops to
+// idleFps and MediaPipe switches to its lighter model, and the first hand
+// seen brings both straight back:
+//   "performance": { "targetFps": 30, "idleFps": 5, "idleAfterSeconds": 10, "modelComplexity": 1, "idleModelComplexity": 0 }
+// The pacing itself is frame-scheduler.js, in the inference window.
+
+const DEFAULT_PERFORMANCE_SETTINGS = {
+  targetFps: 30,
+  idleFps: 5,
+  idleAfterSeconds: 10,
+  // MediaPipe Hands' model: 0 is faster, 1 more accurate
+  modelComplexity: 1,
+  idleModelComplexity: 0
+};
+
+const MAX_FPS = 60;
+const MODEL_COMPLEXITIES = [0, 1];
+
+function getPerformanceSettings(settings) {
+  return { ...DEFAULT_PERFORMANCE_SETTINGS, ...settings };
+}
+
+// Returns a list of problems with the `performance` section of a config
+function validatePerformanceSettings(settings) {
+  if (settings === undefined) return [];
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"performance" must be an object'];
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!(name in DEFAULT_PERFORMANCE_SETTINGS)) {
+      errors.push(`"performance": unknown setting "${name}"`);
+    } else if (name === 'modelComplexity' || name === 'idleModelComplexity') {
+      if (!MODEL_COMPLEXITIES.includes(value)) {
+        errors.push(`"performance": "${name}" must be 0 or 1`);
+      }
+    } else if (name === 'idleAfterSeconds') {
+      if (!Number.isFinite(value) || value <= 0) {
+        errors.push('"performance": "idleAfterSeconds" must be a positive number');
+      }
+    } else if (!Number.isFinite(value) || value <= 0 || value > MAX_FPS) {
+      errors.push(`"performance": "${name}" must be more than 0 and at most ${MAX_FPS}`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const merged = getPerformanceSettings(settings);
+  if (merged.idleFps > merged.targetFps) {
+    errors.push('"performance": "idleFps" must be at most "targetFps"');
+  }
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_PERFORMANCE_SETTINGS,
+  getPerformanceSettings,
+  validatePerformanceSettings
+};
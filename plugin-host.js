@@ -0,0 +1,83 @@
+// Runs one action plugin in its own process (an Electron utility process
+// started by plugin-manager.js), so a plugin that throws, hangs or crashes
+// can't take the app down with it. Messages:
+//   host -> app: { type: 'ready', manifest } or { type: 'error', error } after loading
+//   app -> host: { type: 'execute', id, action, options, context }
+//   host -> app: { type: 'result', id, ok, output?, error? }
+
+const pluginPath = process.argv[2];
+
+// Electron utility processes talk through parentPort; fork()ed Node processes through process.send
+function postMessage(message) {
+  if (process.parentPort) process.parentPort.postMessage(message);
+  else process.send(message);
+}
+
+function onMessage(listener) {
+  if (process.parentPort) process.parentPort.on('message', event => listener(event.data));
+  else process.on('message', listener);
+}
+
+// Report why the plugin can't be used; the app then stops this process
+function fail(error) {
+  postMessage({ type: 'error', error });
+  setTimeout(() => process.exit(1), 1000);
+}
+
+// Load the plugin and describe it to the app; null if it can't be used
+function loadPlugin() {
+  let plugin;
+  try {
+    plugin = require(pluginPath);
+  } catch (error) {
+    fail(`Could not load: ${error.message}`);
+    return null;
+  }
+
+  const actions = plugin && plugin.actions && typeof plugin.actions === 'object' ? plugin.actions : {};
+  const invalid = Object.keys(actions).find(name => !actions[name] || typeof actions[name].execute !== 'function');
+  if (invalid) {
+    fail(`Action "${invalid}" has no execute function`);
+    return null;
+  }
+
+  // Descriptions and schemas are sent as plain JSON; the app checks them
+  let manifest;
+  try {
+    manifest = JSON.parse(JSON.stringify({
+      name: plugin.name,
+      actions: Object.entries(actions).map(([name, action]) => ({
+        name,
+        description: action.description,
+        schema: action.schema
+      }))
+    }));
+  } catch (error) {
+    fail(`Could not read the plugin's actions: ${error.message}`);
+    return null;
+  }
+  postMessage({ type: 'ready', manifest });
+  return actions;
+}
+
+const actions = loadPlugin();
+
+onMessage(async (message) => {
+  if (!actions || !message || message.type !== 'execute') return;
+  const { id, action, options, context } = message;
+  try {
+    const output = await actions[action].execute(options, context);
+    postMessage({ type: 'result', id, ok: true, output: typeof output === 'string' ? output : undefined });
+  } catch (error) {
+    postMessage({ type: 'result', id, ok: false, error: error && error.message ? error.message : String(error) });
+  }
+});
+
+// A stray rejection or exception in plugin code ends this process only
+process.on('unhandledRejection', (error) => {
+  console.error(`Plugin ${pluginPath}:`, error);
+});
+process.on('uncaughtException', (error) => {
+  console.error(`Plugin ${pluginPath}:`, error);
+  process.exit(1);
+});
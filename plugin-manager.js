@@ -0,0 +1,163 @@
+const path = require('path');
+const { listPluginFiles, pluginStepType, validatePluginManifest } = require('./plugins');
+
+// Loads the action plugins (see plugins.js) and runs their actions. Every
+// plugin gets its own process running plugin-host.js, so one that fails to
+// load, throws, hangs or crashes only loses its own actions: it is skipped
+// at startup, its step fails with an error, and a crashed or hung process is
+// started again for the next step.
+
+const HOST_PATH = path.join(__dirname, 'plugin-host.js');
+const LOAD_TIMEOUT_MS = 5000;
+const EXECUTE_TIMEOUT_MS = 10000;
+
+// `fork(modulePath, args)` starts a process like Electron's
+// utilityProcess.fork, returning { postMessage, on('message' | 'exit'), kill }
+function createPluginManager({ dir, fork, loadTimeoutMs = LOAD_TIMEOUT_MS, executeTimeoutMs = EXECUTE_TIMEOUT_MS }) {
+  // Plugin name -> { file, child, pending: Map of request id -> { resolve, reject, timer } }
+  const plugins = new Map();
+  // Step type -> { plugin, action, description, schema }
+  const actions = new Map();
+  let nextId = 1;
+
+  // Start a plugin's process; resolves to { child, manifest } once it has loaded
+  function startHost(file) {
+    return new Promise((resolve, reject) => {
+      const child = fork(HOST_PATH, [file]);
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`Didn't finish loading within ${loadTimeoutMs} ms`));
+      }, loadTimeoutMs);
+
+      child.on('message', function onReady(message) {
+        if (message.type === 'ready' || message.type === 'error') {
+          clearTimeout(timer);
+          child.removeListener('message', onReady);
+          if (message.type === 'ready') {
+            resolve({ child, manifest: message.manifest });
+          } else {
+            child.kill();
+            reject(new Error(message.error));
+          }
+        }
+      });
+      child.on('exit', (code) => {
+        clearTimeout(timer);
+        reject(new Error(`Exited with code ${code} while loading`));
+      });
+    });
+  }
+
+  // Route a running plugin's results to their requests and forget the
+  // process when it exits, failing whatever it was doing
+  function attach(plugin, child) {
+    plugin.child = child;
+    child.on('message', (message) => {
+      const request = message.type === 'result' && plugin.pending.get(message.id);
+      if (!request) return;
+      plugin.pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.ok) request.resolve(message.output);
+      else request.reject(new Error(message.error));
+    });
+    child.on('exit', (code) => {
+      if (plugin.child === child) {
+        detach(plugin, new Error(`Plugin ${plugin.name} stopped (exit code ${code})`));
+      }
+    });
+  }
+
+  // Forget a plugin's process, failing its requests; the next step starts a new one
+  function detach(plugin, error) {
+    plugin.child = null;
+    for (const request of plugin.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    plugin.pending.clear();
+  }
+
+  async function getChild(plugin) {
+    if (!plugin.child) {
+      const { child } = await startHost(plugin.file);
+      attach(plugin, child);
+    }
+    return plugin.child;
+  }
+
+  return {
+    // Load every plugin in the folder, all at once so a hung one delays
+    // startup by one load timeout at most. Resolves to a list of problems,
+    // one per plugin that was skipped.
+    async load() {
+      const errors = [];
+      const files = listPluginFiles(dir);
+      const results = await Promise.allSettled(files.map(file => startHost(file)));
+      // Registered in file order, so the first of two same-named plugins wins
+      for (const [index, result] of results.entries()) {
+        const file = files[index];
+        if (result.status === 'rejected') {
+          errors.push(`Plugin ${file}: ${result.reason.message}`);
+          continue;
+        }
+
+        const { child, manifest } = result.value;
+        const manifestErrors = validatePluginManifest(manifest);
+        if (manifestErrors.length === 0 && plugins.has(manifest.name)) {
+          manifestErrors.push(`another plugin is already called "${manifest.name}"`);
+        }
+        if (manifestErrors.length > 0) {
+          child.kill();
+          errors.push(`Plugin ${file}: ${manifestErrors.join('; ')}`);
+          continue;
+        }
+
+        const plugin = { name: manifest.name, file, child: null, pending: new Map() };
+        attach(plugin, child);
+        plugins.set(manifest.name, plugin);
+        for (const action of manifest.actions) {
+          actions.set(pluginStepType(manifest.name, action.name), {
+            plugin: manifest.name,
+            action: action.name,
+            description: action.description || '',
+            schema: action.schema
+          });
+        }
+      }
+      return errors;
+    },
+
+    // Step type -> { plugin, action, description, schema } for config validation
+    getActions() {
+      return actions;
+    },
+
+    // Run a plugin action; resolves to its output text, if any
+    async execute(type, options, context) {
+      const entry = actions.get(type);
+      if (!entry) {
+        throw new Error(`Plugin action "${type}" isn't loaded`);
+      }
+      const plugin = plugins.get(entry.plugin);
+      const child = await getChild(plugin);
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        // A hung plugin is stopped and started again for the next step
+        const timer = setTimeout(() => {
+          detach(plugin, new Error(`${type} didn't finish within ${executeTimeoutMs} ms`));
+          child.kill();
+        }, executeTimeoutMs);
+        plugin.pending.set(id, { resolve, reject, timer });
+        child.postMessage({ type: 'execute', id, action: entry.action, options, context });
+      });
+    },
+
+    stop() {
+      for (const plugin of plugins.values()) {
+        if (plugin.child) plugin.child.kill();
+      }
+    }
+  };
+}
+
+module.exports = { createPluginManager };
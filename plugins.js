@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Action plugins add step types to action lists (see actions.js). A plugin
+// is a .js file, or a folder with an index.js, in the plugins folder of the
+// user data directory:
+//
+//   module.exports = {
+//     name: 'notes',
+//     actions: {
+//       append: {
+//         description: 'Append a line to a file',
+//         schema: {
+//           file: { type: 'string', required: true },
+//           text: { type: 'string', required: true },
+//           timestamp: { type: 'boolean', default: true }
+//         },
+//         async execute(options, context) {
+//           // context is { gesture, profile }; a returned string is shown under Last Action
+//         }
+//       }
+//     }
+//   };
+//
+// Each action becomes the step type "<plugin name>.<action name>", e.g.
+//   { "type": "notes.append", "file": "/Users/me/log.txt", "text": "Break" }
+// Schema fields have a `type` of string, number, integer or boolean, and may
+// set `required`, `default`, `min`/`max` (numbers) or `enum` (allowed values).
+//
+// This module only deals with plugin descriptions and options; plugins
+// themselves run in separate processes (see plugin-manager.js).
+
+const PLUGINS_DIR_NAME = 'plugins';
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean'];
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+function getPluginsDir(userDataPath) {
+  return path.join(userDataPath, PLUGINS_DIR_NAME);
+}
+
+// Entry points of the plugins in `dir`, sorted by name; empty if it doesn't exist
+function listPluginFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .map((entry) => {
+      if (entry.isFile() && entry.name.endsWith('.js')) return path.join(dir, entry.name);
+      if (entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'index.js'))) {
+        return path.join(dir, entry.name, 'index.js');
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort();
+}
+
+// Step types from plugins always contain a dot, unlike the built-in ones
+function isPluginStepType(type) {
+  return typeof type === 'string' && type.includes('.');
+}
+
+function pluginStepType(pluginName, actionName) {
+  return `${pluginName}.${actionName}`;
+}
+
+function typeMatches(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return Number.isFinite(value);
+  return typeof value === type;
+}
+
+// Returns a list of problems with an action's schema
+function validateSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return ['"schema" must be an object of option name to field'];
+  }
+
+  const errors = [];
+  for (const [name, field] of Object.entries(schema)) {
+    if (name === 'type') {
+      errors.push('Option name "type" is reserved for the step type');
+      continue;
+    }
+    if (!field || typeof field !== 'object' || !FIELD_TYPES.includes(field.type)) {
+      errors.push(`Option "${name}": "type" must be one of: ${FIELD_TYPES.join(', ')}`);
+      continue;
+    }
+    if (field.enum !== undefined && (!Array.isArray(field.enum) || !field.enum.every(value => typeMatches(value, field.type)))) {
+      errors.push(`Option "${name}": "enum" must list ${field.type} values`);
+    }
+    for (const bound of ['min', 'max']) {
+      if (field[bound] !== undefined && !Number.isFinite(field[bound])) {
+        errors.push(`Option "${name}": "${bound}" must be a number`);
+      }
+    }
+    if (field.default !== undefined && normalizeOption(name, field, field.default).error) {
+      errors.push(`Option "${name}": "default" doesn't fit the option`);
+    }
+  }
+  return errors;
+}
+
+// Returns { value } or { error } for one option
+function normalizeOption(name, field, value) {
+  if (!typeMatches(value, field.type)) {
+    return { error: `"${name}" must be ${field.type === 'integer' ? 'a whole number' : `a ${field.type}`}` };
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    return { error: `"${name}" must be one of: ${field.enum.join(', ')}` };
+  }
+  if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+    return { error: `"${name}" must be between ${field.min === undefined ? '-∞' : field.min} and ${field.max === undefined ? '∞' : field.max}` };
+  }
+  return { value };
+}
+
+// Check a step's options against its action's schema and fill in defaults.
+// Returns { options, errors } like normalizeAction in keys.js.
+function normalizeOptions(schema, values) {
+  const errors = [];
+  const options = {};
+
+  for (const name of Object.keys(values)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+      errors.push(`Unknown option "${name}"`);
+    }
+  }
+  for (const [name, field] of Object.entries(schema)) {
+    if (values[name] === undefined) {
+      if (field.required) errors.push(`"${name}" is required`);
+      else if (field.default !== undefined) options[name] = field.default;
+      continue;
+    }
+    const result = normalizeOption(name, field, values[name]);
+    if (result.error) errors.push(result.error);
+    else options[name] = result.value;
+  }
+
+  if (errors.length > 0) {
+    return { options: null, errors };
+  }
+  return { options, errors };
+}
+
+// Check what a plugin reported about itself: { name, actions: [{ name,
+// description, schema }] }. Returns a list of problems.
+function validatePluginManifest(manifest) {
+  if (!manifest || typeof manifest.name !== 'string' || !NAME_PATTERN.test(manifest.name)) {
+    return ['"name" must be lowercase letters, digits and dashes, starting with a letter'];
+  }
+  if (!Array.isArray(manifest.actions) || manifest.actions.length === 0) {
+    return ['"actions" must define at least one action'];
+  }
+
+  const errors = [];
+  for (const action of manifest.actions) {
+    if (!NAME_PATTERN.test(action.name)) {
+      errors.push(`Action "${action.name}": the name must be lowercase letters, digits and dashes, starting with a letter`);
+    }
+    if (action.description !== undefined && typeof action.description !== 'string') {
+      errors.push(`Action "${action.name}": "description" must be a string`);
+    }
+    for (const error of validateSchema(action.schema)) {
+      errors.push(`Action "${action.name}": ${error}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  PLUGINS_DIR_NAME,
+  getPluginsDir,
+  listPluginFiles,
+  isPluginStepType,
+  pluginStepType,
+  validateSchema,
+  normalizeOptions,
+  validatePluginManifest
+};
@@ -1,12 +1,72 @@
-// All of the Node.js APIs are available in the preload process.
-// It has the same sandbox as a Chrome extension.
-window.addEventListener('DOMContentLoaded', () => {
-  const replaceText = (selector, text) => {
-    const element = document.getElementById(selector)
-    if (element) element.innerText = text
-  }
+// The main window's only way to reach the rest of the app. The page runs
+// with context isolation and without Node, and gets `window.gestureApp`:
+// IPC limited to the main window's channels in ipc.js, plus the pure
+// recognition and formatting functions it shares with main.js. Nothing here
+// hands out ipcRenderer, require or file access.
+
+const { contextBridge, ipcRenderer } = require('electron');
+const { IPC_CHANNELS } = require('./ipc');
+
+const channels = IPC_CHANNELS.main;
 
-  for (const type of ['chrome', 'node', 'electron']) {
-    replaceText(`${type}-version`, process.versions[type])
+// Just the listed exports of one of the app's modules
+function pick(modulePath, names) {
+  const exports = require(modulePath);
+  return Object.fromEntries(names.map(name => [name, exports[name]]));
+}
+
+function checkChannel(allowed, channel) {
+  if (!allowed) {
+    throw new Error(`IPC channel "${channel}" isn't available to this window`);
   }
-}); 
\ No newline at end of file
+}
+
+contextBridge.exposeInMainWorld('gestureApp', {
+  platform: process.platform,
+
+  ipc: {
+    send(channel, ...args) {
+      checkChannel(Object.prototype.hasOwnProperty.call(channels.send, channel), channel);
+      ipcRenderer.send(channel, ...args);
+    },
+
+    invoke(channel, ...args) {
+      checkChannel(Object.prototype.hasOwnProperty.call(channels.invoke, channel), channel);
+      return ipcRenderer.invoke(channel, ...args);
+    },
+
+    // `listener` gets the event's arguments, never the IPC event itself
+    on(channel, listener) {
+      checkChannel(channels.receive.includes(channel), channel);
+      ipcRenderer.on(channel, (event, ...args) => listener(...args));
+    }
+  },
+
+  actions: pick('./actions', ['isActionList', 'formatMapping', 'mappingId']),
+  keys: pick('./keys', ['normalizeAction', 'formatAction', 'comboId', 'keyFromCode']),
+  gestures: pick('./gestures', [
+    'POSE_GESTURES',
+    'BUILT_IN_GESTURES',
+    'FINGER_NAMES',
+    'FINGER_JOINTS'
+  ]),
+  // Per-frame landmark work stays on this side: the page hands over each
+  // frame once and gets back plain results
+  handAnalyzer: pick('./hand-analyzer', ['createHandAnalyzer']),
+  calibration: pick('./calibration', ['NEUTRAL_POSE', 'CALIBRATION_STEPS', 'getThresholds', 'calibrate', 'describeAmbiguity']),
+  gestureTracker: pick('./gesture-tracker', [
+    'NEUTRAL_GESTURE',
+    'holdVariant',
+    'longPressVariant',
+    'isGestureVariant',
+    'getBaseGesture',
+    'getGestureSettings',
+    'createGestureTracker'
+  ]),
+  handMappings: pick('./hand-mappings', ['HAND_SIDES', 'handGestureName', 'comboName', 'resolveMappingName']),
+  cameraSettings: pick('./camera-settings', ['CAMERA_RESOLUTIONS', 'getCameraSettings']),
+  performance: pick('./performance-settings', ['getPerformanceSettings']),
+  sequences: pick('./sequences', ['createSequenceMatcher']),
+  replay: pick('./replay', ['createReplay']),
+  history: pick('./history', ['MAX_HISTORY_ENTRIES', 'HISTORY_FILTERS', 'filterHistory'])
+});
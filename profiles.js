@@ -0,0 +1,123 @@
+// Per-application mapping profiles. The top-level `mappings` in the config are
+// the "Default" profile; entries under `profiles` override it while a matching
+// application or window title has focus.
+
+const DEFAULT_PROFILE = 'Default';
+const FOCUS_POLL_INTERVAL = 1000;
+
+function getProfileNames(config) {
+  return [DEFAULT_PROFILE, ...Object.keys(config.profiles || {})];
+}
+
+function getProfileMappings(config, name) {
+  if (name !== DEFAULT_PROFILE && config.profiles && config.profiles[name]) {
+    return config.profiles[name].mappings;
+  }
+  return config.mappings;
+}
+
+// First profile whose app list or title pattern matches the focused window wins
+function matchProfile(config, focusedWindow) {
+  if (!focusedWindow) return DEFAULT_PROFILE;
+  const appName = (focusedWindow.app || '').toLowerCase();
+  const title = focusedWindow.title || '';
+
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    const match = profile.match || {};
+    if (match.apps && match.apps.some(app => app.toLowerCase() === appName)) {
+      return name;
+    }
+    if (match.titlePattern && new RegExp(match.titlePattern, 'i').test(title)) {
+      return name;
+    }
+  }
+
+  return DEFAULT_PROFILE;
+}
+
+// Returns a list of problems with the `profiles` section of a config
+function validateProfiles(profiles, validateMappings) {
+  const errors = [];
+
+  if (profiles === undefined) return errors;
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    return ['"profiles" must be an object of profile name to profile'];
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (name === DEFAULT_PROFILE) {
+      errors.push(`"${DEFAULT_PROFILE}" is reserved for the top-level mappings`);
+      continue;
+    }
+    if (!profile || typeof profile !== 'object') {
+      errors.push(`Profile "${name}" must be an object`);
+      continue;
+    }
+
+    const match = profile.match || {};
+    if (match.apps !== undefined &&
+        (!Array.isArray(match.apps) || !match.apps.every(app => typeof app === 'string'))) {
+      errors.push(`Profile "${name}": "match.apps" must be a list of application names`);
+    }
+    if (match.titlePattern !== undefined) {
+      try {
+        new RegExp(match.titlePattern, 'i');
+      } catch (error) {
+        errors.push(`Profile "${name}": invalid "match.titlePattern": ${error.message}`);
+      }
+    }
+
+    for (const error of validateMappings(profile.mappings)) {
+      errors.push(`Profile "${name}": ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+// Poll the driver for the focused window and report changes. Windows that
+// belong to this app are skipped so editing mappings doesn't switch profiles.
+function createFocusWatcher({ driver, onChange, intervalMs = FOCUS_POLL_INTERVAL }) {
+  let timer = null;
+  let lastKey = null;
+  let polling = false;
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const focusedWindow = await driver.getFocusedWindow();
+      if (!focusedWindow || focusedWindow.pid === process.pid) return;
+      const key = `${focusedWindow.app}\n${focusedWindow.title}`;
+      if (key !== lastKey) {
+        lastKey = key;
+        onChange(focusedWindow);
+      }
+    } catch (error) {
+      console.error('Error reading focused window:', error.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer || !driver.getFocusedWindow) return;
+      timer = setInterval(poll, intervalMs);
+      poll();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getProfileNames,
+  getProfileMappings,
+  matchProfile,
+  validateProfiles,
+  createFocusWatcher
+};
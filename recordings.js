@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// Landmark recordings are JSONL files, one MediaPipe result per line:
+//   { "time": <epoch ms>, "multiHandLandmarks": [...], "multiHandedness": [...], "aspectRatio": 1.333 }
+// aspectRatio is the camera frame's width / height; older recordings lack it
+// and replay as 4:3.
+// Frames with no hands are kept so replay preserves timing and hand-lost events.
+
+const RECORDINGS_DIR_NAME = 'recordings';
+
+function getRecordingsDir(userDataPath) {
+  return path.join(userDataPath, RECORDINGS_DIR_NAME);
+}
+
+// e.g. landmarks-2024-03-01T14-05-09.jsonl
+function createRecordingFileName(date = new Date()) {
+  return `landmarks-${date.toISOString().slice(0, 19).replace(/:/g, '-')}.jsonl`;
+}
+
+function createRecordingWriter(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, createRecordingFileName());
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  let frameCount = 0;
+
+  return {
+    path: filePath,
+
+    write(frame) {
+      stream.write(`${JSON.stringify({
+        time: frame.time,
+        multiHandLandmarks: frame.multiHandLandmarks || [],
+        multiHandedness: frame.multiHandedness || [],
+        aspectRatio: frame.aspectRatio
+      })}\n`);
+      frameCount++;
+    },
+
+    // Resolves with the number of frames written once the file is flushed
+    close() {
+      return new Promise((resolve) => {
+        stream.end(() => resolve(frameCount));
+      });
+    }
+  };
+}
+
+function parseRecording(text) {
+  const frames = [];
+  const lines = text.split('\n');
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return;
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: ${error.message}`);
+    }
+    if (typeof frame.time !== 'number' || !Array.isArray(frame.multiHandLandmarks)) {
+      throw new Error(`Line ${index + 1}: expected "time" and "multiHandLandmarks"`);
+    }
+    frames.push(frame);
+  });
+
+  return frames;
+}
+
+function readRecording(filePath) {
+  return parseRecording(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  getRecordingsDir,
+  createRecordingWriter,
+  parseRecording,
+  readRecording
+};
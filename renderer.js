@@ -1,10 +1,37 @@
-const { ipcRenderer } = require('electron');
-const { Camera } = require('@mediapipe/camera_utils');
-const { Hands } = require('@mediapipe/hands');
-const { drawConnectors, drawLandmarks } = require('@mediapipe/drawing_utils');
+// The page runs without Node: IPC and the shared recognition modules come
+// from preload.js as window.gestureApp, and MediaPipe's drawing helpers from
+// their script tags in index.html
+import { createMappingEditor } from './mapping-editor.js';
+import { createHistoryView } from './history-view.js';
+import { createCameraPanel } from './camera-panel.js';
+import { openCamera, describeCameraError } from './camera.js';
+
+const { HAND_CONNECTIONS, drawConnectors, drawLandmarks } = window;
+const { ipc, platform } = window.gestureApp;
+const { isActionList, formatMapping } = window.gestureApp.actions;
+const { createReplay } = window.gestureApp.replay;
+const {
+  POSE_GESTURES,
+  BUILT_IN_GESTURES,
+  FINGER_NAMES,
+  FINGER_JOINTS
+} = window.gestureApp.gestures;
+const { createHandAnalyzer } = window.gestureApp.handAnalyzer;
+const { NEUTRAL_POSE, CALIBRATION_STEPS, getThresholds, calibrate, describeAmbiguity } = window.gestureApp.calibration;
+const {
+  NEUTRAL_GESTURE,
+  holdVariant,
+  longPressVariant,
+  getGestureSettings,
+  createGestureTracker
+} = window.gestureApp.gestureTracker;
+const { handGestureName, comboName, resolveMappingName } = window.gestureApp.handMappings;
+const { createSequenceMatcher } = window.gestureApp.sequences;
+const { getCameraSettings } = window.gestureApp.cameraSettings;
 
 // DOM elements
 const videoElement = document.getElementById('webcam');
+const videoContainerElement = document.querySelector('.video-container');
 const canvasElement = document.getElementById('output-canvas');
 const canvasCtx = canvasElement.getContext('2d');
 const detectedGestureElement = document.getElementById('detected-gesture');
@@ -12,6 +39,27 @@ const lastActionElement = document.getElementById('last-action');
 const startButton = document.getElementById('start-button');
 const stopButton = document.getElementById('stop-button');
 const minimizeButton = document.getElementById('minimize-button');
+const gestureListElement = document.getElementById('gesture-list');
+const mappingEditorElement = document.getElementById('mapping-editor');
+const historyViewElement = document.getElementById('history-view');
+const activeProfileElement = document.getElementById('active-profile');
+const editorProfileElement = document.getElementById('editor-profile');
+const recordButton = document.getElementById('record-button');
+const replayButton = document.getElementById('replay-button');
+const fastReplayCheckbox = document.getElementById('fast-replay');
+const customGestureNameInput = document.getElementById('custom-gesture-name');
+const teachButton = document.getElementById('teach-button');
+const teachStatusElement = document.getElementById('teach-status');
+const customGestureListElement = document.getElementById('custom-gesture-list');
+const airMouseButton = document.getElementById('air-mouse-button');
+const recognitionStatusElement = document.getElementById('recognition-status');
+const performanceStatusElement = document.getElementById('performance-status');
+const pauseButton = document.getElementById('pause-button');
+const calibrateButton = document.getElementById('calibrate-button');
+const resetCalibrationButton = document.getElementById('reset-calibration-button');
+const calibrationStatusElement = document.getElementById('calibration-status');
+const calibrationReportElement = document.getElementById('calibration-report');
+const cameraPanelElement = document.getElementById('camera-panel');
 
 // Add a notification about permissions
 function showPermissionNotification() {
@@ -42,42 +90,87 @@ function showPermissionNotification() {
 }
 
 // Detect if running on macOS
-if (process.platform === 'darwin') {
+if (platform === 'darwin') {
   // Show the permission notification on load
   window.addEventListener('load', showPermissionNotification);
 }
 
-// Initialize MediaPipe Hands
-const hands = new Hands({
-  locateFile: (file) => {
-    return `node_modules/@mediapipe/hands/${file}`;
-  }
-});
+// Hand tracking runs in a hidden window (see inference.js) that sends back
+// landmarks as 'hand-results'. This window only shows the camera preview,
+// which the video element plays by itself, and draws overlays on top.
+let cameraRunning = false;
+let previewStream = null;
 
-// Set configuration options
-hands.setOptions({
-  maxNumHands: 2,
-  modelComplexity: 1,
-  minDetectionConfidence: 0.5,
-  minTrackingConfidence: 0.5
-});
+// The config's camera section, with defaults filled in
+let cameraSettings = getCameraSettings();
 
-// Set up camera
-let camera = null;
+async function startPreview() {
+  const { stream, fallback } = await openCamera(cameraSettings);
+  previewStream = stream;
+  videoElement.srcObject = previewStream;
+  cameraPanel.setStatus(fallback ? "The chosen camera isn't connected; using the default camera" : '');
+  // Cameras only have names once the app may use them
+  cameraPanel.refreshDevices();
+}
 
-function initCamera() {
-  camera = new Camera(videoElement, {
-    onFrame: async () => {
-      await hands.send({ image: videoElement });
-    },
-    width: 640,
-    height: 480
-  });
+// Mirroring only changes what's shown: the video by CSS, the overlay in onResults
+function applyMirror() {
+  videoContainerElement.classList.toggle('mirrored', cameraSettings.mirror);
+}
+
+function stopPreview() {
+  if (previewStream) {
+    previewStream.getTracks().forEach(track => track.stop());
+    previewStream = null;
+  }
+  videoElement.srcObject = null;
 }
 
-// Define gesture cooldown to prevent rapid triggering
-let lastGestureTime = 0;
-const GESTURE_COOLDOWN = 1500; // 1.5 second cooldown between gestures
+// Frame rate and detection latency reported by the inference window, plus
+// how long results took to get here from the camera frame
+function updatePerformanceStatus(results) {
+  const { fps, latencyMs, idle } = results.metrics;
+  const totalMs = Math.max(0, Date.now() - results.time);
+  performanceStatusElement.textContent =
+    `${fps.toFixed(1)} FPS, detection ${latencyMs} ms, end to end ${totalMs} ms${idle ? ' (idle, no hand seen)' : ''}`;
+}
+
+// Stability, cooldown and hold timings from the config's gestureSettings
+let gestureSettings = {};
+
+// One gesture state machine per visible hand, keyed by the user's hand side
+const handTrackers = new Map();
+// And one for two-hand combinations such as "Left Palm + Right Pointing Up"
+let comboTracker = null;
+
+// Features, gestures, swipes and circles and the air mouse, worked out in
+// preload.js from each frame's landmarks (see hand-analyzer.js)
+const handAnalyzer = createHandAnalyzer();
+// Last motion seen, shown on the canvas for a moment
+let lastMotion = null;
+const MOTION_DISPLAY_MS = 1000;
+
+// Zoom In/Out and the motion gestures are momentary rather than held poses,
+// so they only use the cooldown. Gesture name -> time it last fired.
+let lastMomentaryTimes = {};
+
+// Air-mouse mode: while on, the first hand drives the pointer instead of
+// firing gestures
+let airMouse = false;
+
+// Gesture sequences from the config, matched against gestures as they become stable
+let sequenceDefinitions = {};
+let sequenceMatcher = createSequenceMatcher();
+// Hand and gesture ("Left|Palm") that are part of a sequence under way, and
+// whether the gesture's press may still run if the sequence goes no further.
+// Their own actions are held back meanwhile.
+const sequenceGestures = new Map();
+
+// MediaPipe's handedness score per visible hand side, from the latest frame
+const handConfidence = new Map();
+
+// Paused and armed state, owned by main.js (see activation.js)
+let activationState = { paused: false, arming: false, armed: false, armedUntil: null, wakeGesture: null, accepting: true };
 
 // Variable to track if hand is visible
 let handVisible = false;
@@ -85,310 +178,678 @@ let handVisible = false;
 // Variable to track pinch distance for zoom gestures
 let lastPinchDistance = null;
 
-// Function to detect gestures based on hand landmarks
-function detectGesture(landmarks) {
-  // Helper function to calculate the angle between three points
-  function calculateAngle(point1, point2, point3) {
-    const angle = Math.atan2(point3.y - point2.y, point3.x - point2.x) - 
-                 Math.atan2(point1.y - point2.y, point1.x - point2.x);
-    return Math.abs(angle * 180 / Math.PI);
+// Gestures taught in the app, recognized by nearest neighbours next to the built-in rules
+let customGestures = [];
+
+function getPoseGestures() {
+  return [...POSE_GESTURES, ...customGestures.map(gesture => gesture.name)];
+}
+
+// Every gesture that can be mapped, each pose followed by its hold and
+// long-press variants, then the sequences
+function getMappableGestures() {
+  const others = BUILT_IN_GESTURES.filter(gesture => !POSE_GESTURES.includes(gesture));
+  return [
+    ...getPoseGestures().flatMap(gesture => [gesture, holdVariant(gesture), longPressVariant(gesture)]),
+    ...others,
+    ...Object.keys(sequenceDefinitions)
+  ];
+}
+
+// Gestures the editor offers for one-hand and two-hand mappings. Zoom already
+// takes both hands.
+function getHandMappingOptions() {
+  const excluded = ['Zoom In', 'Zoom Out', ...Object.keys(sequenceDefinitions)];
+  return {
+    handGestures: getMappableGestures().filter(gesture => !excluded.includes(gesture)),
+    comboGestures: getPoseGestures()
+  };
+}
+
+function resetSequences() {
+  sequenceMatcher = createSequenceMatcher({
+    sequences: sequenceDefinitions,
+    isMapped: name => Boolean(gestureMappings[name])
+  });
+  sequenceGestures.clear();
+}
+
+// Report a gesture to the sequence matcher, running whatever it completes or lets go of
+function runSequenceStep(gesture, side, now) {
+  const result = sequenceMatcher.step(gesture, side, now);
+  for (const run of result.flushed) {
+    run();
+  }
+  if (result.completed) {
+    reportGesture(result.completed, null, 'sequence', now);
+    lastActionElement.textContent = triggerKeyboardAction(result.completed);
   }
+  return result;
+}
 
-  // Helper function to calculate distance between two points
-  function calculateDistance(point1, point2) {
-    return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
+// `side` is 'Left', 'Right' or null when the hand couldn't be told apart
+function getHandTracker(key, side) {
+  if (!handTrackers.has(key)) {
+    handTrackers.set(key, createGestureTracker({
+      settings: gestureSettings,
+      hasMapping: name => Boolean(resolveMappingName(gestureMappings, name, side))
+    }));
   }
-  
-  // Extract key landmarks for gesture recognition
-  const wrist = landmarks[0];
-  const thumbTip = landmarks[4];
-  const indexTip = landmarks[8];
-  const middleTip = landmarks[12];
-  const ringTip = landmarks[16];
-  const pinkyTip = landmarks[20];
-  
-  // Finger bases (knuckles)
-  const indexBase = landmarks[5];
-  const middleBase = landmarks[9];
-  const ringBase = landmarks[13];
-  const pinkyBase = landmarks[17];
-  
-  // Calculate distances from wrist to fingertips
-  const fingersExtended = [
-    Math.sqrt(Math.pow(thumbTip.x - wrist.x, 2) + Math.pow(thumbTip.y - wrist.y, 2)),
-    Math.sqrt(Math.pow(indexTip.x - wrist.x, 2) + Math.pow(indexTip.y - wrist.y, 2)),
-    Math.sqrt(Math.pow(middleTip.x - wrist.x, 2) + Math.pow(middleTip.y - wrist.y, 2)),
-    Math.sqrt(Math.pow(ringTip.x - wrist.x, 2) + Math.pow(ringTip.y - wrist.y, 2)),
-    Math.sqrt(Math.pow(pinkyTip.x - wrist.x, 2) + Math.pow(pinkyTip.y - wrist.y, 2))
-  ];
-  
-  // Calculate distances from fingertips to their bases
-  const fingerExtendedFromBase = [
-    calculateDistance(thumbTip, landmarks[2]), // Thumb MCP
-    calculateDistance(indexTip, indexBase),
-    calculateDistance(middleTip, middleBase),
-    calculateDistance(ringTip, ringBase),
-    calculateDistance(pinkyTip, pinkyBase)
-  ];
-  
-  // Get thumb-index distance for pinch detection
-  const thumbIndexDistance = calculateDistance(thumbTip, indexTip);
-  
-  // Check if fingertips are higher than their bases
-  const fingerYOffset = [
-    0, // Thumb (not used)
-    indexBase.y - indexTip.y,  // Index
-    middleBase.y - middleTip.y, // Middle
-    ringBase.y - ringTip.y,    // Ring
-    pinkyBase.y - pinkyTip.y   // Pinky
-  ];
-  
-  // Debug output for finger extension ratios
-  const debugFingerInfo = `
-    Index Y-Offset: ${fingerYOffset[1].toFixed(3)}
-    Middle Y-Offset: ${fingerYOffset[2].toFixed(3)}
-    Ring Y-Offset: ${fingerYOffset[3].toFixed(3)}
-    Pinky Y-Offset: ${fingerYOffset[4].toFixed(3)}
-  `;
-  console.log(debugFingerInfo);
-  
-  // Check for Victory Sign (index and middle fingers extended in a V shape)
-  // Using lower thresholds and checking both vertical position and extension
-  if (fingerYOffset[1] > 0.02 && 
-      fingerYOffset[2] > 0.02 && 
-      fingerYOffset[3] < 0.015 && 
-      fingerYOffset[4] < 0.015 && 
-      fingerExtendedFromBase[1] > 0.07 && 
-      fingerExtendedFromBase[2] > 0.07 && 
-      fingerExtendedFromBase[3] < 0.07 && 
-      fingerExtendedFromBase[4] < 0.07) {
-    return "Victory Sign";
+  return handTrackers.get(key);
+}
+
+function getComboTracker() {
+  if (!comboTracker) {
+    comboTracker = createGestureTracker({
+      settings: gestureSettings,
+      hasMapping: name => Boolean(gestureMappings[name])
+    });
   }
-  
-  // Check for Three Fingers Up (index, middle, and ring fingers extended)
-  if (fingerYOffset[1] > 0.015 && 
-      fingerYOffset[2] > 0.015 && 
-      fingerYOffset[3] > 0.015 && 
-      fingerYOffset[4] < 0.015 && 
-      fingerExtendedFromBase[1] > 0.06 && 
-      fingerExtendedFromBase[2] > 0.06 && 
-      fingerExtendedFromBase[3] > 0.06 && 
-      fingerExtendedFromBase[4] < 0.06) {
-    return "Three Fingers";
+  return comboTracker;
+}
+
+// Whether a two-hand combination, or its hold or long-press variant, is mapped
+function isComboMapped(name) {
+  return [name, holdVariant(name), longPressVariant(name)].some(variant => gestureMappings[variant]);
+}
+
+// Fire a momentary gesture unless it is still cooling down. A mapping for the
+// hand that made it ("Left Swipe Left") wins over the plain one.
+function fireMomentaryGesture(gesture, now, side) {
+  const name = resolveMappingName(gestureMappings, gesture, side) || gesture;
+  const last = lastMomentaryTimes[name];
+  if (last !== undefined && now - last < getGestureSettings(gestureSettings, gesture).cooldownMs) {
+    ipc.send('gesture-cooldown', gesture, side);
+    return;
   }
-  
-  // Check for finger gun (thumb up, index extended, other fingers curled)
-  const thumbUp = thumbTip.y < wrist.y - 0.05;
-  const indexExtended = calculateDistance(indexTip, wrist) > 0.15;
-  const otherFingersCurled = 
-    fingersExtended[2] < 0.12 && 
-    fingersExtended[3] < 0.12 && 
-    fingersExtended[4] < 0.12;
-  
-  if (thumbUp && indexExtended && otherFingersCurled) {
-    return "Finger Gun";
+  lastMomentaryTimes[name] = now;
+  reportGesture(gesture, side, 'momentary', now);
+  lastActionElement.textContent = triggerKeyboardAction(name);
+}
+
+function triggerMomentaryGesture(gesture, now, side = null) {
+  if (isWakeGesture(gesture, side)) {
+    ipc.send('wake-gesture');
+    return;
   }
-  
-  // Check for pointing up by checking y-positions of fingertips relative to their bases
-  // If index finger tip is much higher than its base, while other fingers are lower or close to their bases
-  const indexPointingUp = indexTip.y < indexBase.y - 0.08;
-  const middleDown = middleTip.y >= middleBase.y - 0.03;
-  const ringDown = ringTip.y >= ringBase.y - 0.03;
-  const pinkyDown = pinkyTip.y >= pinkyBase.y - 0.03;
-  const thumbDown = thumbTip.y >= wrist.y - 0.03;
-  
-  if (indexPointingUp && middleDown && ringDown && pinkyDown && thumbDown) {
-    return "Pointing Up";
+  const result = runSequenceStep(gesture, side, now);
+  if (result.deferrable) {
+    sequenceMatcher.defer(() => fireMomentaryGesture(gesture, now, side));
+  } else if (!result.consumed) {
+    fireMomentaryGesture(gesture, now, side);
   }
-  
-  // Check for general pinch gesture (thumb and index finger close together)
-  // Used for both single-hand pinch and two-hand zoom gestures
-  const pinchThreshold = 0.07; // Increased threshold
-  if (thumbIndexDistance < pinchThreshold) {
-    // Different types of pinch depending on other fingers
-    if (fingersExtended[2] < 0.1 && fingersExtended[3] < 0.1 && fingersExtended[4] < 0.1) {
-      // All other fingers closed - for single-hand command
-      return "Pinch";
+}
+
+function fireGestureEvent(event) {
+  const name = resolveMappingName(gestureMappings, event.name, event.side) || event.name;
+  reportGesture(event.name, event.side, event.type, Date.now());
+  lastActionElement.textContent = triggerKeyboardAction(name);
+}
+
+// Tell main.js about a gesture as it fires, for the event API. `kind` is
+// press, hold or longPress for poses, momentary for motions and zoom, and
+// sequence for a completed sequence. Confidence is MediaPipe's for the hand,
+// the lower of the two for two-hand gestures.
+function reportGesture(gesture, side, kind, now) {
+  const scores = side ? [handConfidence.get(side)] : [...handConfidence.values()];
+  const known = scores.filter(score => Number.isFinite(score));
+  ipc.send('gesture-event', {
+    gesture,
+    hand: side || null,
+    kind,
+    confidence: known.length > 0 ? Math.min(...known) : null,
+    timestamp: now
+  });
+}
+
+// Run the mapped action for each press, hold repeat and long press, unless a
+// sequence is using the gesture. Events from one hand carry its `side`, so
+// hand-specific mappings apply.
+function runGestureEvents(events, now) {
+  for (const event of events) {
+    // The wake gesture arms instead of running anything itself
+    if (isWakeGesture(event.gesture, event.side)) {
+      if (event.type === 'enter') ipc.send('wake-gesture');
+      continue;
+    }
+    const key = `${event.side || ''}|${event.gesture}`;
+    // Held again too soon: nothing runs, but the overlay says why
+    if (event.type === 'enter' && event.coolingDown) {
+      ipc.send('gesture-cooldown', event.gesture, event.side || null);
+    }
+    if (event.type === 'enter') {
+      const result = runSequenceStep(event.gesture, event.side, now);
+      if (result.consumed) {
+        sequenceGestures.set(key, result.deferrable);
+      } else {
+        sequenceGestures.delete(key);
+      }
+    } else if (event.type === 'release') {
+      sequenceGestures.delete(key);
+    } else if (sequenceGestures.has(key) && sequenceMatcher.getProgress(now)) {
+      // A first step's press waits to see whether its sequence carries on
+      if (event.type === 'press' && sequenceGestures.get(key)) {
+        sequenceMatcher.defer(() => fireGestureEvent(event));
+        sequenceGestures.set(key, false);
+      }
     } else {
-      // For two-handed zoom gesture - more relaxed criteria
-      return "Zoom Pinch";
+      fireGestureEvent(event);
     }
   }
-  
-  // Check for palm (all fingers extended)
-  if (fingersExtended.every(dist => dist > 0.1)) {
-    return "Palm";
+}
+
+// Gesture name -> key descriptor (see keys.js) or action list (see
+// actions.js) for the active profile, pushed by main.js
+let gestureMappings = {};
+let activeProfileName = 'Default';
+
+// Ask main.js to run a gesture's mapping; step results arrive as 'action-step'
+function triggerKeyboardAction(gesture) {
+  const mapping = gestureMappings[gesture];
+  if (!mapping) {
+    return 'None';
   }
-  
-  // Check for closed fist (all fingers curled)
-  if (fingersExtended.every(dist => dist < 0.1)) {
-    return "Closed Fist";
+  if (!activationState.accepting) {
+    return `Ignored ${gesture} (${describeActivation(Date.now())})`;
   }
-  
-  // Check for thumbs up (only thumb extended and pointing up)
-  if (fingersExtended[0] > 0.1 && 
-      fingersExtended[1] < 0.1 && 
-      fingersExtended[2] < 0.1 && 
-      fingersExtended[3] < 0.1 && 
-      fingersExtended[4] < 0.1 && 
-      thumbTip.y < wrist.y) {
-    return "Thumbs Up";
+
+  ipc.send('run-mapping', gesture);
+  const name = mapping.label || formatMapping(mapping);
+  return isActionList(mapping) ? `${name} started` : `${name} pressed`;
+}
+
+// Progress of an action list, or the error that stopped a mapping. A single
+// key press already shows as "pressed" when it's triggered.
+function describeActionStep(step) {
+  const mapping = gestureMappings[step.gesture];
+  const name = (mapping && mapping.label) || step.gesture;
+  const position = step.total > 1 ? ` step ${step.index + 1}/${step.total}` : '';
+  if (!step.ok) {
+    if (step.permissionDenied) return 'Error: Please enable accessibility permissions';
+    return `Error: ${name}${position} (${step.description}): ${step.error}`;
   }
-  
-  // Check for thumbs down (only thumb extended and pointing down)
-  if (fingersExtended[0] > 0.1 && 
-      fingersExtended[1] < 0.1 && 
-      fingersExtended[2] < 0.1 && 
-      fingersExtended[3] < 0.1 && 
-      fingersExtended[4] < 0.1 && 
-      thumbTip.y > wrist.y) {
-    return "Thumbs Down";
+  if (step.total === 1 && !step.output) return null;
+  const done = step.index + 1 === step.total ? ' (done)' : '';
+  return `${name}${position}: ${step.description}${step.output ? ` → ${step.output}` : ''}${done}`;
+}
+
+ipc.on('action-step', (step) => {
+  const text = describeActionStep(step);
+  if (text) {
+    lastActionElement.textContent = text;
+  }
+});
+
+// Rebuild the on-screen mapping list from the loaded mappings
+function renderMappingList() {
+  gestureListElement.innerHTML = '';
+  for (const [gesture, mapping] of Object.entries(gestureMappings)) {
+    const item = document.createElement('li');
+    const gestureName = document.createElement('span');
+    const actionName = document.createElement('span');
+    gestureName.textContent = gesture;
+    actionName.textContent = mapping.label || formatMapping(mapping);
+    item.appendChild(gestureName);
+    item.appendChild(actionName);
+    gestureListElement.appendChild(item);
   }
-  
-  // No recognized gesture
-  return "Unknown";
 }
 
-// Map gestures to keyboard actions using IPC
-function triggerKeyboardAction(gesture) {
-  let action = 'None';
-  
-  switch (gesture) {
-    case "Palm":
-      ipcRenderer.send('trigger-keyboard', 'space');
-      action = 'Spacebar pressed';
-      break;
-    case "Closed Fist":
-      ipcRenderer.send('trigger-keyboard', 'escape');
-      action = 'Escape pressed';
-      break;
-    case "Finger Gun":
-      ipcRenderer.send('trigger-keyboard', 'tab');
-      action = 'Tab pressed';
-      break;
-    case "Thumbs Up":
-      ipcRenderer.send('trigger-keyboard', 'enter');
-      action = 'Enter pressed';
-      break;
-    case "Victory Sign":
-      ipcRenderer.send('trigger-keyboard', 'up');
-      action = 'Page Up pressed';
-      break;
-    case "Three Fingers":
-      ipcRenderer.send('trigger-keyboard', 'down');
-      action = 'Page Down pressed';
-      break;
-    case "Pinch":
-      // For single hand pinch (not used for zooming)
-      ipcRenderer.send('trigger-keyboard', 'left');
-      action = 'Arrow Left pressed';
-      break;
+const mappingEditor = createMappingEditor(mappingEditorElement, {
+  gestures: getMappableGestures(),
+  ...getHandMappingOptions(),
+  // Saved mappings take effect immediately (main.js pushes the updated profile)
+  onSave: async (mappings) => {
+    const result = await ipc.invoke('save-mappings', activeProfileName, mappings);
+    if (result.ok) {
+      lastActionElement.textContent = 'Mappings updated';
+    }
+    return result;
   }
-  
-  return action;
+});
+
+// The editor always edits the active profile
+function applyProfile(profile) {
+  activeProfileName = profile.name;
+  gestureMappings = profile.mappings;
+  activeProfileElement.textContent = profile.automatic ? profile.name : `${profile.name} (manual)`;
+  editorProfileElement.textContent = profile.name;
+  renderMappingList();
+  mappingEditor.setMappings(gestureMappings);
+}
+
+async function loadMappings() {
+  const config = await ipc.invoke('get-config');
+  gestureSettings = config.gestureSettings || {};
+  cameraSettings = getCameraSettings(config.camera);
+  applyMirror();
+  cameraPanel.setSettings(config.camera, config.performance);
+  // Rule thresholds, calibrated to the user's hand if they ran the wizard
+  sendMouseEvents(handAnalyzer.configure({
+    thresholds: getThresholds(config.calibration),
+    motionSettings: config.motionSettings || {},
+    mirrored: cameraSettings.mirror,
+    airMouseSettings: config.airMouse || {}
+  }));
+  sequenceDefinitions = config.sequences || {};
+  resetSequences();
+  handTrackers.clear();
+  comboTracker = null;
+  applyProfile(await ipc.invoke('get-active-profile'));
+  applyCustomGestures(await ipc.invoke('get-custom-gestures'));
+  applyActivation(await ipc.invoke('get-activation'));
+  historyView.setEntries(await ipc.invoke('get-history'));
+}
+
+ipc.on('profile-changed', (profile) => {
+  applyProfile(profile);
+});
+
+const historyView = createHistoryView(historyViewElement, {
+  onExport: (format, filter) => ipc.invoke('export-history', format, filter),
+  onClear: () => ipc.send('clear-history')
+});
+
+ipc.on('history-entry', (entry) => {
+  historyView.addEntry(entry);
+});
+
+// A running camera restarts to pick up new settings
+const cameraPanel = createCameraPanel(cameraPanelElement, {
+  onSave: async (camera, performance) => {
+    const result = await ipc.invoke('save-camera-settings', camera, performance);
+    if (result.ok) {
+      cameraSettings = getCameraSettings(camera);
+      applyMirror();
+      handAnalyzer.configure({ mirrored: cameraSettings.mirror });
+      if (cameraRunning) {
+        stopCamera();
+        startCamera();
+        lastActionElement.textContent = 'Camera restarted with the new settings';
+      }
+    }
+    return result;
+  }
+});
+
+// The wake gesture, on either hand or the named one ("Left Palm")
+function isWakeGesture(gesture, side) {
+  const wakeGesture = activationState.wakeGesture;
+  return Boolean(wakeGesture) && (gesture === wakeGesture || (side && handGestureName(side, gesture) === wakeGesture));
+}
+
+function describeActivation(now) {
+  if (activationState.paused) return 'Paused';
+  if (activationState.armed) {
+    const seconds = Math.max(0, Math.ceil((activationState.armedUntil - now) / 1000));
+    return `Armed (${seconds} s)`;
+  }
+  if (activationState.arming) return `Waiting for ${activationState.wakeGesture}`;
+  return 'Active';
+}
+
+function updateActivationStatus(now) {
+  recognitionStatusElement.textContent = describeActivation(now);
+}
+
+// Pausing stops recognition altogether, letting go of anything held
+function applyActivation(state) {
+  const wasPaused = activationState.paused;
+  activationState = state;
+  if (state.paused && !wasPaused) {
+    if (airMouse) setAirMouse(false);
+    handTrackers.clear();
+    comboTracker = null;
+    handAnalyzer.resetMotion();
+    resetSequences();
+    lastPinchDistance = null;
+    detectedGestureElement.textContent = 'None';
+  }
+  pauseButton.textContent = state.paused ? 'Resume Recognition' : 'Pause Recognition';
+  updateActivationStatus(Date.now());
+}
+
+ipc.on('activation-changed', (state) => {
+  applyActivation(state);
+});
+
+// Teaching flow: a short countdown to get into position, then a few seconds
+// of landmark samples from the first visible hand
+const TEACH_COUNTDOWN_SECONDS = 3;
+const TEACH_CAPTURE_MS = 3000;
+
+const gestureTrainer = {
+  capturing: false,
+  samples: []
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Process hand landmarks
-hands.onResults((results) => {
-  // Clear canvas
+function applyCustomGestures(gestures) {
+  customGestures = gestures;
+  handAnalyzer.configure({ customGestures: gestures });
+  mappingEditor.setGestures(getMappableGestures(), getHandMappingOptions());
+  renderCustomGestureList();
+}
+
+function renderCustomGestureList() {
+  customGestureListElement.innerHTML = '';
+  for (const gesture of customGestures) {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = `${gesture.name} (${gesture.samples.length} samples)`;
+
+    const buttons = document.createElement('span');
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export';
+    exportButton.addEventListener('click', async () => {
+      const filePath = await ipc.invoke('export-custom-gesture', gesture.name);
+      if (filePath) teachStatusElement.textContent = `Exported to ${filePath}`;
+    });
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+      const result = await ipc.invoke('delete-custom-gesture', gesture.name);
+      if (result.ok) {
+        applyCustomGestures(result.gestures);
+        teachStatusElement.textContent = `Deleted ${gesture.name}`;
+      } else {
+        teachStatusElement.textContent = `Could not delete "${gesture.name}": ${result.errors.join('; ')}`;
+      }
+    });
+    buttons.appendChild(exportButton);
+    buttons.appendChild(deleteButton);
+
+    item.appendChild(name);
+    item.appendChild(buttons);
+    customGestureListElement.appendChild(item);
+  }
+}
+
+async function teachGesture(name) {
+  if (!cameraRunning) {
+    teachStatusElement.textContent = 'Start the camera first';
+    return;
+  }
+
+  teachButton.disabled = true;
+  try {
+    for (let seconds = TEACH_COUNTDOWN_SECONDS; seconds > 0; seconds--) {
+      teachStatusElement.textContent = `Get ready to hold "${name}" in ${seconds}…`;
+      await delay(1000);
+    }
+
+    teachStatusElement.textContent = `Hold "${name}" steady…`;
+    gestureTrainer.samples = [];
+    gestureTrainer.capturing = true;
+    await delay(TEACH_CAPTURE_MS);
+    gestureTrainer.capturing = false;
+
+    const result = await ipc.invoke('save-custom-gesture', name, gestureTrainer.samples);
+    if (result.ok) {
+      applyCustomGestures(result.gestures);
+      teachStatusElement.textContent = `Saved "${name}" with ${gestureTrainer.samples.length} samples. Map it under Edit Mappings.`;
+      customGestureNameInput.value = '';
+    } else {
+      teachStatusElement.textContent = `Could not save "${name}": ${result.errors.join('; ')}`;
+    }
+  } finally {
+    gestureTrainer.capturing = false;
+    gestureTrainer.samples = [];
+    teachButton.disabled = false;
+  }
+}
+
+teachButton.addEventListener('click', () => {
+  const name = customGestureNameInput.value.trim();
+  if (!name) {
+    teachStatusElement.textContent = 'Enter a name for the gesture first';
+    return;
+  }
+  teachGesture(name).catch(error => {
+    console.error('Error teaching gesture:', error);
+    teachStatusElement.textContent = `Error: ${error.message}`;
+  });
+});
+
+// Calibration wizard: each pose in turn gets a short countdown and a few
+// seconds of hand features, then calibration.js derives the thresholds
+const CALIBRATION_COUNTDOWN_SECONDS = 2;
+const CALIBRATION_CAPTURE_MS = 2000;
+
+const calibrationCapture = {
+  capturing: false,
+  samples: []
+};
+
+function calibrationPrompt(pose) {
+  return pose === NEUTRAL_POSE ? 'a relaxed, open hand as it rests naturally' : `"${pose}"`;
+}
+
+function renderCalibrationReport(lines) {
+  calibrationReportElement.innerHTML = '';
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    calibrationReportElement.appendChild(item);
+  }
+}
+
+async function runCalibration() {
+  if (!cameraRunning) {
+    calibrationStatusElement.textContent = 'Start the camera first';
+    return;
+  }
+
+  calibrateButton.disabled = true;
+  resetCalibrationButton.disabled = true;
+  renderCalibrationReport([]);
+  const samples = {};
+  try {
+    for (const [index, pose] of CALIBRATION_STEPS.entries()) {
+      const position = `${index + 1}/${CALIBRATION_STEPS.length}`;
+      for (let seconds = CALIBRATION_COUNTDOWN_SECONDS; seconds > 0; seconds--) {
+        calibrationStatusElement.textContent = `${position}: get ready to show ${calibrationPrompt(pose)} in ${seconds}…`;
+        await delay(1000);
+      }
+
+      calibrationStatusElement.textContent = `${position}: hold ${calibrationPrompt(pose)}…`;
+      calibrationCapture.samples = [];
+      calibrationCapture.capturing = true;
+      await delay(CALIBRATION_CAPTURE_MS);
+      calibrationCapture.capturing = false;
+      samples[pose] = calibrationCapture.samples;
+    }
+
+    const { calibration, ambiguous } = calibrate(samples);
+    const result = await ipc.invoke('save-calibration', calibration);
+    if (!result.ok) {
+      calibrationStatusElement.textContent = `Could not save calibration: ${result.errors.join('; ')}`;
+      return;
+    }
+    sendMouseEvents(handAnalyzer.configure({ thresholds: getThresholds(calibration) }));
+    calibrationStatusElement.textContent = ambiguous.length === 0
+      ? 'Calibrated. Every gesture was recognized reliably.'
+      : 'Calibrated. These are still unreliable for you, so consider not mapping them or teaching a custom gesture instead:';
+    renderCalibrationReport(ambiguous.map(describeAmbiguity));
+  } finally {
+    calibrationCapture.capturing = false;
+    calibrationCapture.samples = [];
+    calibrateButton.disabled = false;
+    resetCalibrationButton.disabled = false;
+  }
+}
+
+calibrateButton.addEventListener('click', () => {
+  runCalibration().catch(error => {
+    console.error('Error calibrating:', error);
+    calibrationStatusElement.textContent = `Error: ${error.message}`;
+  });
+});
+
+resetCalibrationButton.addEventListener('click', async () => {
+  const result = await ipc.invoke('save-calibration', null);
+  if (result.ok) {
+    sendMouseEvents(handAnalyzer.configure({ thresholds: getThresholds() }));
+    renderCalibrationReport([]);
+    calibrationStatusElement.textContent = 'Using the default thresholds';
+  } else {
+    calibrationStatusElement.textContent = `Could not reset calibration: ${result.errors.join('; ')}`;
+  }
+});
+
+// Streams live frames to main.js, which appends them to a JSONL file
+const landmarkRecorder = {
+  active: false,
+
+  async start() {
+    const filePath = await ipc.invoke('start-recording');
+    this.active = true;
+    return filePath;
+  },
+
+  write(results, time) {
+    ipc.send('record-frame', {
+      time,
+      multiHandLandmarks: results.multiHandLandmarks || [],
+      multiHandedness: results.multiHandedness || [],
+      aspectRatio: results.aspectRatio
+    });
+  },
+
+  async stop() {
+    this.active = false;
+    return ipc.invoke('stop-recording');
+  }
+};
+
+// Replay in progress, if any
+let replay = null;
+
+// Process hand landmarks. Live results come from MediaPipe; replayed frames
+// carry only landmarks and their recorded timestamp as `now`.
+function onResults(results, now = Date.now()) {
+  if (landmarkRecorder.active && !replay) {
+    landmarkRecorder.write(results, now);
+  }
+
+  // Clear the overlay; the video shows through underneath
+  canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
   canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-  canvasCtx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
+
+  updateActivationStatus(now);
+  if (activationState.paused) {
+    handVisible = false;
+    canvasCtx.fillStyle = '#FF9900';
+    canvasCtx.font = '24px Arial';
+    canvasCtx.fillText('Paused', 10, 40);
+    return;
+  }
+
+  // Landmarks are in camera image coordinates; flip them to match a mirrored
+  // preview (text is drawn unflipped by drawLabel)
+  if (cameraSettings.mirror) {
+    canvasCtx.setTransform(-1, 0, 0, 1, canvasElement.width, 0);
+  }
   
   handVisible = false;
+  const seenHands = new Set();
+  handConfidence.clear();
+  const analysis = handAnalyzer.analyze(results, now, { sample: gestureTrainer.capturing });
+  sendMouseEvents(analysis.mouseEvents);
   
-  if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+  if (analysis.hands.length > 0) {
     handVisible = true;
     
     // Track pinch points for each hand
     let pinchPoints = [];
+    // Gesture state machine events per hand, run once zooming is ruled out
+    const handEvents = [];
+    const motions = [];
+    // Side -> gesture, for two-hand combinations
+    const sideGestures = {};
     
     // Draw hand landmarks
-    for (let i = 0; i < results.multiHandLandmarks.length; i++) {
+    for (const [i, hand] of analysis.hands.entries()) {
       const landmarks = results.multiHandLandmarks[i];
-      drawConnectors(canvasCtx, landmarks, Hands.HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 5 });
+      const { side, key: handKey, features, gesture, motion, trail } = hand;
+      drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 5 });
       drawLandmarks(canvasCtx, landmarks, { color: '#FF0000', lineWidth: 2 });
       
-      // Detect gesture
-      const gesture = detectGesture(landmarks);
-      
-      // Add visual debugging for specific finger positions
-      const wrist = landmarks[0];
-      const thumbTip = landmarks[4];
-      const indexTip = landmarks[8];
-      const middleTip = landmarks[12];
-      const ringTip = landmarks[16];
-      const pinkyTip = landmarks[20];
-      const indexBase = landmarks[5];
-      const middleBase = landmarks[9];
-      const ringBase = landmarks[13];
-      const pinkyBase = landmarks[17];
-      
-      // Calculate the y-offset of each finger (how much the tip is above the base)
-      const fingerYOffset = [
-        0, // Thumb (not used)
-        indexBase.y - indexTip.y,  // Index
-        middleBase.y - middleTip.y, // Middle
-        ringBase.y - ringTip.y,    // Ring
-        pinkyBase.y - pinkyTip.y   // Pinky
-      ];
-      
-      // Draw lines from base to tip with color indicating up/down position
-      // Green: finger is up enough for Victory Sign
-      // Yellow: finger is up enough for Three Fingers
-      // Red: finger is not up enough for either gesture
-      
-      // Draw indicator lines
-      canvasCtx.beginPath();
-      canvasCtx.moveTo(indexBase.x * canvasElement.width, indexBase.y * canvasElement.height);
-      canvasCtx.lineTo(indexTip.x * canvasElement.width, indexTip.y * canvasElement.height);
-      canvasCtx.strokeStyle = fingerYOffset[1] > 0.02 ? "#00FF00" : (fingerYOffset[1] > 0.015 ? "#FFFF00" : "#FF0000");
-      canvasCtx.lineWidth = 3;
-      canvasCtx.stroke();
-      
-      canvasCtx.beginPath();
-      canvasCtx.moveTo(middleBase.x * canvasElement.width, middleBase.y * canvasElement.height);
-      canvasCtx.lineTo(middleTip.x * canvasElement.width, middleTip.y * canvasElement.height);
-      canvasCtx.strokeStyle = fingerYOffset[2] > 0.02 ? "#00FF00" : (fingerYOffset[2] > 0.015 ? "#FFFF00" : "#FF0000");
-      canvasCtx.lineWidth = 3;
-      canvasCtx.stroke();
+      seenHands.add(handKey);
+      if (side) handConfidence.set(side, hand.score);
+      const tracker = getHandTracker(handKey, side);
+      if (!airMouse) {
+        if (side) sideGestures[side] = gesture;
+        handEvents.push(...tracker.update(gesture, now).map(event => ({ ...event, side })));
+      }
       
-      canvasCtx.beginPath();
-      canvasCtx.moveTo(ringBase.x * canvasElement.width, ringBase.y * canvasElement.height);
-      canvasCtx.lineTo(ringTip.x * canvasElement.width, ringTip.y * canvasElement.height);
-      canvasCtx.strokeStyle = fingerYOffset[3] > 0.015 ? "#00FFFF" : (fingerYOffset[3] < 0.015 ? "#00FF00" : "#FF00FF");
-      canvasCtx.lineWidth = 3;
-      canvasCtx.stroke();
+      // Swipes and circles of the palm centre, and its recent path
+      if (motion) {
+        motions.push({ gesture: motion, side });
+        lastMotion = { name: motion, time: now };
+      }
+      if (trail.length > 1) {
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(trail[0].x * canvasElement.width, trail[0].y * canvasElement.height);
+        for (const point of trail.slice(1)) {
+          canvasCtx.lineTo(point.x * canvasElement.width, point.y * canvasElement.height);
+        }
+        canvasCtx.strokeStyle = "rgba(0, 200, 255, 0.8)";
+        canvasCtx.lineWidth = 3;
+        canvasCtx.stroke();
+      }
       
-      canvasCtx.beginPath();
-      canvasCtx.moveTo(pinkyBase.x * canvasElement.width, pinkyBase.y * canvasElement.height);
-      canvasCtx.lineTo(pinkyTip.x * canvasElement.width, pinkyTip.y * canvasElement.height);
-      canvasCtx.strokeStyle = fingerYOffset[4] < 0.015 ? "#00FF00" : "#FF0000";
-      canvasCtx.lineWidth = 3;
-      canvasCtx.stroke();
+      // Collect samples of the first hand while teaching a gesture or calibrating
+      if (hand.sample) {
+        gestureTrainer.samples.push(hand.sample);
+      }
+      if (calibrationCapture.capturing && i === 0) {
+        calibrationCapture.samples.push(features);
+      }
       
+      // Show how the rules see each finger: a line from knuckle to tip colored
+      // by state, plus its bend angle and reach
+      // Green: extended, Yellow: partly bent, Red: curled
+      const fingerStates = hand.fingerStates;
+      const debugLines = [];
+      FINGER_NAMES.forEach((name, index) => {
+        const joints = FINGER_JOINTS[name];
+        const base = landmarks[joints[0]];
+        const tip = landmarks[joints[3]];
+        const state = fingerStates[index];
+        const finger = features.fingers[name];
+
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(base.x * canvasElement.width, base.y * canvasElement.height);
+        canvasCtx.lineTo(tip.x * canvasElement.width, tip.y * canvasElement.height);
+        canvasCtx.strokeStyle = state === 'extended' ? "#00FF00" : (state === 'partial' ? "#FFFF00" : "#FF0000");
+        canvasCtx.lineWidth = 3;
+        canvasCtx.stroke();
+
+        const label = name.charAt(0).toUpperCase() + name.slice(1);
+        debugLines.push(`${label}: ${state} ${Math.round(finger.lowerAngle)}° ×${finger.reach.toFixed(1)}`);
+      });
+
       // Display debug info on canvas
-      const debugYOffset = [
-        `Index: ${fingerYOffset[1].toFixed(3)} ${fingerYOffset[1] > 0.02 ? "✓V" : (fingerYOffset[1] > 0.015 ? "✓3" : "✗")}`,
-        `Middle: ${fingerYOffset[2].toFixed(3)} ${fingerYOffset[2] > 0.02 ? "✓V" : (fingerYOffset[2] > 0.015 ? "✓3" : "✗")}`,
-        `Ring: ${fingerYOffset[3].toFixed(3)} ${fingerYOffset[3] > 0.015 ? "✓3" : (fingerYOffset[3] < 0.015 ? "✓V" : "✗")}`,
-        `Pinky: ${fingerYOffset[4].toFixed(3)} ${fingerYOffset[4] < 0.015 ? "✓" : "✗"}`
-      ];
-      
       canvasCtx.font = '16px Arial';
       canvasCtx.fillStyle = 'white';
       canvasCtx.strokeStyle = 'black';
       canvasCtx.lineWidth = 0.5;
-      for (let j = 0; j < debugYOffset.length; j++) {
-        canvasCtx.fillText(debugYOffset[j], 10, 20 + j * 20);
-        canvasCtx.strokeText(debugYOffset[j], 10, 20 + j * 20);
+      for (let j = 0; j < debugLines.length; j++) {
+        drawLabel(debugLines[j], 10, 20 + j * 20);
       }
       
       // Add gesture debug text
-      canvasCtx.fillText(`Gesture: ${gesture}`, 10, 100);
-      canvasCtx.strokeText(`Gesture: ${gesture}`, 10, 100);
+      drawLabel(`Gesture: ${gesture}`, 10, 120);
+      if (lastMotion && now - lastMotion.time < MOTION_DISPLAY_MS) {
+        drawLabel(`Motion: ${lastMotion.name}`, 10, 140);
+      }
       
       // If pinch or zoom pinch detected, store points for possible zoom gesture
-      if (gesture === "Pinch" || gesture === "Zoom Pinch") {
+      if ((gesture === "Pinch" || gesture === "Zoom Pinch") && !airMouse) {
         pinchPoints.push({
           thumb: landmarks[4],
           index: landmarks[8],
@@ -408,14 +869,13 @@ hands.onResults((results) => {
       if (i === 0) {
         detectedGestureElement.textContent = gesture;
         
-        // Calculate cooldown remaining
-        const currentTime = Date.now();
-        const cooldownRemaining = GESTURE_COOLDOWN - (currentTime - lastGestureTime);
-        
-        // Show visual indication of cooldown
-        if (cooldownRemaining > 0 && gesture !== "Unknown") {
-          const cooldownPercentage = (cooldownRemaining / GESTURE_COOLDOWN) * 100;
-          detectedGestureElement.style.opacity = 0.5 + (0.5 * (1 - cooldownPercentage / 100));
+        // Show whether the gesture has settled yet and whether it is cooling down
+        const state = tracker.getState(now);
+        if (state.pending === gesture && gesture !== NEUTRAL_GESTURE) {
+          detectedGestureElement.style.opacity = 0.5 + (0.5 * state.progress);
+          detectedGestureElement.style.color = "#FF9900"; // Orange while settling
+        } else if (state.coolingDown) {
+          detectedGestureElement.style.opacity = 0.5;
           detectedGestureElement.style.color = "#FF9900"; // Orange during cooldown
         } else {
           detectedGestureElement.style.opacity = 1;
@@ -423,16 +883,35 @@ hands.onResults((results) => {
         }
       }
       
-      // For single hand gestures
-      if (results.multiHandLandmarks.length === 1) {
-        // Check if enough time has passed since the last gesture
-        const currentTime = Date.now();
-        if (currentTime - lastGestureTime > GESTURE_COOLDOWN) {
-          const action = triggerKeyboardAction(gesture);
-          lastActionElement.textContent = action;
-          lastGestureTime = currentTime;
-        }
+      if (analysis.airMouse && i === 0) {
+        drawAirMouse(landmarks, analysis.airMouse);
+      }
+    }
+    
+    // Two pinching hands are a zoom, not two separate pinches or swipes
+    if (pinchPoints.length !== 2) {
+      // A mapped two-hand combination takes over from the single-hand gestures
+      // making it up, so they don't fire alongside it
+      const bothHands = sideGestures.Left && sideGestures.Right &&
+        sideGestures.Left !== NEUTRAL_GESTURE && sideGestures.Right !== NEUTRAL_GESTURE;
+      const combo = bothHands ? comboName(sideGestures.Left, sideGestures.Right) : null;
+      const comboMapped = combo !== null && isComboMapped(combo);
+      runGestureEvents(getComboTracker().update(comboMapped ? combo : NEUTRAL_GESTURE, now), now);
+      if (!comboMapped) {
+        runGestureEvents(handEvents, now);
+      }
+      
+      const heldCombo = getComboTracker().getState(now).gesture;
+      if (heldCombo) {
+        detectedGestureElement.textContent = heldCombo;
       }
+      
+      for (const motion of motions) {
+        triggerMomentaryGesture(motion.gesture, now, motion.side);
+      }
+    } else {
+      getComboTracker().update(NEUTRAL_GESTURE, now);
+      handAnalyzer.resetMotion();
     }
     
     // Debug info for zoom gestures
@@ -456,35 +935,24 @@ hands.onResults((results) => {
     
     // Check for zoom gestures (two pinches)
     if (pinchPoints.length === 2) {
-      const currentTime = Date.now();
-      if (currentTime - lastGestureTime > GESTURE_COOLDOWN) {
-        // Calculate distance between the two pinch points
-        const distance = Math.sqrt(
-          Math.pow(pinchPoints[0].thumb.x - pinchPoints[1].thumb.x, 2) + 
-          Math.pow(pinchPoints[0].thumb.y - pinchPoints[1].thumb.y, 2)
-        );
+      // Calculate distance between the two pinch points
+      const distance = Math.sqrt(
+        Math.pow(pinchPoints[0].thumb.x - pinchPoints[1].thumb.x, 2) + 
+        Math.pow(pinchPoints[0].thumb.y - pinchPoints[1].thumb.y, 2)
+      );
+      
+      // Store distance for tracking movement (zoom in/out)
+      if (!lastPinchDistance) {
+        lastPinchDistance = distance;
+        lastActionElement.textContent = 'Zoom tracking started';
+      } else {
+        // Determine if zooming in or out
+        const pinchDelta = distance - lastPinchDistance;
+        const zoomGesture = pinchDelta > 0 ? 'Zoom In' : 'Zoom Out';
         
-        // Store distance for tracking movement (zoom in/out)
-        if (!lastPinchDistance) {
+        if (Math.abs(pinchDelta) > 0.03) { // Reduced threshold to avoid jitter
+          triggerMomentaryGesture(zoomGesture, now);
           lastPinchDistance = distance;
-          lastActionElement.textContent = 'Zoom tracking started';
-        } else {
-          // Determine if zooming in or out
-          const pinchDelta = distance - lastPinchDistance;
-          
-          if (Math.abs(pinchDelta) > 0.03) { // Reduced threshold to avoid jitter
-            if (pinchDelta > 0) {
-              // Zoom in
-              ipcRenderer.send('trigger-keyboard', 'zoom-in');
-              lastActionElement.textContent = 'Zoom In';
-            } else {
-              // Zoom out
-              ipcRenderer.send('trigger-keyboard', 'zoom-out');
-              lastActionElement.textContent = 'Zoom Out';
-            }
-            lastGestureTime = currentTime;
-            lastPinchDistance = distance;
-          }
         }
       }
     } else {
@@ -493,7 +961,99 @@ hands.onResults((results) => {
     }
   } else {
     detectedGestureElement.textContent = 'None';
+    runGestureEvents(getComboTracker().update(NEUTRAL_GESTURE, now), now);
+  }
+  
+  // Hands that left the frame release whatever they were holding
+  for (const [handKey, tracker] of handTrackers) {
+    if (!seenHands.has(handKey)) {
+      const side = handKey === 'Left' || handKey === 'Right' ? handKey : null;
+      runGestureEvents(tracker.update(NEUTRAL_GESTURE, now).map(event => ({ ...event, side })), now);
+    }
+  }
+  
+  // Run held-back actions whose sequences timed out, and show the one under way
+  for (const run of sequenceMatcher.tick(now)) {
+    run();
+  }
+  const sequence = sequenceMatcher.getProgress(now);
+  if (sequence) {
+    const text = `Sequence: ${sequence.name} ${sequence.done}/${sequence.total} (${(sequence.remainingMs / 1000).toFixed(1)} s)`;
+    canvasCtx.font = '16px Arial';
+    canvasCtx.fillStyle = 'white';
+    canvasCtx.strokeStyle = 'black';
+    canvasCtx.lineWidth = 0.5;
+    drawLabel(text, 10, 180);
   }
+}
+
+// Outlined overlay text, readable whether or not the overlay is mirrored
+function drawLabel(text, x, y) {
+  canvasCtx.save();
+  canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+  canvasCtx.fillText(text, x, y);
+  canvasCtx.strokeText(text, x, y);
+  canvasCtx.restore();
+}
+
+ipc.on('hand-results', (results) => {
+  if (!cameraRunning || replay) return;
+  onResults(results, results.time);
+  updatePerformanceStatus(results);
+});
+
+ipc.on('camera-error', (message) => {
+  stopCamera();
+  lastActionElement.textContent = `Camera error: ${message}`;
+  cameraPanel.setStatus(message);
+});
+
+function sendMouseEvents(events) {
+  for (const mouseEvent of events) {
+    ipc.send('mouse-event', mouseEvent);
+  }
+}
+
+// Active region, fingertip and pointer mode for air-mouse mode
+function drawAirMouse(landmarks, { mode, region }) {
+  canvasCtx.setLineDash([6, 4]);
+  canvasCtx.strokeStyle = "#00C8FF";
+  canvasCtx.lineWidth = 2;
+  canvasCtx.strokeRect(
+    region.left * canvasElement.width,
+    region.top * canvasElement.height,
+    (region.right - region.left) * canvasElement.width,
+    (region.bottom - region.top) * canvasElement.height
+  );
+  canvasCtx.setLineDash([]);
+  
+  const tip = landmarks[8];
+  canvasCtx.beginPath();
+  canvasCtx.arc(tip.x * canvasElement.width, tip.y * canvasElement.height, 10, 0, 2 * Math.PI);
+  canvasCtx.fillStyle = mode === 'drag' ? "rgba(255, 0, 0, 0.6)" : (mode === 'pinch' ? "rgba(255, 153, 0, 0.6)" : "rgba(0, 200, 255, 0.6)");
+  canvasCtx.fill();
+  
+  canvasCtx.fillStyle = 'white';
+  canvasCtx.strokeStyle = 'black';
+  canvasCtx.lineWidth = 0.5;
+  drawLabel(`Air mouse: ${mode}`, 10, 160);
+}
+
+// Switching modes starts gesture tracking afresh, so a pose held while
+// pointing doesn't fire the moment air-mouse mode ends
+function setAirMouse(enabled) {
+  sendMouseEvents(handAnalyzer.setAirMouse(enabled));
+  airMouse = enabled;
+  handTrackers.clear();
+  comboTracker = null;
+  handAnalyzer.resetMotion();
+  resetSequences();
+  airMouseButton.textContent = enabled ? 'Stop Air Mouse' : 'Start Air Mouse';
+  lastActionElement.textContent = enabled ? 'Air mouse on' : 'Air mouse off';
+}
+
+airMouseButton.addEventListener('click', () => {
+  setAirMouse(!airMouse);
 });
 
 // Adjust canvas size when window resizes
@@ -505,43 +1065,136 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 window.addEventListener('load', resizeCanvas);
 
-// Button event handlers
-startButton.addEventListener('click', () => {
-  if (!camera) {
-    initCamera();
-    camera.start();
-    startButton.disabled = true;
-    stopButton.disabled = false;
-    lastActionElement.textContent = 'Camera started';
-  }
-});
+function startCamera() {
+  if (cameraRunning) return;
+  cameraRunning = true;
+  ipc.send('start-camera');
+  startButton.disabled = true;
+  stopButton.disabled = false;
+  performanceStatusElement.textContent = 'Starting…';
+  startPreview().catch(error => {
+    console.error('Could not show the camera preview:', error);
+    cameraPanel.setStatus(describeCameraError(error));
+  });
+}
 
-stopButton.addEventListener('click', () => {
-  if (camera) {
-    camera.stop();
-    camera = null;
+function stopCamera() {
+  if (cameraRunning) {
+    cameraRunning = false;
+    ipc.send('stop-camera');
+    stopPreview();
     startButton.disabled = false;
     stopButton.disabled = true;
     lastActionElement.textContent = 'Camera stopped';
+    performanceStatusElement.textContent = 'Camera off';
     
     // Clear the canvas
+    canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
     canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
     detectedGestureElement.textContent = 'None';
   }
+}
+
+// Button event handlers
+startButton.addEventListener('click', () => {
+  if (replay) replay.stop();
+  if (!cameraRunning) {
+    startCamera();
+    lastActionElement.textContent = 'Camera started';
+  }
+});
+
+stopButton.addEventListener('click', stopCamera);
+
+recordButton.addEventListener('click', async () => {
+  try {
+    if (landmarkRecorder.active) {
+      const { path: filePath, frames } = await landmarkRecorder.stop();
+      recordButton.textContent = 'Start Recording';
+      lastActionElement.textContent = `Saved ${frames} frames to ${filePath}`;
+    } else {
+      await landmarkRecorder.start();
+      recordButton.textContent = 'Stop Recording';
+      lastActionElement.textContent = 'Recording landmarks';
+    }
+  } catch (error) {
+    console.error('Error recording landmarks:', error);
+    lastActionElement.textContent = `Recording error: ${error.message}`;
+  }
+});
+
+// Replay a recording through the same onResults pipeline. The camera is
+// stopped first so live frames don't interleave with recorded ones.
+async function startReplay() {
+  const recording = await ipc.invoke('open-recording');
+  if (!recording) return;
+  replayFrames(recording.frames, { realtime: !fastReplayCheckbox.checked });
+}
+
+function replayFrames(frames, { realtime }) {
+  stopCamera();
+  // Recorded timestamps are in the past, so reset the timing state they're compared to
+  handTrackers.clear();
+  comboTracker = null;
+  handAnalyzer.resetMotion();
+  lastMomentaryTimes = {};
+  lastMotion = null;
+  lastPinchDistance = null;
+  resetSequences();
+  sendMouseEvents(handAnalyzer.releaseAirMouse());
+
+  replay = createReplay(frames, {
+    realtime,
+    onFrame: (frame) => onResults(frame, frame.time),
+    onDone: (result) => {
+      replay = null;
+      replayButton.textContent = 'Replay Recording…';
+      recordButton.disabled = false;
+      lastActionElement.textContent = result.completed ? `Replay finished (${result.frames} frames)` : 'Replay stopped';
+      ipc.send('replay-finished', result);
+    }
+  });
+
+  replayButton.textContent = 'Stop Replay';
+  recordButton.disabled = true;
+  lastActionElement.textContent = `Replaying ${frames.length} frames`;
+  replay.start();
+}
+
+replayButton.addEventListener('click', () => {
+  if (replay) {
+    replay.stop();
+    return;
+  }
+  startReplay().catch(error => {
+    console.error('Error replaying recording:', error);
+    lastActionElement.textContent = `Replay error: ${error.message}`;
+  });
+});
+
+pauseButton.addEventListener('click', () => {
+  ipc.send('set-paused', !activationState.paused);
 });
 
 minimizeButton.addEventListener('click', () => {
-  ipcRenderer.send('minimize-to-tray');
+  ipc.send('minimize-to-tray');
   lastActionElement.textContent = 'Minimized to tray';
 });
 
 // Initialize on page load
-window.addEventListener('load', () => {
-  // Initialize camera by default
-  initCamera();
-  camera.start();
-  
-  // Setup button states
-  startButton.disabled = true;
-  stopButton.disabled = false;
+window.addEventListener('load', async () => {
+  try {
+    await loadMappings();
+  } catch (error) {
+    console.error('Error loading gesture mappings:', error);
+  }
+
+  // Replay the recording given with --replay, or else start the camera by
+  // default, once its settings are known
+  const launchReplay = await ipc.invoke('get-launch-replay');
+  if (launchReplay) {
+    replayFrames(launchReplay.frames, { realtime: launchReplay.realtime });
+  } else {
+    startCamera();
+  }
 }); 
\ No newline at end of file
@@ -0,0 +1,55 @@
+// Feeds recorded landmark frames (see recordings.js) back through a results
+// handler, either at the original pace or as fast as possible. Needs no
+// camera or MediaPipe model.
+
+// Frames handled per tick in fast mode before yielding to the event loop
+const FAST_BATCH_SIZE = 200;
+
+function createReplay(frames, { onFrame, onDone, realtime = true }) {
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+  let startedAt = 0;
+  const firstTime = frames.length > 0 ? frames[0].time : 0;
+
+  function finish() {
+    stopped = true;
+    if (onDone) onDone({ frames: index, completed: index >= frames.length });
+  }
+
+  function step() {
+    if (stopped) return;
+
+    if (realtime) {
+      onFrame(frames[index]);
+      index++;
+      if (index >= frames.length) return finish();
+      // Schedule against the recording's own clock so delays don't accumulate
+      const due = (frames[index].time - firstTime) - (Date.now() - startedAt);
+      timer = setTimeout(step, Math.max(0, due));
+    } else {
+      const end = Math.min(index + FAST_BATCH_SIZE, frames.length);
+      for (; index < end; index++) {
+        onFrame(frames[index]);
+      }
+      if (index >= frames.length) return finish();
+      timer = setTimeout(step, 0);
+    }
+  }
+
+  return {
+    start() {
+      startedAt = Date.now();
+      if (frames.length === 0) return finish();
+      step();
+    },
+
+    stop() {
+      if (stopped) return;
+      clearTimeout(timer);
+      finish();
+    }
+  };
+}
+
+module.exports = { createReplay };
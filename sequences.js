@@ -0,0 +1,156 @@
+// Gesture sequences: a named series of gestures, each made within
+// stepTimeoutMs of the previous one, such as
+//   "Close Window": { "steps": ["Closed Fist", "Palm", "Thumbs Up"], "stepTimeoutMs": 2000 }
+// A sequence is mapped to an action by its name, like a gesture.
+//
+// Steps are matched against gestures as they become stable (see
+// gesture-tracker.js), so a flickering frame can't advance or break one.
+// When a gesture starts a mapped sequence, its own action is held back until
+// the sequence can no longer continue and only runs if the sequence never got
+// past that first step. Later steps never run their own actions.
+
+const DEFAULT_STEP_TIMEOUT_MS = 2000;
+const MAX_STEPS = 10;
+
+// Returns a list of problems with the `sequences` section of a config.
+// `reservedNames` are gesture names a sequence can't take.
+function validateSequences(sequences, reservedNames = []) {
+  if (sequences === undefined) return [];
+  if (!sequences || typeof sequences !== 'object' || Array.isArray(sequences)) {
+    return ['"sequences" must be an object of sequence name to sequence'];
+  }
+
+  const errors = [];
+  for (const [name, sequence] of Object.entries(sequences)) {
+    if (reservedNames.includes(name)) {
+      errors.push(`Sequence "${name}": the name is already a gesture`);
+    }
+    if (!sequence || typeof sequence !== 'object') {
+      errors.push(`Sequence "${name}" must be an object`);
+      continue;
+    }
+    const { steps, stepTimeoutMs } = sequence;
+    if (!Array.isArray(steps) || steps.length < 2 || steps.length > MAX_STEPS ||
+        !steps.every(step => typeof step === 'string' && step !== '')) {
+      errors.push(`Sequence "${name}": "steps" must list 2 to ${MAX_STEPS} gesture names`);
+    }
+    if (stepTimeoutMs !== undefined && (!Number.isFinite(stepTimeoutMs) || stepTimeoutMs <= 0)) {
+      errors.push(`Sequence "${name}": "stepTimeoutMs" must be a positive number`);
+    }
+  }
+  return errors;
+}
+
+// A step matches the gesture itself or the gesture on that hand ("Left Palm")
+function stepMatches(step, gesture, side) {
+  return step === gesture || (side && step === `${side} ${gesture}`);
+}
+
+// `sequences` is the config's sequences section; `isMapped(name)` says which
+// ones have an action, since only those need to hold anything back
+function createSequenceMatcher({ sequences = {}, isMapped = () => true } = {}) {
+  const definitions = Object.entries(sequences).map(([name, sequence]) => ({
+    name,
+    steps: sequence.steps,
+    stepTimeoutMs: sequence.stepTimeoutMs || DEFAULT_STEP_TIMEOUT_MS
+  }));
+
+  // Sequences under way: { definition, next (index of the step to match), deadline }
+  let partials = [];
+  // The held-back action of a gesture that only started sequences so far
+  let deferred = null;
+
+  function expire(now) {
+    partials = partials.filter(partial => now <= partial.deadline);
+  }
+
+  return {
+    // Match a gesture that just became stable. Returns
+    //   consumed:   the gesture is part of a sequence, so hold its action back
+    //   deferrable: it only started sequences, so pass its action to defer()
+    //   completed:  name of the sequence it finished, if any
+    //   flushed:    held-back actions to run now because their sequences broke
+    step(gesture, side, now) {
+      expire(now);
+      const advanced = [];
+      let completed = null;
+
+      for (const partial of partials) {
+        if (stepMatches(partial.definition.steps[partial.next], gesture, side)) {
+          partial.next++;
+          partial.deadline = now + partial.definition.stepTimeoutMs;
+          if (partial.next === partial.definition.steps.length) {
+            completed = completed || partial.definition.name;
+          } else {
+            advanced.push(partial);
+          }
+        }
+      }
+
+      if (completed) {
+        partials = [];
+        deferred = null;
+        return { consumed: true, deferrable: false, completed, flushed: [] };
+      }
+
+      const started = definitions
+        .filter(definition => isMapped(definition.name) && stepMatches(definition.steps[0], gesture, side))
+        .map(definition => ({ definition, next: 1, deadline: now + definition.stepTimeoutMs }));
+
+      // The previous gesture's action was held back for sequences this one broke
+      const flushed = [];
+      if (deferred && advanced.length === 0) {
+        flushed.push(deferred);
+      }
+      deferred = null;
+
+      partials = [...advanced, ...started];
+      return {
+        consumed: partials.length > 0,
+        deferrable: advanced.length === 0 && started.length > 0,
+        completed: null,
+        flushed
+      };
+    },
+
+    // Hold back the action of the gesture just reported as deferrable
+    defer(value) {
+      deferred = value;
+    },
+
+    // Call every frame: returns held-back actions whose sequences timed out
+    tick(now) {
+      expire(now);
+      if (partials.length === 0 && deferred) {
+        const value = deferred;
+        deferred = null;
+        return [value];
+      }
+      return [];
+    },
+
+    // The furthest sequence under way: { name, done, total, remainingMs }
+    getProgress(now) {
+      expire(now);
+      if (partials.length === 0) return null;
+      const best = partials.reduce((a, b) => (b.next > a.next ? b : a));
+      return {
+        name: best.definition.name,
+        done: best.next,
+        total: best.definition.steps.length,
+        remainingMs: best.deadline - now
+      };
+    },
+
+    reset() {
+      partials = [];
+      deferred = null;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_STEP_TIMEOUT_MS,
+  validateSequences,
+  createSequenceMatcher
+};
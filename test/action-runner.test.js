@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createActionRunner } = require('../action-runner');
+const { normalizeMapping } = require('../actions');
+const { createRecordingDriver } = require('../drivers/recording');
+
+function mapping(value) {
+  const result = normalizeMapping(value);
+  assert.deepEqual(result.errors, []);
+  return result.mapping;
+}
+
+// Runs one mapping; `approved` decides each approval request, which are
+// collected as [command, args, kind]
+async function run(steps, { approved = () => true } = {}) {
+  const driver = createRecordingDriver();
+  const requests = [];
+  const reports = [];
+  const runner = createActionRunner({
+    driver,
+    approveCommand: async (command, args, kind) => {
+      requests.push([command, args, kind]);
+      return approved(command, args, kind);
+    },
+    onStep: report => reports.push(report)
+  });
+  const ok = await runner.run('Palm', mapping({ steps }));
+  return { ok, requests, reports, events: driver.events.map(event => event.type) };
+}
+
+describe('createActionRunner', () => {
+  test('runs keys, text and delays without asking', async () => {
+    const { ok, requests, events } = await run(['Cmd+S', { type: 'text', text: 'hi' }, { type: 'delay', ms: 0 }]);
+    assert.equal(ok, true);
+    assert.deepEqual(requests, []);
+    assert.deepEqual(events, ['keys', 'text']);
+  });
+
+  test('asks before running a command', async () => {
+    const { requests, events } = await run([{ type: 'command', command: 'say', args: ['done'] }]);
+    assert.deepEqual(requests, [['say', ['done'], 'command']]);
+    assert.deepEqual(events, ['command']);
+  });
+
+  test('asks before launching an application', async () => {
+    const { requests, events } = await run([{ type: 'launch', app: 'sh', args: ['-c', 'echo hi'] }]);
+    assert.deepEqual(requests, [['sh', ['-c', 'echo hi'], 'launch']]);
+    assert.deepEqual(events, ['launch']);
+  });
+
+  test('asks before opening a local file, but not a web URL', async () => {
+    const { requests, events } = await run([
+      { type: 'open', target: 'https://example.com' },
+      { type: 'open', target: '/usr/bin/xterm' },
+      { type: 'open', target: 'file:///tmp/run.command' }
+    ]);
+    assert.deepEqual(requests, [['/usr/bin/xterm', [], 'open'], ['file:///tmp/run.command', [], 'open']]);
+    assert.deepEqual(events, ['open', 'open', 'open']);
+  });
+
+  test('stops the list at a step that isn\'t approved', async () => {
+    const { ok, events, reports } = await run([
+      'Cmd+S',
+      { type: 'launch', app: 'sh', args: ['-c', 'echo hi'] },
+      'Cmd+W'
+    ], { approved: () => false });
+    assert.equal(ok, false);
+    assert.deepEqual(events, ['keys']);
+    assert.deepEqual(reports.map(report => report.ok), [true, false]);
+    assert.equal(reports[1].error, 'Launch not approved');
+  });
+
+  test('runs mappings one at a time, in order', async () => {
+    const driver = createRecordingDriver();
+    const runner = createActionRunner({ driver, approveCommand: async () => true });
+    runner.run('Palm', mapping({ steps: [{ type: 'delay', ms: 20 }, { type: 'text', text: 'first' }] }));
+    runner.run('Closed Fist', mapping({ steps: [{ type: 'text', text: 'second' }] }));
+    await runner.whenIdle();
+    assert.deepEqual(driver.events.map(event => event.text), ['first', 'second']);
+  });
+});
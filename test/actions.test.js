@@ -0,0 +1,28 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStep } = require('../actions');
+
+const PLUGIN_ACTIONS = new Map([
+  ['notes.append', { plugin: 'notes', action: 'append', schema: { text: { type: 'string', required: true } } }]
+]);
+
+describe('normalizeStep', () => {
+  test('checks a loaded plugin\'s step against its schema', () => {
+    assert.deepEqual(normalizeStep({ type: 'notes.append', text: 'Break' }, { pluginActions: PLUGIN_ACTIONS }),
+      { step: { type: 'notes.append', text: 'Break' }, errors: [] });
+    assert.deepEqual(normalizeStep({ type: 'notes.append', txt: 'Break' }, { pluginActions: PLUGIN_ACTIONS }).errors,
+      ['Unknown option "txt"', '"text" is required']);
+  });
+
+  test('keeps a step for a plugin that isn\'t loaded', () => {
+    assert.deepEqual(normalizeStep({ type: 'nots.append', text: 'Break' }, { pluginActions: PLUGIN_ACTIONS }),
+      { step: { type: 'nots.append', text: 'Break' }, errors: [] });
+  });
+
+  test('reports a step it can\'t check when plugin actions are required', () => {
+    const options = { pluginActions: new Map(), requirePluginActions: true };
+    assert.deepEqual(normalizeStep({ type: 'notes.append', text: 'Break' }, options).errors,
+      ['Plugin action "notes.append" isn\'t loaded, so the step can\'t be checked']);
+    assert.deepEqual(normalizeStep('Cmd+S', options).errors, []);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ACTIVATION_SETTINGS,
+  validateActivationSettings,
+  createActivation
+} = require('../activation');
+
+// An activation whose state changes are recorded, on a mocked clock
+function setup(t, settings) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const changes = [];
+  const activation = createActivation({ settings, onChange: state => changes.push(state) });
+  t.after(() => activation.dispose());
+  return { activation, changes };
+}
+
+describe('createActivation', () => {
+  test('accepts gestures straight away without a wake gesture', (t) => {
+    const { activation } = setup(t);
+    assert.deepEqual(activation.getState(), {
+      paused: false, arming: false, armed: false, armedUntil: null, wakeGesture: null, accepting: true
+    });
+    activation.wake();
+    assert.equal(activation.getState().armed, false);
+  });
+
+  test('stops accepting while paused, and reports each change once', (t) => {
+    const { activation, changes } = setup(t);
+    activation.togglePaused();
+    activation.setPaused(true);
+    assert.deepEqual(changes.map(state => [state.paused, state.accepting]), [[true, false]]);
+    activation.togglePaused();
+    assert.deepEqual(changes.map(state => [state.paused, state.accepting]), [[true, false], [false, true]]);
+  });
+
+  test('with a wake gesture, accepts gestures for armedSeconds after it', (t) => {
+    const { activation, changes } = setup(t, { wakeGesture: 'Victory Sign', armedSeconds: 5 });
+    assert.deepEqual(activation.getState(), {
+      paused: false, arming: true, armed: false, armedUntil: null, wakeGesture: 'Victory Sign', accepting: false
+    });
+
+    activation.wake();
+    assert.deepEqual(changes.at(-1), {
+      paused: false, arming: true, armed: true, armedUntil: 5000, wakeGesture: 'Victory Sign', accepting: true
+    });
+    t.mock.timers.tick(4999);
+    assert.equal(activation.getState().accepting, true);
+    t.mock.timers.tick(1);
+    assert.equal(changes.length, 2);
+    assert.equal(changes.at(-1).armed, false);
+    assert.equal(activation.getState().accepting, false);
+  });
+
+  test('starts the armed period over when the wake gesture is shown again', (t) => {
+    const { activation, changes } = setup(t, { wakeGesture: 'Victory Sign', armedSeconds: 5 });
+    activation.wake();
+    t.mock.timers.tick(3000);
+    activation.wake();
+    t.mock.timers.tick(3000);
+    assert.equal(activation.getState().armed, true);
+    t.mock.timers.tick(2000);
+    assert.equal(activation.getState().armed, false);
+    assert.deepEqual(changes.map(state => state.armed), [true, true, false]);
+  });
+
+  test('ignores the wake gesture while paused, and resumes unarmed', (t) => {
+    const { activation, changes } = setup(t, { wakeGesture: 'Victory Sign' });
+    activation.wake();
+    activation.setPaused(true);
+    activation.wake();
+    assert.equal(activation.getState().armed, false);
+    activation.setPaused(false);
+    assert.deepEqual(activation.getState(), {
+      paused: false, arming: true, armed: false, armedUntil: null, wakeGesture: 'Victory Sign', accepting: false
+    });
+    t.mock.timers.tick(DEFAULT_ACTIVATION_SETTINGS.armedSeconds * 1000);
+    assert.equal(changes.length, 3);
+  });
+});
+
+describe('validateActivationSettings', () => {
+  test('checks the shortcut, wake gesture and armed period', () => {
+    assert.deepEqual(validateActivationSettings(undefined), []);
+    assert.deepEqual(validateActivationSettings({ pauseShortcut: null, wakeGesture: 'Left Palm', armedSeconds: 600 }), []);
+    assert.deepEqual(validateActivationSettings({ pauseShortcut: ' ', wakeGesture: 3, armedSeconds: 0, snooze: true }), [
+      '"activation": "pauseShortcut" must be a non-empty string or null',
+      '"activation": "wakeGesture" must be a non-empty string or null',
+      '"activation": "armedSeconds" must be more than 0 and at most 600',
+      '"activation": unknown setting "snooze"'
+    ]);
+    assert.deepEqual(validateActivationSettings([]), ['"activation" must be an object']);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_AIR_MOUSE_SETTINGS,
+  validateAirMouseSettings,
+  createAirMouse
+} = require('../air-mouse');
+const { MAX_SCROLL_LINES, normalizeMouseEvent, toScreenPoint } = require('../mouse');
+const { computeHandFeatures } = require('../gestures');
+const { createRecordingDriver } = require('../drivers/recording');
+
+const POSES = require('./fixtures/hand-poses.json');
+
+const SCREEN = { x: 0, y: 0, width: 1920, height: 1080 };
+const REGION_HEIGHT = DEFAULT_AIR_MOUSE_SETTINGS.regionBottom - DEFAULT_AIR_MOUSE_SETTINGS.regionTop;
+
+// A fixture pose moved by `dx` and `dy` in the image
+function pose(name, dx = 0, dy = 0) {
+  const frame = POSES[name];
+  const landmarks = frame.multiHandLandmarks[0].map(point => ({ ...point, x: point.x + dx, y: point.y + dy }));
+  const features = computeHandFeatures(landmarks, {
+    handedness: frame.multiHandedness[0].label,
+    aspectRatio: frame.aspectRatio
+  });
+  return { landmarks, features };
+}
+
+// Air mouse -> main.js's validation -> recording driver, as in air-mouse
+// mode. `frames` lists [pose, time]; resolves to what the driver recorded.
+async function runFrames(frames, settings) {
+  const airMouse = createAirMouse({ settings });
+  const driver = createRecordingDriver();
+  for (const [{ landmarks, features }, now] of frames) {
+    for (const value of airMouse.update(landmarks, features, now)) {
+      const { event, errors } = normalizeMouseEvent(value);
+      assert.deepEqual(errors, []);
+      await driver.sendMouse(event, { point: event.type === 'move' ? toScreenPoint(event, SCREEN) : undefined });
+    }
+  }
+  for (const value of airMouse.release()) {
+    await driver.sendMouse(normalizeMouseEvent(value).event);
+  }
+  return driver.events.map(entry => entry.event);
+}
+
+describe('createAirMouse', () => {
+  test('moves the pointer with the index fingertip, mirrored', async () => {
+    const events = await runFrames([[pose('Pointing Up'), 0], [pose('Pointing Up', 0.1), 33]], { smoothing: 0 });
+    assert.deepEqual(events.map(event => event.type), ['move', 'move']);
+    assert.ok(events[1].x < events[0].x);
+    assert.equal(events[1].y, events[0].y);
+  });
+
+  test('clicks for a short pinch without moving the pointer', async () => {
+    const events = await runFrames([
+      [pose('Pointing Up'), 0],
+      [pose('Pinch'), 33],
+      [pose('Pinch'), 100],
+      [pose('Pointing Up'), 200]
+    ]);
+    // The pointer is back where it was, so there's no move after the click
+    assert.deepEqual(events.slice(1), [{ type: 'button', button: 'left', action: 'click' }]);
+  });
+
+  test('drags for a held pinch and lets go when it opens', async () => {
+    const events = await runFrames([
+      [pose('Pinch'), 0],
+      [pose('Pinch'), 500],
+      [pose('Pinch', 0.05), 533],
+      [pose('Pointing Up'), 566]
+    ]);
+    assert.deepEqual(events.filter(event => event.type === 'button').map(event => event.action), ['down', 'up']);
+    assert.ok(events.some(event => event.type === 'move'));
+  });
+
+  test('lets go of a held button when the hand leaves', async () => {
+    const events = await runFrames([[pose('Pinch'), 0], [pose('Pinch'), 500]]);
+    assert.deepEqual(events.filter(event => event.type === 'button').map(event => event.action), ['down', 'up']);
+  });
+
+  test('scrolls with two fingers by scrollSpeed lines per region height', async () => {
+    const events = await runFrames([
+      [pose('Victory Sign'), 0],
+      [pose('Victory Sign', 0, REGION_HEIGHT / 10), 33],
+      [pose('Victory Sign', 0, 0), 66]
+    ], { scrollSpeed: 30 });
+    assert.deepEqual(events, [{ type: 'scroll', dy: 3 }, { type: 'scroll', dy: -3 }]);
+  });
+
+  test('scrolls a fast move over several frames, never more than MAX_SCROLL_LINES at once', async () => {
+    const still = pose('Victory Sign', 0, REGION_HEIGHT);
+    const events = await runFrames([
+      [pose('Victory Sign'), 0],
+      [still, 33],
+      [still, 66],
+      [still, 100],
+      [still, 133]
+    ], { scrollSpeed: 120 });
+    assert.deepEqual(events.map(event => event.dy), [MAX_SCROLL_LINES, MAX_SCROLL_LINES, 120 - 2 * MAX_SCROLL_LINES]);
+  });
+});
+
+describe('validateAirMouseSettings', () => {
+  test('accepts the defaults', () => {
+    assert.deepEqual(validateAirMouseSettings(DEFAULT_AIR_MOUSE_SETTINGS), []);
+  });
+
+  test('limits scrollSpeed', () => {
+    assert.deepEqual(validateAirMouseSettings({ scrollSpeed: 100000 }), ['"airMouse": "scrollSpeed" must be at most 500']);
+  });
+
+  test('reports an empty region and a release distance inside the pinch distance', () => {
+    assert.equal(validateAirMouseSettings({ regionLeft: 0.5, regionRight: 0.5 }).length, 1);
+    assert.deepEqual(validateAirMouseSettings({ pinchDistance: 0.5, pinchReleaseDistance: 0.4 }),
+      ['"airMouse": "pinchReleaseDistance" must be at least "pinchDistance"']);
+  });
+});
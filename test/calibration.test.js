@@ -0,0 +1,131 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CALIBRATION_STEPS,
+  MIN_CALIBRATION_SAMPLES,
+  getThresholds,
+  validateCalibration,
+  deriveThresholds,
+  findAmbiguousGestures,
+  describeAmbiguity,
+  calibrate
+} = require('../calibration');
+const { DEFAULT_THRESHOLDS, computeHandFeatures } = require('../gestures');
+
+const POSES = require('./fixtures/hand-poses.json');
+
+function poseFeatures(pose) {
+  const { multiHandLandmarks, multiHandedness, aspectRatio } = POSES[pose];
+  return computeHandFeatures(multiHandLandmarks[0], { handedness: multiHandedness[0].label, aspectRatio });
+}
+
+// `count` samples of a fixture pose, each passed through `change(features, i)`
+function samplesOf(pose, count, change = () => {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const features = structuredClone(poseFeatures(pose));
+    change(features, i);
+    return features;
+  });
+}
+
+// Sets the four fingers' bend and reach
+function setFingers(features, lowerAngle, reach) {
+  for (const name of ['index', 'middle', 'ring', 'pinky']) {
+    Object.assign(features.fingers[name], { lowerAngle, reach });
+  }
+}
+
+describe('getThresholds', () => {
+  test('lays calibrated thresholds over the defaults', () => {
+    assert.deepEqual(getThresholds(), DEFAULT_THRESHOLDS);
+    assert.deepEqual(getThresholds({ thresholds: { pinchDistance: 0.3 } }), { ...DEFAULT_THRESHOLDS, pinchDistance: 0.3 });
+  });
+});
+
+describe('validateCalibration', () => {
+  test('checks the thresholds\' names and limits', () => {
+    assert.deepEqual(validateCalibration(undefined), []);
+    assert.deepEqual(validateCalibration({ calibratedAt: 'today', thresholds: { pinchDistance: 0.3 } }), []);
+    assert.deepEqual(validateCalibration({ calibratedAt: 1, thresholds: { pinchDistance: 0.9, wobble: 1 }, extra: true }), [
+      '"calibration": unknown setting "extra"',
+      '"calibration": "calibratedAt" must be a string',
+      '"calibration.thresholds": "pinchDistance" must be between 0.1 and 0.8',
+      '"calibration.thresholds": unknown threshold "wobble"'
+    ]);
+    assert.deepEqual(validateCalibration({ thresholds: [] }), ['"calibration.thresholds" must be an object']);
+  });
+});
+
+describe('deriveThresholds', () => {
+  test('places the extended thresholds a margin inside the 10th percentile', () => {
+    const samples = { Palm: samplesOf('Palm', 10, (features, i) => setFingers(features, 160 + i, 2 + i / 100)) };
+    assert.deepEqual(deriveThresholds(samples), { fingerExtendedAngle: 150, fingerExtendedReach: 1.9 });
+  });
+
+  test('keeps derived thresholds within their limits', () => {
+    const samples = { Palm: samplesOf('Palm', 10, features => setFingers(features, 100, 3)) };
+    assert.deepEqual(deriveThresholds(samples), { fingerExtendedAngle: 120, fingerExtendedReach: 2.5 });
+  });
+
+  test('keeps the curled thresholds clear of the extended ones', () => {
+    const thresholds = deriveThresholds({
+      'Palm': samplesOf('Palm', 10, features => setFingers(features, 160, 2)),
+      'Closed Fist': samplesOf('Closed Fist', 10, features => setFingers(features, 150, 1))
+    });
+    assert.equal(thresholds.fingerCurledAngle, 140);
+    assert.equal(thresholds.fingerCurledReach, 1.1);
+  });
+
+  test('splits the pinch distance between pinches and other poses, unless they overlap', () => {
+    const pinchAt = distance => features => { features.pinchDistance = distance; };
+    const split = deriveThresholds({
+      'Pinch': samplesOf('Pinch', 10, pinchAt(0.2)),
+      'Palm': samplesOf('Palm', 10, pinchAt(0.5))
+    });
+    assert.equal(split.pinchDistance, 0.35);
+    const overlapping = deriveThresholds({
+      'Pinch': samplesOf('Pinch', 10, pinchAt(0.2)),
+      'Palm': samplesOf('Palm', 10, pinchAt(0.1))
+    });
+    assert.equal('pinchDistance' in overlapping, false);
+  });
+
+  test('leaves out poses with too few samples and ones it doesn\'t know', () => {
+    assert.deepEqual(deriveThresholds({
+      Palm: samplesOf('Palm', MIN_CALIBRATION_SAMPLES - 1),
+      Wave: samplesOf('Palm', MIN_CALIBRATION_SAMPLES)
+    }), {});
+  });
+});
+
+describe('findAmbiguousGestures', () => {
+  test('reports poses taken for something else, and ones without enough samples', () => {
+    const samples = Object.fromEntries(CALIBRATION_STEPS.map(pose =>
+      [pose, samplesOf(pose === 'Neutral' ? 'Closed Fist' : pose, 10)]));
+    samples['Victory Sign'] = [...samplesOf('Victory Sign', 2), ...samplesOf('Three Fingers', 8)];
+    samples.Pinch = samplesOf('Pinch', 3);
+
+    const problems = findAmbiguousGestures(samples, DEFAULT_THRESHOLDS);
+    assert.deepEqual(problems, [
+      { gesture: 'Neutral', matchRate: 0, confusedWith: 'Closed Fist' },
+      { gesture: 'Victory Sign', matchRate: 0.2, confusedWith: 'Three Fingers' },
+      { gesture: 'Pinch', matchRate: null, confusedWith: null }
+    ]);
+    assert.deepEqual(problems.map(describeAmbiguity), [
+      'Your relaxed hand was taken for Closed Fist (100% of samples)',
+      'Victory Sign: recognized in 20% of samples, otherwise mostly as Three Fingers',
+      'Pinch: not enough samples (keep your hand in view)'
+    ]);
+  });
+});
+
+describe('calibrate', () => {
+  test('derives thresholds that still recognize every pose the user held', () => {
+    const samples = Object.fromEntries(CALIBRATION_STEPS.slice(1).map(pose => [pose, samplesOf(pose, 10)]));
+    const { calibration, ambiguous } = calibrate(samples, new Date('2024-05-01T10:00:00Z'));
+    assert.equal(calibration.calibratedAt, '2024-05-01T10:00:00.000Z');
+    assert.deepEqual(validateCalibration(calibration), []);
+    assert.ok(Object.keys(calibration.thresholds).length > 0);
+    assert.deepEqual(ambiguous, [{ gesture: 'Neutral', matchRate: null, confusedWith: null }]);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CAMERA_SETTINGS,
+  CAMERA_RESOLUTIONS,
+  getCameraSettings,
+  validateCameraSettings
+} = require('../camera-settings');
+
+describe('getCameraSettings', () => {
+  test('fills in the defaults', () => {
+    assert.deepEqual(getCameraSettings(), DEFAULT_CAMERA_SETTINGS);
+    assert.deepEqual(getCameraSettings({ deviceId: 'abc', mirror: true }), { ...DEFAULT_CAMERA_SETTINGS, deviceId: 'abc', mirror: true });
+  });
+});
+
+describe('validateCameraSettings', () => {
+  test('accepts the defaults, every offered resolution and a chosen camera', () => {
+    assert.deepEqual(validateCameraSettings(undefined), []);
+    assert.deepEqual(validateCameraSettings(DEFAULT_CAMERA_SETTINGS), []);
+    for (const [width, height] of CAMERA_RESOLUTIONS) {
+      assert.deepEqual(validateCameraSettings({ width, height }), []);
+    }
+    assert.deepEqual(validateCameraSettings({ deviceId: 'abc', maxNumHands: 4, minDetectionConfidence: 0, minTrackingConfidence: 1 }), []);
+  });
+
+  test('checks the camera, resolution and mirroring', () => {
+    assert.deepEqual(validateCameraSettings({ deviceId: '', width: 640.5, height: 4000, mirror: 'yes' }), [
+      '"camera": "deviceId" must be a device ID or null',
+      '"camera": "width" must be a whole number from 1 to 3840',
+      '"camera": "height" must be a whole number from 1 to 2160',
+      '"camera": "mirror" must be true or false'
+    ]);
+  });
+
+  test('checks the tracking options', () => {
+    assert.deepEqual(validateCameraSettings({ maxNumHands: 0, minDetectionConfidence: 1.5, minTrackingConfidence: '0.5' }), [
+      '"camera": "maxNumHands" must be a whole number from 1 to 4',
+      '"camera": "minDetectionConfidence" must be between 0 and 1',
+      '"camera": "minTrackingConfidence" must be between 0 and 1'
+    ]);
+  });
+
+  test('rejects unknown settings and anything but an object', () => {
+    assert.deepEqual(validateCameraSettings({ modelComplexity: 1 }), ['"camera": unknown setting "modelComplexity"']);
+    assert.deepEqual(validateCameraSettings(null), ['"camera" must be an object']);
+    assert.deepEqual(validateCameraSettings([]), ['"camera" must be an object']);
+  });
+});
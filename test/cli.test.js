@@ -0,0 +1,74 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CLI_FLAGS, EXIT_CONFIG_ERROR, EXIT_USAGE_ERROR, parseCommandLine, formatUsage } = require('../cli');
+
+const CWD = path.resolve('/work');
+
+function parse(...argv) {
+  return parseCommandLine(argv, { cwd: CWD });
+}
+
+describe('parseCommandLine', () => {
+  test('defaults every flag to off or unset', () => {
+    const { options, errors } = parse();
+    assert.deepEqual(errors, []);
+    assert.equal(options.dryRun, false);
+    assert.equal(options.help, false);
+    assert.equal(options.config, undefined);
+    assert.equal(Object.keys(options).length, Object.keys(CLI_FLAGS).length);
+  });
+
+  test('reads switches and values, making file paths absolute', () => {
+    const { options, errors } = parse('--hidden', '--dry-run', '--config=ci-config.json', '--replay=/tmp/swipes.jsonl', '--fast', '--profile=Slides');
+    assert.deepEqual(errors, []);
+    assert.equal(options.hidden, true);
+    assert.equal(options.dryRun, true);
+    assert.equal(options.config, path.join(CWD, 'ci-config.json'));
+    assert.equal(options.replay, path.resolve('/tmp/swipes.jsonl'));
+    assert.equal(options.fast, true);
+    assert.equal(options.profile, 'Slides');
+  });
+
+  test('leaves unknown flags and plain arguments to Electron', () => {
+    const { options, errors } = parse('.', '--no-sandbox', '--inspect=9229', '--check-config');
+    assert.deepEqual(errors, []);
+    assert.equal(options.checkConfig, true);
+  });
+
+  test('reports missing values and values given to switches', () => {
+    assert.deepEqual(parse('--config', '--profile=', '--hidden=yes').errors, [
+      '--config needs a value: --config=<file>',
+      '--profile needs a value: --profile=<name>',
+      '--hidden doesn\'t take a value'
+    ]);
+  });
+
+  test('reports flags that don\'t go together', () => {
+    assert.equal(parse('--dry-run', '--driver=linux').errors.length, 1);
+    assert.deepEqual(parse('--dry-run', '--driver=recording').errors, []);
+    assert.deepEqual(parse('--fast').errors, ['--fast only applies to --replay']);
+  });
+
+  test('reads --help', () => {
+    assert.equal(parse('--help').options.help, true);
+  });
+});
+
+describe('formatUsage', () => {
+  test('lists every flag', () => {
+    const usage = formatUsage();
+    assert.ok(usage.startsWith('Usage: npm start -- [options]'));
+    assert.match(usage, /--config=<file> +Use this config file/);
+    for (const flag of Object.keys(CLI_FLAGS)) {
+      assert.ok(usage.includes(`--${flag}`), flag);
+    }
+  });
+});
+
+describe('exit statuses', () => {
+  test('tell config problems from usage problems', () => {
+    assert.equal(EXIT_CONFIG_ERROR, 1);
+    assert.equal(EXIT_USAGE_ERROR, 2);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getApprovalsPath, createCommandApprovals } = require('../command-approvals');
+
+describe('createCommandApprovals', () => {
+  let userDataPath;
+  // Every prompt as [command, args, kind]; `answer` decides them
+  let prompts;
+  let answer;
+
+  function create() {
+    return createCommandApprovals({
+      userDataPath,
+      confirm: async (command, args, kind) => {
+        prompts.push([command, args, kind]);
+        return answer;
+      }
+    });
+  }
+
+  beforeEach(() => {
+    userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'command-approvals-'));
+    prompts = [];
+    answer = true;
+  });
+
+  afterEach(() => {
+    fs.rmSync(userDataPath, { recursive: true, force: true });
+  });
+
+  test('remembers an approval across restarts, for that kind of step only', async () => {
+    assert.equal(await create().approve('/home/me/bin/script.sh', [], 'open'), true);
+
+    const approvals = create();
+    assert.equal(await approvals.approve('/home/me/bin/script.sh', [], 'open'), true);
+    assert.equal(prompts.length, 1);
+
+    answer = false;
+    assert.equal(await approvals.approve('/home/me/bin/script.sh', [], 'command'), false);
+    assert.equal(await approvals.approve('/home/me/bin/script.sh', [], 'launch'), false);
+    assert.deepEqual(prompts.map(prompt => prompt[2]), ['open', 'command', 'launch']);
+  });
+
+  test('asks again when the arguments change, and doesn\'t remember a refusal', async () => {
+    const approvals = create();
+    await approvals.approve('say', ['done']);
+    await approvals.approve('say', ['done', 'loudly']);
+    answer = false;
+    await approvals.approve('rm', ['-rf', '/']);
+    await approvals.approve('rm', ['-rf', '/']);
+    assert.equal(prompts.length, 4);
+  });
+
+  test('asks once for repeated requests while the prompt is open, but apart per kind', async () => {
+    const approvals = create();
+    const results = await Promise.all([
+      approvals.approve('say', ['done'], 'command'),
+      approvals.approve('say', ['done'], 'command'),
+      approvals.approve('say', ['done'], 'launch')
+    ]);
+    assert.deepEqual(results, [true, true, true]);
+    assert.deepEqual(prompts, [['say', ['done'], 'command'], ['say', ['done'], 'launch']]);
+  });
+
+  test('takes version 1 entries as command steps', async () => {
+    fs.writeFileSync(getApprovalsPath(userDataPath), JSON.stringify({ version: 1, approved: [{ command: 'say', args: ['done'] }] }));
+    const approvals = create();
+    answer = false;
+    assert.equal(await approvals.approve('say', ['done'], 'command'), true);
+    assert.equal(await approvals.approve('say', ['done'], 'launch'), false);
+  });
+
+  test('approves nothing from a corrupt file', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    fs.writeFileSync(getApprovalsPath(userDataPath), '{"approved": [');
+    answer = false;
+    assert.equal(await create().approve('say', ['done']), false);
+    assert.equal(prompts.length, 1);
+  });
+});
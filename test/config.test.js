@@ -0,0 +1,122 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_MAPPINGS,
+  getConfigPath,
+  validateConfig,
+  loadConfig,
+  loadConfigFile,
+  keepMappingNotation
+} = require('../config');
+
+describe('loadConfig', () => {
+  let userDataPath;
+
+  beforeEach(() => {
+    userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(userDataPath, { recursive: true, force: true });
+  });
+
+  function writeConfig(config) {
+    const text = typeof config === 'string' ? config : JSON.stringify(config, null, 2);
+    fs.writeFileSync(getConfigPath(userDataPath), text);
+    return text;
+  }
+
+  test('writes the defaults on first run', () => {
+    const loaded = loadConfig(userDataPath);
+    assert.deepEqual(loaded.errors, []);
+    assert.deepEqual(loaded.config.mappings, DEFAULT_MAPPINGS);
+    assert.deepEqual(JSON.parse(fs.readFileSync(getConfigPath(userDataPath), 'utf8')), loaded.config);
+  });
+
+  test('migrates version 1 key names to version 2', () => {
+    writeConfig({
+      version: 1,
+      mappings: {
+        'Victory Sign': { key: 'up', modifiers: [] },
+        'Zoom In': { key: 'zoom-in', label: 'Bigger' },
+        'Palm': { key: 'space' }
+      }
+    });
+    const loaded = loadConfig(userDataPath);
+    assert.deepEqual(loaded.errors, []);
+    assert.equal(loaded.raw.version, 2);
+    assert.deepEqual(loaded.raw.mappings, {
+      'Victory Sign': { key: 'pageup', modifiers: [] },
+      'Zoom In': { key: '+', modifiers: ['cmd'], label: 'Bigger' },
+      'Palm': { key: 'space' }
+    });
+    assert.equal(loaded.config.mappings['Victory Sign'].key, 'pageup');
+  });
+
+  test('leaves an invalid file untouched and falls back to the defaults', () => {
+    const text = writeConfig({ version: 2, mappings: { Palm: 'Cmd+Nope' }, hands: 3 });
+    const loaded = loadConfig(userDataPath);
+    assert.equal(loaded.errors.length, 1);
+    assert.equal(loaded.raw, null);
+    assert.deepEqual(loaded.config.mappings, DEFAULT_MAPPINGS);
+    assert.equal(fs.readFileSync(getConfigPath(userDataPath), 'utf8'), text);
+  });
+
+  test('leaves a file that isn\'t JSON untouched', () => {
+    const text = writeConfig('{ "version": 2, ');
+    const loaded = loadConfig(userDataPath);
+    assert.match(loaded.errors[0], /^Could not read config: /);
+    assert.equal(fs.readFileSync(getConfigPath(userDataPath), 'utf8'), text);
+  });
+});
+
+describe('loadConfigFile', () => {
+  test('reports a missing file rather than creating it', () => {
+    const configPath = path.join(os.tmpdir(), `missing-config-${process.pid}.json`);
+    assert.match(loadConfigFile(configPath).errors[0], /^Could not read config: /);
+    assert.equal(fs.existsSync(configPath), false);
+  });
+});
+
+describe('validateConfig', () => {
+  test('accepts the defaults', () => {
+    assert.deepEqual(validateConfig({ version: 2, mappings: DEFAULT_MAPPINGS }), []);
+  });
+
+  test('combines the problems of every section', () => {
+    const errors = validateConfig({
+      version: 3,
+      mappings: { Palm: { steps: [{ type: 'delay', ms: -1 }] } },
+      gestureSettings: { defaults: { wobble: 1 } },
+      performance: { targetFps: 0 },
+      airMouse: { scrollSpeed: 100000 },
+      api: { enabled: true }
+    });
+    assert.deepEqual(errors, [
+      'Unsupported config version: 3',
+      'Mapping for "Palm": Step 1: "ms" must be between 0 and 10000',
+      '"gestureSettings.defaults": unknown setting "wobble"',
+      '"airMouse": "scrollSpeed" must be at most 500',
+      '"api": a "token" is required when the API is enabled',
+      '"performance": "targetFps" must be more than 0 and at most 60'
+    ]);
+  });
+
+  test('needs an object', () => {
+    assert.deepEqual(validateConfig([]), ['Config must be a JSON object']);
+  });
+});
+
+describe('keepMappingNotation', () => {
+  test('keeps the file\'s notation for mappings that mean the same, and takes changed ones as given', () => {
+    const previous = { Palm: 'Cmd+Shift+]', Pinch: 'Left' };
+    const edited = {
+      Palm: { key: ']', modifiers: ['shift', 'cmd'], repeat: 1, holdMs: 0 },
+      Pinch: { key: 'right', modifiers: [], repeat: 1, holdMs: 0 }
+    };
+    assert.deepEqual(keepMappingNotation(edited, previous), { Palm: 'Cmd+Shift+]', Pinch: edited.Pinch });
+  });
+});
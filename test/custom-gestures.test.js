@@ -0,0 +1,78 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MIN_SAMPLES,
+  validateCustomGesture,
+  loadCustomGestures,
+  saveCustomGestures
+} = require('../custom-gestures');
+
+const SAMPLE = Array(63).fill(0.1);
+
+function gesture(name, sampleCount = MIN_SAMPLES) {
+  return { name, createdAt: '2024-03-01T00:00:00.000Z', samples: Array(sampleCount).fill(SAMPLE) };
+}
+
+function withUserData(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-gestures-'));
+  try {
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('validateCustomGesture', () => {
+  test('accepts a named gesture with enough samples', () => {
+    assert.deepEqual(validateCustomGesture(gesture('Wave')), []);
+  });
+
+  test('rejects entries that aren\'t gestures', () => {
+    for (const value of [null, undefined, 42, 'Wave', []]) {
+      assert.deepEqual(validateCustomGesture(value), ['Gesture must be an object with a name and samples']);
+    }
+  });
+
+  test('rejects built-in names, too few samples and malformed samples', () => {
+    assert.deepEqual(validateCustomGesture(gesture('Palm'), ['Palm']), ['"Palm" is a built-in gesture']);
+    assert.equal(validateCustomGesture(gesture('Wave', MIN_SAMPLES - 1)).length, 1);
+    assert.deepEqual(validateCustomGesture({ ...gesture('Wave'), samples: Array(MIN_SAMPLES).fill([1, 2]) }),
+      ['Samples must be normalized landmark lists']);
+  });
+});
+
+describe('loadCustomGestures', () => {
+  test('has no gestures before any are saved', () => {
+    withUserData(dir => {
+      assert.deepEqual(loadCustomGestures(dir), { gestures: [], errors: [] });
+    });
+  });
+
+  test('reads back saved gestures', () => {
+    withUserData(dir => {
+      saveCustomGestures(dir, [gesture('Wave')]);
+      assert.deepEqual(loadCustomGestures(dir).gestures, [gesture('Wave')]);
+    });
+  });
+
+  test('skips invalid entries, including null, and reports them', () => {
+    withUserData(dir => {
+      saveCustomGestures(dir, [null, gesture('Wave'), gesture('Palm')]);
+      const { gestures, errors } = loadCustomGestures(dir, ['Palm']);
+      assert.deepEqual(gestures.map(entry => entry.name), ['Wave']);
+      assert.equal(errors.length, 2);
+    });
+  });
+
+  test('reports a file that isn\'t JSON instead of throwing', () => {
+    withUserData(dir => {
+      fs.writeFileSync(path.join(dir, 'custom-gestures.json'), '{ not json');
+      const { gestures, errors } = loadCustomGestures(dir);
+      assert.deepEqual(gestures, []);
+      assert.match(errors[0], /^Could not read /);
+    });
+  });
+});
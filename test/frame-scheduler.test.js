@@ -0,0 +1,85 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+// A page module, loaded here through Node's require() of ES modules
+const { createFrameScheduler, createFrameMetrics } = require('../frame-scheduler');
+const {
+  DEFAULT_PERFORMANCE_SETTINGS,
+  getPerformanceSettings,
+  validatePerformanceSettings
+} = require('../performance-settings');
+
+const SETTINGS = getPerformanceSettings({ targetFps: 20, idleFps: 4, idleAfterSeconds: 2 });
+
+describe('createFrameScheduler', () => {
+  test('starts active, at the target rate with the full model', () => {
+    const scheduler = createFrameScheduler({ settings: SETTINGS, now: 0 });
+    assert.deepEqual(scheduler.getState(), { idle: false, fps: 20, modelComplexity: 1 });
+  });
+
+  test('idles at the idle rate and lighter model once no hand has been seen for idleAfterSeconds', () => {
+    const scheduler = createFrameScheduler({ settings: SETTINGS, now: 0 });
+    assert.equal(scheduler.update(true, 500), null);
+    assert.equal(scheduler.update(false, 2499), null);
+    assert.deepEqual(scheduler.update(false, 2500), { idle: true, fps: 4, modelComplexity: 0 });
+    assert.equal(scheduler.update(false, 3000), null);
+  });
+
+  test('goes straight back to active on the first hand seen', () => {
+    const scheduler = createFrameScheduler({ settings: SETTINGS, now: 0 });
+    scheduler.update(false, 2000);
+    assert.deepEqual(scheduler.update(true, 2250), { idle: false, fps: 20, modelComplexity: 1 });
+    assert.equal(scheduler.update(false, 4249), null);
+  });
+
+  test('waits out the rest of each frame\'s interval', () => {
+    const scheduler = createFrameScheduler({ settings: SETTINGS, now: 0 });
+    assert.equal(scheduler.getDelay(1000, 1020), 30);
+    assert.equal(scheduler.getDelay(1000, 1080), 0);
+    scheduler.update(false, 2000);
+    assert.equal(scheduler.getDelay(2000, 2050), 200);
+  });
+});
+
+describe('createFrameMetrics', () => {
+  test('averages the frame rate and latency over the window', () => {
+    const metrics = createFrameMetrics({ windowMs: 1000 });
+    assert.deepEqual(metrics.get(0), { fps: 0, latencyMs: 0 });
+    [0, 100, 200, 300].forEach((time, i) => metrics.record(10 + i, time));
+    assert.deepEqual(metrics.get(300), { fps: 10, latencyMs: 12 });
+  });
+
+  test('drops frames older than the window, and everything on reset', () => {
+    const metrics = createFrameMetrics({ windowMs: 1000 });
+    metrics.record(40, 0);
+    metrics.record(20, 500);
+    metrics.record(20, 1000);
+    assert.deepEqual(metrics.get(1200), { fps: 2, latencyMs: 20 });
+    metrics.reset();
+    assert.deepEqual(metrics.get(1200), { fps: 0, latencyMs: 0 });
+  });
+});
+
+describe('validatePerformanceSettings', () => {
+  test('accepts the defaults and fills in what\'s missing', () => {
+    assert.deepEqual(validatePerformanceSettings(DEFAULT_PERFORMANCE_SETTINGS), []);
+    assert.deepEqual(getPerformanceSettings({ idleFps: 2 }), { ...DEFAULT_PERFORMANCE_SETTINGS, idleFps: 2 });
+  });
+
+  test('checks rates, the idle delay and model complexities', () => {
+    assert.deepEqual(validatePerformanceSettings({
+      targetFps: 61,
+      idleFps: 0,
+      idleAfterSeconds: -1,
+      modelComplexity: 2,
+      turbo: true
+    }), [
+      '"performance": "targetFps" must be more than 0 and at most 60',
+      '"performance": "idleFps" must be more than 0 and at most 60',
+      '"performance": "idleAfterSeconds" must be a positive number',
+      '"performance": "modelComplexity" must be 0 or 1',
+      '"performance": unknown setting "turbo"'
+    ]);
+    assert.deepEqual(validatePerformanceSettings({ targetFps: 10, idleFps: 15 }), ['"performance": "idleFps" must be at most "targetFps"']);
+    assert.deepEqual(validatePerformanceSettings(null), ['"performance" must be an object']);
+  });
+});
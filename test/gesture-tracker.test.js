@@ -0,0 +1,100 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  NEUTRAL_GESTURE,
+  getBaseGesture,
+  getGestureSettings,
+  validateGestureSettings,
+  createGestureTracker
+} = require('../gesture-tracker');
+
+// Feed [gesture, time] pairs and return the events, with the time of each
+function track(tracker, frames) {
+  const events = [];
+  for (const [gesture, now] of frames) {
+    events.push(...tracker.update(gesture, now).map(event => ({ ...event, now })));
+  }
+  return events;
+}
+
+function presses(events) {
+  return events.filter(event => event.type === 'press').map(event => [event.name, event.now]);
+}
+
+describe('createGestureTracker', () => {
+  test('fires once stableFrames frames are seen, before stableMs at a high frame rate', () => {
+    const tracker = createGestureTracker({ settings: { defaults: { stableFrames: 3, stableMs: 1000 } } });
+    const events = track(tracker, [['Palm', 0], ['Palm', 10], ['Palm', 20], ['Palm', 30]]);
+    assert.deepEqual(presses(events), [['Palm', 20]]);
+  });
+
+  test('fires once stableMs have passed, before stableFrames at a low frame rate', () => {
+    const tracker = createGestureTracker({ settings: { defaults: { stableFrames: 10, stableMs: 100 } } });
+    const events = track(tracker, [['Palm', 0], ['Palm', 500], ['Palm', 1000]]);
+    assert.deepEqual(presses(events), [['Palm', 500]]);
+  });
+
+  test('never fires for a single frame', () => {
+    const tracker = createGestureTracker();
+    const events = track(tracker, [['Palm', 0], ['Closed Fist', 500], ['Palm', 1000], [NEUTRAL_GESTURE, 1500]]);
+    assert.deepEqual(presses(events), []);
+  });
+
+  test('fires again only after the gesture is released and the cooldown has passed', () => {
+    const tracker = createGestureTracker({ settings: { defaults: { stableFrames: 2, stableMs: 1000, cooldownMs: 300 } } });
+    const events = track(tracker, [
+      ['Palm', 0], ['Palm', 10], ['Palm', 20],
+      [NEUTRAL_GESTURE, 30], [NEUTRAL_GESTURE, 40],
+      ['Palm', 50], ['Palm', 60],
+      [NEUTRAL_GESTURE, 70], [NEUTRAL_GESTURE, 80],
+      ['Palm', 400], ['Palm', 410]
+    ]);
+    assert.deepEqual(presses(events), [['Palm', 10], ['Palm', 410]]);
+    assert.deepEqual(events.filter(event => event.type === 'enter').map(event => event.coolingDown), [false, true, false]);
+  });
+
+  test('waits for release when a long press is mapped', () => {
+    const tracker = createGestureTracker({
+      settings: { defaults: { stableFrames: 1, longPressMs: 500 } },
+      hasMapping: name => name === 'Palm (Long Press)'
+    });
+    const short = track(tracker, [['Palm', 0], ['Palm', 100], [NEUTRAL_GESTURE, 200]]);
+    assert.deepEqual(short.map(event => event.type), ['enter', 'press', 'release']);
+
+    const long = track(tracker, [['Palm', 5000], ['Palm', 5600], [NEUTRAL_GESTURE, 5700]]);
+    assert.deepEqual(long.map(event => event.type), ['enter', 'longPress', 'release']);
+  });
+
+  test('reports progress toward whichever limit is nearer', () => {
+    const tracker = createGestureTracker({ settings: { defaults: { stableFrames: 4, stableMs: 1000 } } });
+    track(tracker, [['Palm', 0], ['Palm', 10]]);
+    assert.deepEqual(tracker.getState(500), { gesture: null, coolingDown: false, pending: 'Palm', progress: 0.5 });
+    assert.equal(tracker.getState(750).progress, 0.75);
+  });
+});
+
+describe('getGestureSettings', () => {
+  test('layers the gesture\'s settings over the config defaults', () => {
+    const settings = { defaults: { cooldownMs: 500 }, gestures: { Palm: { stableFrames: 8 } } };
+    assert.equal(getGestureSettings(settings, 'Palm').stableFrames, 8);
+    assert.equal(getGestureSettings(settings, 'Palm').cooldownMs, 500);
+    assert.equal(getGestureSettings(settings, 'Closed Fist').stableFrames, 3);
+  });
+});
+
+describe('validateGestureSettings', () => {
+  test('reports unknown and negative settings', () => {
+    assert.deepEqual(validateGestureSettings({ defaults: { stableFrames: -1, wobble: 2 } }), [
+      '"gestureSettings.defaults": "stableFrames" must be a number of at least 0',
+      '"gestureSettings.defaults": unknown setting "wobble"'
+    ]);
+  });
+});
+
+describe('getBaseGesture', () => {
+  test('strips the hold and long-press suffixes', () => {
+    assert.equal(getBaseGesture('Palm (Hold)'), 'Palm');
+    assert.equal(getBaseGesture('Palm (Long Press)'), 'Palm');
+    assert.equal(getBaseGesture('Palm'), 'Palm');
+  });
+});
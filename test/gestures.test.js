@@ -0,0 +1,178 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  POSE_GESTURES,
+  BUILT_IN_GESTURES,
+  DEFAULT_THRESHOLDS,
+  angleFromVertical,
+  calculateAngle,
+  computeHandFeatures,
+  getFingerStates,
+  classifyFeatures,
+  detectGesture
+} = require('../gestures');
+const { MOTION_GESTURES } = require('../motion');
+
+// One frame per pose in the recording format (see recordings.js): a right
+// hand about a fifth of the image tall, from a 4:3 camera
+const POSES = require('./fixtures/hand-poses.json');
+
+function options(frame) {
+  return { handedness: frame.multiHandedness[0].label, aspectRatio: frame.aspectRatio };
+}
+
+function features(name) {
+  const frame = POSES[name];
+  return computeHandFeatures(frame.multiHandLandmarks[0], options(frame));
+}
+
+function fingerStates(name) {
+  return getFingerStates(features(name));
+}
+
+// The same pose seen differently: `scale` moves the hand closer to the
+// camera (> 1) or further away (< 1), `roll` turns it in the image plane and
+// `turn` about the image's vertical axis, in degrees around the wrist.
+// `mirror` makes it the other hand, and `aspectRatio` a different camera.
+function transformFrame(frame, { scale = 1, roll = 0, turn = 0, mirror = false, aspectRatio = frame.aspectRatio }) {
+  const [wrist] = frame.multiHandLandmarks[0];
+  const rollRadians = roll * Math.PI / 180;
+  const turnRadians = turn * Math.PI / 180;
+  const landmarks = frame.multiHandLandmarks[0].map(point => {
+    // Measure in pixels-like units, where x, y and z share a scale
+    let x = (point.x - wrist.x) * frame.aspectRatio;
+    let y = point.y - wrist.y;
+    let z = (point.z - wrist.z) * frame.aspectRatio;
+    [x, z] = [x * Math.cos(turnRadians) + z * Math.sin(turnRadians), z * Math.cos(turnRadians) - x * Math.sin(turnRadians)];
+    [x, y] = [x * Math.cos(rollRadians) - y * Math.sin(rollRadians), x * Math.sin(rollRadians) + y * Math.cos(rollRadians)];
+    if (mirror) x = -x;
+    return {
+      x: (mirror ? 1 - wrist.x : wrist.x) + x * scale / aspectRatio,
+      y: wrist.y + y * scale,
+      z: wrist.z + z * scale / aspectRatio
+    };
+  });
+  const label = frame.multiHandedness[0].label;
+  return {
+    aspectRatio,
+    multiHandedness: [{ ...frame.multiHandedness[0], label: mirror ? (label === 'Right' ? 'Left' : 'Right') : label }],
+    multiHandLandmarks: [landmarks]
+  };
+}
+
+describe('detectGesture', () => {
+  test('has a fixture for every pose', () => {
+    assert.deepEqual(Object.keys(POSES).sort(), POSE_GESTURES.slice().sort());
+  });
+
+  for (const name of POSE_GESTURES) {
+    test(`recognizes ${name}`, () => {
+      const frame = POSES[name];
+      assert.equal(detectGesture(frame.multiHandLandmarks[0], options(frame)), name);
+    });
+  }
+
+  test('uses the thresholds it is given', () => {
+    const frame = POSES['Pinch'];
+    const thresholds = { ...DEFAULT_THRESHOLDS, pinchDistance: 0 };
+    assert.notEqual(detectGesture(frame.multiHandLandmarks[0], { ...options(frame), thresholds }), 'Pinch');
+  });
+});
+
+describe('detectGesture at other distances, angles and hands', () => {
+  const VIEWS = {
+    'far from the camera': { scale: 0.4 },
+    'close to the camera': { scale: 2 },
+    'tilted left': { roll: -20 },
+    'tilted right': { roll: 20 },
+    'turned away': { turn: 35 },
+    'turned the other way': { turn: -35 },
+    'as the left hand': { mirror: true },
+    'from a 16:9 camera': { aspectRatio: 16 / 9 },
+    'far, tilted and turned, as the left hand': { scale: 0.5, roll: 15, turn: 25, mirror: true }
+  };
+
+  for (const [view, transform] of Object.entries(VIEWS)) {
+    test(`recognizes every pose ${view}`, () => {
+      for (const name of POSE_GESTURES) {
+        const frame = transformFrame(POSES[name], transform);
+        assert.equal(detectGesture(frame.multiHandLandmarks[0], options(frame)), name, name);
+      }
+    });
+  }
+
+  test('measures pinch distance in palm lengths, whatever the hand\'s size in the image', () => {
+    const near = computeHandFeatures(transformFrame(POSES['Zoom Pinch'], { scale: 2 }).multiHandLandmarks[0], options(POSES['Zoom Pinch']));
+    const far = computeHandFeatures(transformFrame(POSES['Zoom Pinch'], { scale: 0.4 }).multiHandLandmarks[0], options(POSES['Zoom Pinch']));
+    assert.ok(Math.abs(near.pinchDistance - far.pinchDistance) < 1e-9);
+    assert.ok(Math.abs(near.palmSize / far.palmSize - 5) < 1e-9);
+  });
+
+  test('still tells Thumbs Up from Thumbs Down when the hand is turned over', () => {
+    assert.equal(detectGesture(transformFrame(POSES['Thumbs Up'], { roll: 180 }).multiHandLandmarks[0], options(POSES['Thumbs Up'])), 'Thumbs Down');
+  });
+
+  test('doesn\'t call a finger pointing sideways Pointing Up', () => {
+    assert.notEqual(detectGesture(transformFrame(POSES['Pointing Up'], { roll: 90 }).multiHandLandmarks[0], options(POSES['Pointing Up'])), 'Pointing Up');
+  });
+});
+
+describe('overlapping poses', () => {
+  test('Victory Sign and Three Fingers differ only by the ring finger', () => {
+    assert.deepEqual(fingerStates('Victory Sign'), ['curled', 'extended', 'extended', 'curled', 'curled']);
+    assert.deepEqual(fingerStates('Three Fingers'), ['curled', 'extended', 'extended', 'extended', 'curled']);
+  });
+
+  test('Pinch and Zoom Pinch differ only by the other three fingers', () => {
+    const pinch = fingerStates('Pinch');
+    const zoomPinch = fingerStates('Zoom Pinch');
+    assert.deepEqual(pinch.slice(0, 2), zoomPinch.slice(0, 2));
+    assert.deepEqual(pinch.slice(2), ['curled', 'curled', 'curled']);
+    assert.deepEqual(zoomPinch.slice(2), ['extended', 'extended', 'extended']);
+  });
+
+  test('a pinch needs the index finger reaching out, not folded into a fist', () => {
+    assert.ok(features('Closed Fist').pinchDistance < DEFAULT_THRESHOLDS.pinchDistance);
+    assert.ok(features('Pinch').pinchDistance < DEFAULT_THRESHOLDS.pinchDistance);
+    assert.equal(classifyFeatures(features('Closed Fist')), 'Closed Fist');
+  });
+
+  test('Thumbs Up and Thumbs Down differ only by which way the thumb points', () => {
+    assert.deepEqual(fingerStates('Thumbs Up'), fingerStates('Thumbs Down'));
+    assert.ok(angleFromVertical(features('Thumbs Up').fingers.thumb.direction) < DEFAULT_THRESHOLDS.thumbVerticalAngle);
+    assert.ok(angleFromVertical(features('Thumbs Down').fingers.thumb.direction, true) < DEFAULT_THRESHOLDS.thumbVerticalAngle);
+  });
+
+  test('Pointing Up and Finger Gun differ by the thumb', () => {
+    assert.equal(fingerStates('Pointing Up')[0], 'curled');
+    assert.equal(fingerStates('Finger Gun')[0], 'extended');
+  });
+});
+
+describe('getFingerStates', () => {
+  test('finds every finger extended in an open palm and curled in a fist', () => {
+    assert.deepEqual(fingerStates('Palm'), Array(5).fill('extended'));
+    assert.deepEqual(fingerStates('Closed Fist'), Array(5).fill('curled'));
+  });
+});
+
+describe('calculateAngle', () => {
+  test('measures the angle at the middle point, in 3D', () => {
+    assert.equal(calculateAngle({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }), 180);
+    assert.equal(Math.round(calculateAngle({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 1, y: 0, z: 1 })), 90);
+  });
+});
+
+describe('angleFromVertical', () => {
+  test('measures from straight up, or straight down, in image coordinates', () => {
+    assert.equal(angleFromVertical({ x: 0, y: -1, z: 0 }), 0);
+    assert.equal(Math.round(angleFromVertical({ x: 1, y: -1, z: 0 })), 45);
+    assert.equal(angleFromVertical({ x: 0, y: 1, z: 0 }, true), 0);
+  });
+});
+
+describe('BUILT_IN_GESTURES', () => {
+  test('lists the poses, two-handed zoom and the motions', () => {
+    assert.deepEqual(BUILT_IN_GESTURES, [...POSE_GESTURES, 'Zoom In', 'Zoom Out', ...MOTION_GESTURES]);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHandAnalyzer } = require('../hand-analyzer');
+const { normalizeLandmarks } = require('../classifier');
+const { getThresholds } = require('../calibration');
+
+const POSES = require('./fixtures/hand-poses.json');
+
+// A frame of fixture poses, each moved by `dx` in the image. The fixtures
+// are all right hands; a [pose, dx, label] entry can say otherwise.
+function frame(...hands) {
+  const entries = hands.map(hand => (Array.isArray(hand) ? hand : [hand]));
+  return {
+    aspectRatio: POSES.Palm.aspectRatio,
+    multiHandLandmarks: entries.map(([pose, dx = 0]) =>
+      POSES[pose].multiHandLandmarks[0].map(point => ({ ...point, x: point.x + dx }))),
+    multiHandedness: entries.map(([pose, , label = 'Right'], index) =>
+      ({ ...POSES[pose].multiHandedness[0], index, label }))
+  };
+}
+
+describe('createHandAnalyzer', () => {
+  test('classifies each hand and tells the sides apart', () => {
+    const analyzer = createHandAnalyzer();
+    const { hands } = analyzer.analyze(frame(['Palm', 0, 'Right'], ['Closed Fist', 0, 'Left']), 0);
+    assert.deepEqual(hands.map(hand => [hand.side, hand.key, hand.gesture]), [
+      ['Left', 'Left', 'Palm'],
+      ['Right', 'Right', 'Closed Fist']
+    ]);
+    assert.deepEqual(hands[0].fingerStates, ['extended', 'extended', 'extended', 'extended', 'extended']);
+    assert.equal(hands[0].score, 0.97);
+  });
+
+  test('keeps a second hand with the same label apart, without a side', () => {
+    const { hands } = createHandAnalyzer().analyze(frame('Palm', 'Palm'), 0);
+    assert.deepEqual(hands.map(hand => [hand.side, hand.key, hand.score]), [['Left', 'Left', 0.97], [null, 'hand-1', null]]);
+  });
+
+  test('prefers a taught gesture', () => {
+    const analyzer = createHandAnalyzer();
+    const sample = normalizeLandmarks(POSES['Victory Sign'].multiHandLandmarks[0]);
+    analyzer.configure({ customGestures: [{ name: 'Peace', samples: [sample, sample, sample] }] });
+    assert.equal(analyzer.analyze(frame('Victory Sign'), 0).hands[0].gesture, 'Peace');
+    assert.equal(analyzer.analyze(frame('Palm'), 33).hands[0].gesture, 'Palm');
+  });
+
+  test('samples only the first hand, and only when asked', () => {
+    const analyzer = createHandAnalyzer();
+    assert.equal(analyzer.analyze(frame('Palm'), 0).hands[0].sample, null);
+    const { hands } = analyzer.analyze(frame('Palm', 'Closed Fist'), 33, { sample: true });
+    assert.deepEqual(hands[0].sample, normalizeLandmarks(POSES.Palm.multiHandLandmarks[0]));
+    assert.equal(hands[1].sample, null);
+  });
+
+  test('reports a swipe once the palm has moved across', () => {
+    const analyzer = createHandAnalyzer();
+    const motions = [0, 0.1, 0.2, 0.3, 0.4].map((dx, i) => analyzer.analyze(frame(['Palm', dx]), i * 50).hands[0].motion);
+    assert.deepEqual(motions.filter(Boolean), ['Swipe Right']);
+  });
+
+  test('swaps gestures for pointer events in air-mouse mode, and lets go when the hand leaves', () => {
+    const analyzer = createHandAnalyzer();
+    analyzer.configure({ airMouseSettings: { smoothing: 0 } });
+    analyzer.setAirMouse(true);
+    const first = analyzer.analyze(frame('Pinch'), 0);
+    assert.equal(first.airMouse.mode, 'pinch');
+    assert.equal(first.hands[0].motion, null);
+    analyzer.analyze(frame('Pinch'), 500);
+    assert.deepEqual(analyzer.analyze(frame(), 533).mouseEvents, [{ type: 'button', button: 'left', action: 'up' }]);
+    assert.deepEqual(analyzer.setAirMouse(false), []);
+    assert.equal(analyzer.analyze(frame('Palm'), 566).airMouse, null);
+  });
+
+  test('hands new thresholds to the air mouse while it\'s on', () => {
+    const analyzer = createHandAnalyzer();
+    analyzer.setAirMouse(true);
+    assert.equal(analyzer.analyze(frame('Victory Sign'), 0).airMouse.mode, 'scroll');
+    // Nothing counts as extended any more, so two fingers no longer scroll
+    analyzer.configure({ thresholds: { ...getThresholds(), fingerExtendedAngle: 180 } });
+    assert.equal(analyzer.analyze(frame('Victory Sign'), 33).airMouse.mode, 'point');
+  });
+
+  test('restarts the air mouse with new settings, letting go of a drag', () => {
+    const analyzer = createHandAnalyzer();
+    analyzer.setAirMouse(true);
+    analyzer.analyze(frame('Pinch'), 0);
+    analyzer.analyze(frame('Pinch'), 500);
+    assert.deepEqual(analyzer.configure({ airMouseSettings: { regionLeft: 0.1 } }), [{ type: 'button', button: 'left', action: 'up' }]);
+    const { airMouse } = analyzer.analyze(frame('Palm'), 533);
+    assert.equal(airMouse.region.left, 0.1);
+    assert.equal(airMouse.mode, 'point');
+  });
+
+  test('keeps air-mouse settings for when it\'s turned on', () => {
+    const analyzer = createHandAnalyzer();
+    assert.deepEqual(analyzer.configure({ airMouseSettings: { regionLeft: 0.1 }, thresholds: getThresholds() }), []);
+    analyzer.setAirMouse(true);
+    assert.equal(analyzer.analyze(frame('Palm'), 0).airMouse.region.left, 0.1);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HISTORY_COLUMNS,
+  toHistoryEntry,
+  filterHistory,
+  historyToCsv,
+  historyToJson,
+  createHistory
+} = require('../history');
+
+const TIME = Date.UTC(2024, 2, 1, 9, 30);
+
+function entry(fields) {
+  return {
+    time: TIME,
+    type: 'action-step',
+    gesture: 'Palm',
+    hand: '',
+    profile: 'Default',
+    source: 'camera',
+    description: 'Cmd+S',
+    status: 'ok',
+    detail: '',
+    ...fields
+  };
+}
+
+describe('historyToCsv', () => {
+  test('writes a header and one row per entry with ISO times', () => {
+    const csv = historyToCsv([entry()]);
+    assert.equal(csv, `${HISTORY_COLUMNS.join(',')}\r\n2024-03-01T09:30:00.000Z,action-step,Palm,,Default,camera,Cmd+S,ok,\r\n`);
+  });
+
+  test('quotes commas, quotes and newlines', () => {
+    const csv = historyToCsv([entry({ description: 'Type "hi", then\nEnter' })]);
+    assert.ok(csv.includes(',camera,"Type ""hi"", then\nEnter",ok,'));
+  });
+
+  test('keeps spreadsheets from reading fields as formulas', () => {
+    const cases = {
+      '=HYPERLINK("x")': '"\'=HYPERLINK(""x"")"',
+      '+1': "'+1",
+      '-1': "'-1",
+      '@SUM(A1)': "'@SUM(A1)",
+      '\t=1': "'\t=1",
+      '\r=1': '"\'\r=1"',
+      'plain = text': 'plain = text'
+    };
+    for (const [detail, field] of Object.entries(cases)) {
+      assert.ok(historyToCsv([entry({ detail })]).endsWith(`,ok,${field}\r\n`), JSON.stringify(detail));
+    }
+  });
+});
+
+describe('historyToJson', () => {
+  test('writes ISO times', () => {
+    assert.equal(JSON.parse(historyToJson([entry()]))[0].time, '2024-03-01T09:30:00.000Z');
+  });
+});
+
+describe('filterHistory', () => {
+  const entries = [
+    entry({ type: 'gesture', description: 'press', gesture: 'Thumbs Up' }),
+    entry({ type: 'action', description: 'Sign off' }),
+    entry({ type: 'action-step', status: 'error', detail: 'Command not approved' }),
+    entry({ type: 'profile', description: 'Switched to Slides', profile: 'Slides' })
+  ];
+
+  test('filters by kind', () => {
+    assert.deepEqual(filterHistory(entries, { filter: 'gestures' }), [entries[0]]);
+    assert.deepEqual(filterHistory(entries, { filter: 'actions' }), [entries[1], entries[2]]);
+    assert.deepEqual(filterHistory(entries, { filter: 'problems' }), [entries[2]]);
+    assert.equal(filterHistory(entries, { filter: 'unknown' }).length, 4);
+  });
+
+  test('matches text in any column, ignoring case', () => {
+    assert.deepEqual(filterHistory(entries, { text: ' slides ' }), [entries[3]]);
+    assert.deepEqual(filterHistory(entries, { filter: 'actions', text: 'APPROVED' }), [entries[2]]);
+  });
+});
+
+describe('toHistoryEntry', () => {
+  test('describes steps, failures and ignored actions', () => {
+    const step = toHistoryEntry({ type: 'action-step', timestamp: TIME, gesture: 'Palm', index: 1, total: 2, description: 'Enter', ok: false, error: 'Failed' }, 'Default');
+    assert.deepEqual(step, entry({ description: 'Step 2/2: Enter', status: 'error', detail: 'Failed', source: '' }));
+    const ignored = toHistoryEntry({ type: 'action', timestamp: TIME, description: 'Sign off', error: 'Paused' }, 'Default');
+    assert.equal(ignored.status, 'ignored');
+    assert.equal(ignored.detail, 'Paused');
+  });
+
+  test('records a profile switch under the new profile, and skips unknown events', () => {
+    assert.equal(toHistoryEntry({ type: 'profile', name: 'Slides', automatic: false }, 'Default').description, 'Switched to Slides (manual)');
+    assert.equal(toHistoryEntry({ type: 'profile', name: 'Slides' }, 'Default').profile, 'Slides');
+    assert.equal(toHistoryEntry({ type: 'heartbeat' }, 'Default'), null);
+  });
+});
+
+describe('createHistory', () => {
+  test('keeps the latest entries with increasing ids', () => {
+    const history = createHistory({ limit: 2 });
+    ['a', 'b', 'c'].forEach(description => history.add(entry({ description })));
+    assert.deepEqual(history.getEntries().map(stored => [stored.id, stored.description]), [[2, 'b'], [3, 'c']]);
+    history.clear();
+    assert.deepEqual(history.getEntries(), []);
+  });
+});
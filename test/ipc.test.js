@@ -0,0 +1,21 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IPC_CHANNELS, CHANNELS_ARGUMENT, getChannelsArgument, validateIpcMessage } = require('../ipc');
+
+describe('getChannelsArgument', () => {
+  test('passes a sandboxed window its channels as they are listed', () => {
+    for (const window of ['inference', 'overlay']) {
+      const argument = getChannelsArgument(window);
+      assert.ok(argument.startsWith(CHANNELS_ARGUMENT));
+      assert.deepEqual(JSON.parse(argument.slice(CHANNELS_ARGUMENT.length)), IPC_CHANNELS[window]);
+    }
+  });
+});
+
+describe('validateIpcMessage', () => {
+  test('checks the channel against the window and the arguments against their types', () => {
+    assert.deepEqual(validateIpcMessage('main', 'send', 'set-paused', [true]), []);
+    assert.deepEqual(validateIpcMessage('overlay', 'send', 'set-paused', [true]), ['the overlay window may not send "set-paused"']);
+    assert.deepEqual(validateIpcMessage('main', 'send', 'set-paused', ['yes']), ['argument 1 must be boolean']);
+  });
+});
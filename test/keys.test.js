@@ -0,0 +1,146 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCombo,
+  normalizeAction,
+  formatAction,
+  toMacScript,
+  toXdotoolArgs
+} = require('../keys');
+
+function action(value) {
+  const result = normalizeAction(value);
+  assert.deepEqual(result.errors, []);
+  return result.action;
+}
+
+describe('parseCombo', () => {
+  test('splits modifiers from the key', () => {
+    assert.deepEqual(parseCombo('Cmd+Shift+]'), { key: ']', modifiers: ['Cmd', 'Shift'] });
+  });
+
+  test('takes a trailing "+" as the key', () => {
+    assert.deepEqual(parseCombo('Ctrl++'), { key: '+', modifiers: ['Ctrl'] });
+  });
+
+  test('rejects empty text', () => {
+    assert.equal(parseCombo('  '), null);
+  });
+});
+
+describe('normalizeAction', () => {
+  test('fills in defaults for a plain key', () => {
+    assert.deepEqual(action('a'), { key: 'a', modifiers: [], repeat: 1, holdMs: 0 });
+  });
+
+  test('accepts key and modifier aliases, in canonical modifier order', () => {
+    assert.deepEqual(action('Shift+Command+Esc'), { key: 'escape', modifiers: ['shift', 'cmd'], repeat: 1, holdMs: 0 });
+    assert.deepEqual(action({ key: 'PgDn', modifiers: ['option', 'control'] }).modifiers, ['ctrl', 'alt']);
+  });
+
+  test('knows letters, digits, F-keys, arrows and media keys', () => {
+    for (const key of ['z', '7', 'f1', 'f20', 'up', 'left', 'volumeup', 'playpause', 'brightnessdown']) {
+      assert.equal(action(key).key, key);
+    }
+  });
+
+  test('keeps repeat and hold', () => {
+    assert.deepEqual(action({ key: 'down', repeat: 3, holdMs: 250 }), { key: 'down', modifiers: [], repeat: 3, holdMs: 250 });
+  });
+
+  test('reports unknown keys and modifiers', () => {
+    assert.deepEqual(normalizeAction('Hyper+Nope').errors, ['Unknown key "Nope"', 'Unknown modifier "Hyper"']);
+  });
+
+  test('reports out-of-range repeat and hold', () => {
+    assert.equal(normalizeAction({ key: 'a', repeat: 0 }).action, null);
+    assert.equal(normalizeAction({ key: 'a', repeat: 51 }).action, null);
+    assert.equal(normalizeAction({ key: 'a', holdMs: 10001 }).action, null);
+  });
+
+  test("won't hold a character that is typed as text", () => {
+    assert.deepEqual(normalizeAction({ key: '!', holdMs: 100 }).errors, ['"!" is typed as text and can\'t be held']);
+  });
+
+  test("won't add modifiers to or hold a media key", () => {
+    assert.deepEqual(normalizeAction('Shift+VolumeUp').errors, ['Volume Up is a media key and can\'t have modifiers']);
+    assert.deepEqual(normalizeAction({ key: 'mute', holdMs: 500 }).errors, ['Mute is a media key and can\'t be held']);
+    assert.deepEqual(normalizeAction({ key: 'playpause', repeat: 2 }).errors, []);
+  });
+});
+
+describe('formatAction', () => {
+  test('shows modifiers, repeat and hold', () => {
+    assert.equal(formatAction(action({ key: ']', modifiers: ['cmd', 'shift'], repeat: 3 })), 'Shift+Cmd+] ×3');
+    assert.equal(formatAction(action({ key: 'space', holdMs: 500 })), 'Spacebar (hold 500 ms)');
+  });
+});
+
+describe('toMacScript', () => {
+  test('taps a key by key code with its modifiers', () => {
+    assert.deepEqual(toMacScript(action('Cmd+Shift+]')), {
+      language: 'AppleScript',
+      script: 'tell application "System Events"\n  key code 30 using {shift down, command down}\nend tell'
+    });
+  });
+
+  test('maps digits, F-keys and arrows to their key codes', () => {
+    assert.match(toMacScript(action('1')).script, /key code 18\b/);
+    assert.match(toMacScript(action('f5')).script, /key code 96\b/);
+    assert.match(toMacScript(action('right')).script, /key code 124\b/);
+  });
+
+  test('repeats taps in a loop', () => {
+    assert.match(toMacScript(action({ key: 'tab', repeat: 4 })).script, /repeat 4 times\n {4}key code 48\n {2}end repeat/);
+  });
+
+  test('types shifted symbols as keystrokes', () => {
+    assert.match(toMacScript(action('Ctrl+"')).script, /keystroke "\\"" using \{control down\}/);
+  });
+
+  test('holds keys with CoreGraphics events', () => {
+    const { language, script } = toMacScript(action({ key: 'a', modifiers: ['ctrl'], holdMs: 500 }));
+    assert.equal(language, 'JavaScript');
+    assert.match(script, /CGEventCreateKeyboardEvent\(\$\(\), 0, true\)/);
+    assert.match(script, /CGEventSetFlags\(down, 262144\)/);
+    assert.match(script, /delay\(0\.5\)/);
+  });
+
+  test('posts media keys as system-defined events', () => {
+    const { language, script } = toMacScript(action({ key: 'mute', repeat: 2 }));
+    assert.equal(language, 'JavaScript');
+    assert.match(script, /i < 2/);
+    assert.match(script, /\(7 << 16\)/);
+  });
+});
+
+describe('toXdotoolArgs', () => {
+  test('taps a combo of keysyms', () => {
+    assert.deepEqual(toXdotoolArgs(action('Cmd+Shift+]')),
+      ['key', '--clearmodifiers', '--repeat', '1', '--delay', '50', 'shift+super+bracketright']);
+  });
+
+  test('uses X keysym names for digits, F-keys, arrows and media keys', () => {
+    assert.equal(toXdotoolArgs(action('A')).at(-1), 'a');
+    assert.equal(toXdotoolArgs(action('3')).at(-1), '3');
+    assert.equal(toXdotoolArgs(action('f12')).at(-1), 'F12');
+    assert.equal(toXdotoolArgs(action('pageup')).at(-1), 'Prior');
+    assert.equal(toXdotoolArgs(action('down')).at(-1), 'Down');
+    assert.equal(toXdotoolArgs(action('volumedown')).at(-1), 'XF86AudioLowerVolume');
+  });
+
+  test('passes repeat to xdotool', () => {
+    assert.deepEqual(toXdotoolArgs(action({ key: 'left', repeat: 5 })).slice(2, 4), ['--repeat', '5']);
+  });
+
+  test('holds with keydown, sleep and keyup for each repeat', () => {
+    assert.deepEqual(toXdotoolArgs(action({ key: 'space', modifiers: ['alt'], repeat: 2, holdMs: 250 })), [
+      'keydown', 'alt+space', 'sleep', '0.25', 'keyup', 'alt+space',
+      'keydown', 'alt+space', 'sleep', '0.25', 'keyup', 'alt+space'
+    ]);
+  });
+
+  test('uses keysyms for shifted symbols', () => {
+    assert.equal(toXdotoolArgs(action('Ctrl+?')).at(-1), 'ctrl+question');
+  });
+});
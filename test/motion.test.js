@@ -0,0 +1,128 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_MOTION_SETTINGS,
+  validateMotionSettings,
+  getPalmPosition,
+  createMotionDetector
+} = require('../motion');
+
+const PALM_SIZE = 0.1;
+const FRAME_MS = 33;
+
+// A hand whose palm centre is at (x, y), one palm length tall
+function hand(x, y) {
+  const landmarks = Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+  landmarks[0] = { x, y: y + PALM_SIZE / 2, z: 0 };
+  landmarks[9] = { x, y: y - PALM_SIZE / 2, z: 0 };
+  return landmarks;
+}
+
+// Feeds palm positions a frame apart; returns the motions reported
+function trace(detector, points, start = 0) {
+  return points
+    .map(([x, y], i) => detector.update(hand(x, y), start + i * FRAME_MS))
+    .filter(Boolean);
+}
+
+// `frames` positions along a straight line
+function line(from, to, frames) {
+  return Array.from({ length: frames }, (_, i) => [
+    from[0] + (to[0] - from[0]) * i / (frames - 1),
+    from[1] + (to[1] - from[1]) * i / (frames - 1)
+  ]);
+}
+
+// `frames` positions around a circle, clockwise on screen unless `counter`
+function circle(radius, frames, counter = false) {
+  return Array.from({ length: frames }, (_, i) => {
+    const angle = 2 * Math.PI * i / (frames - 1) * (counter ? -1 : 1);
+    return [0.5 + radius * Math.cos(angle), 0.5 + radius * Math.sin(angle)];
+  });
+}
+
+function detector(options) {
+  return createMotionDetector({ aspectRatio: 1, ...options });
+}
+
+describe('createMotionDetector', () => {
+  test('reports a quick straight movement as a swipe in its direction', () => {
+    assert.deepEqual(trace(detector(), line([0.3, 0.5], [0.7, 0.5], 8)), ['Swipe Right']);
+    assert.deepEqual(trace(detector(), line([0.7, 0.5], [0.3, 0.5], 8)), ['Swipe Left']);
+    assert.deepEqual(trace(detector(), line([0.5, 0.7], [0.5, 0.3], 8)), ['Swipe Up']);
+    assert.deepEqual(trace(detector(), line([0.5, 0.3], [0.5, 0.7], 8)), ['Swipe Down']);
+  });
+
+  test('swaps left and right for a mirrored preview', () => {
+    assert.deepEqual(trace(detector({ mirrored: true }), line([0.3, 0.5], [0.7, 0.5], 8)), ['Swipe Left']);
+  });
+
+  test('ignores slow, short and diagonal movements', () => {
+    assert.deepEqual(trace(detector(), line([0.3, 0.5], [0.7, 0.5], 60)), []);
+    assert.deepEqual(trace(detector(), line([0.5, 0.5], [0.6, 0.5], 4)), []);
+    assert.deepEqual(trace(detector(), line([0.3, 0.3], [0.6, 0.6], 8)), []);
+  });
+
+  test('follows the swipe settings', () => {
+    const settings = { swipeDistance: 5 };
+    assert.deepEqual(trace(detector({ settings }), line([0.3, 0.5], [0.7, 0.5], 8)), []);
+  });
+
+  test('doesn\'t take the hand coming back for a swipe the other way', () => {
+    const motionDetector = detector();
+    const there = line([0.3, 0.5], [0.7, 0.5], 8);
+    assert.deepEqual(trace(motionDetector, [...there, ...there.slice().reverse()]), ['Swipe Right']);
+  });
+
+  test('reports a swipe again once reset', () => {
+    const motionDetector = detector();
+    const swipe = line([0.3, 0.5], [0.7, 0.5], 8);
+    assert.deepEqual(trace(motionDetector, swipe), ['Swipe Right']);
+    motionDetector.reset();
+    assert.deepEqual(trace(motionDetector, swipe.slice().reverse(), 8 * FRAME_MS), ['Swipe Left']);
+  });
+
+  test('reports a full turn as a circle in its direction', () => {
+    assert.deepEqual(trace(detector(), circle(0.1, 30)), ['Circle Clockwise']);
+    assert.deepEqual(trace(detector(), circle(0.1, 30, true)), ['Circle Counter-Clockwise']);
+  });
+
+  test('ignores small circles, part turns and lines back and forth', () => {
+    assert.deepEqual(trace(detector(), circle(0.03, 30)), []);
+    assert.deepEqual(trace(detector(), circle(0.1, 30).slice(0, 20)), []);
+    const wobble = Array.from({ length: 30 }, (_, i) => [0.5 + 0.1 * Math.sin(i / 3), 0.5]);
+    assert.deepEqual(trace(detector(), wobble), []);
+  });
+
+  test('keeps a trail of recent palm centres in image coordinates', () => {
+    const motionDetector = createMotionDetector({ aspectRatio: 2, mirrored: true });
+    motionDetector.update(hand(0.4, 0.5), 0);
+    motionDetector.update(hand(0.45, 0.5), 33);
+    const trail = motionDetector.getTrail();
+    assert.equal(trail.length, 2);
+    assert.ok(Math.abs(trail[1].x - 0.45) < 1e-9);
+    assert.equal(trail[1].y, 0.5);
+    motionDetector.update(hand(0.45, 0.5), 33 + DEFAULT_MOTION_SETTINGS.circleWindowMs + 1);
+    assert.equal(motionDetector.getTrail().length, 1);
+  });
+});
+
+describe('getPalmPosition', () => {
+  test('measures in palm lengths with x stretched by the aspect ratio', () => {
+    const position = getPalmPosition(hand(0.5, 0.5), 2);
+    assert.equal(position.x, 1);
+    assert.ok(Math.abs(position.palmSize - PALM_SIZE) < 1e-9);
+  });
+});
+
+describe('validateMotionSettings', () => {
+  test('accepts known positive settings only', () => {
+    assert.deepEqual(validateMotionSettings(undefined), []);
+    assert.deepEqual(validateMotionSettings({ swipeDistance: 1.5 }), []);
+    assert.deepEqual(validateMotionSettings({ swipeDistance: 0, wiggle: 1 }), [
+      '"motionSettings": "swipeDistance" must be a positive number',
+      '"motionSettings": unknown setting "wiggle"'
+    ]);
+    assert.deepEqual(validateMotionSettings([]), ['"motionSettings" must be an object']);
+  });
+});
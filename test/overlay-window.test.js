@@ -0,0 +1,204 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_OVERLAY_SETTINGS,
+  validateOverlaySettings,
+  getOverlayBounds,
+  applyOverlayEvent,
+  createOverlayController
+} = require('../overlay-window');
+
+const WORK_AREA = { x: 0, y: 25, width: 1440, height: 875 };
+const EMPTY = { gesture: null, action: null, error: null };
+
+// A BrowserWindow stand-in that records what was done to it
+function createFakeWindow(bounds) {
+  const listeners = {};
+  const fake = {
+    calls: [['create', bounds]],
+    visible: false,
+    loading: false,
+    webContents: {
+      isLoading: () => fake.loading,
+      send: (channel, value) => fake.calls.push(['send', value])
+    },
+    on: (name, listener) => { listeners[name] = listener; },
+    loadFile: (file, options) => fake.calls.push(['loadFile', file, options]),
+    setBounds: next => fake.calls.push(['setBounds', next]),
+    showInactive: () => { fake.visible = true; },
+    hide: () => { fake.visible = false; },
+    destroy: () => {
+      fake.calls.push(['destroy']);
+      listeners.closed();
+    },
+    close: () => listeners.closed()
+  };
+  return fake;
+}
+
+function createController(options = {}) {
+  const windows = [];
+  const controller = createOverlayController({
+    createWindow: (bounds) => {
+      windows.push(createFakeWindow(bounds));
+      return windows.at(-1);
+    },
+    getWorkArea: () => WORK_AREA,
+    describeState: () => 'Active',
+    ...options
+  });
+  return { controller, windows };
+}
+
+describe('getOverlayBounds', () => {
+  test('places the overlay in each corner and centre, inside the work area\'s margin', () => {
+    const bounds = position => getOverlayBounds({ position, width: 300, height: 100 }, WORK_AREA);
+    assert.deepEqual(bounds('top-left'), { x: 20, y: 45, width: 300, height: 100 });
+    assert.deepEqual(bounds('top-center'), { x: 570, y: 45, width: 300, height: 100 });
+    assert.deepEqual(bounds('bottom-right'), { x: 1120, y: 780, width: 300, height: 100 });
+    assert.deepEqual(bounds('bottom-center'), { x: 570, y: 780, width: 300, height: 100 });
+  });
+
+  test('uses the default size and position', () => {
+    assert.deepEqual(getOverlayBounds(undefined, WORK_AREA), {
+      x: 1440 - DEFAULT_OVERLAY_SETTINGS.width - 20,
+      y: 25 + 875 - DEFAULT_OVERLAY_SETTINGS.height - 20,
+      width: DEFAULT_OVERLAY_SETTINGS.width,
+      height: DEFAULT_OVERLAY_SETTINGS.height
+    });
+  });
+});
+
+describe('validateOverlaySettings', () => {
+  test('accepts the defaults', () => {
+    assert.deepEqual(validateOverlaySettings(DEFAULT_OVERLAY_SETTINGS), []);
+  });
+
+  test('limits position, size, opacity and the hide delay', () => {
+    assert.deepEqual(validateOverlaySettings({
+      position: 'middle',
+      width: 50,
+      height: 100.5,
+      opacity: 0,
+      hideAfterSeconds: -1,
+      colour: 'red'
+    }), [
+      '"overlay": "position" must be one of top-left, top-center, top-right, bottom-left, bottom-center, bottom-right',
+      '"overlay": "width" must be a whole number of pixels from 100 to 2000',
+      '"overlay": "height" must be a whole number of pixels from 100 to 2000',
+      '"overlay": "opacity" must be greater than 0 and at most 1',
+      '"overlay": "hideAfterSeconds" must be a number of seconds, 0 or more',
+      '"overlay": unknown setting "colour"'
+    ]);
+    assert.deepEqual(validateOverlaySettings({ opacity: 1, hideAfterSeconds: 0 }), []);
+  });
+});
+
+describe('applyOverlayEvent', () => {
+  test('starts over with each gesture and adds its action or error', () => {
+    let feedback = applyOverlayEvent(EMPTY, { type: 'gesture', gesture: 'Palm', hand: 'Left', kind: 'hold' });
+    assert.deepEqual(feedback, { gesture: 'Left Palm (hold)', action: null, error: null });
+    feedback = applyOverlayEvent(feedback, { type: 'action', gesture: 'Left Palm (Hold)', description: 'Space' });
+    assert.deepEqual(feedback, { gesture: 'Left Palm (hold)', action: 'Space', error: null });
+    feedback = applyOverlayEvent(feedback, { type: 'action-step', ok: false, description: 'Space', error: 'xdotool missing' });
+    assert.equal(feedback.error, 'Space failed: xdotool missing');
+    assert.deepEqual(applyOverlayEvent(feedback, { type: 'gesture', gesture: 'Pinch' }), { gesture: 'Pinch', action: null, error: null });
+  });
+
+  test('reports cooldowns, ignored actions, missing permission and camera errors', () => {
+    assert.equal(applyOverlayEvent(EMPTY, { type: 'cooldown', gesture: 'Palm' }).gesture, 'Palm (cooling down)');
+    assert.deepEqual(applyOverlayEvent(EMPTY, { type: 'action', error: 'Paused' }), { ...EMPTY, error: 'Paused' });
+    assert.match(applyOverlayEvent(EMPTY, { type: 'action-step', ok: false, permissionDenied: true }).error, /Accessibility permission/);
+    assert.equal(applyOverlayEvent(EMPTY, { type: 'camera-error', message: 'Unplugged' }).error, 'Camera error: Unplugged');
+  });
+
+  test('ignores successful steps and events it doesn\'t show', () => {
+    assert.equal(applyOverlayEvent(EMPTY, { type: 'action-step', ok: true }), null);
+    assert.equal(applyOverlayEvent(EMPTY, { type: 'profile', name: 'Slides' }), null);
+  });
+});
+
+describe('createOverlayController', () => {
+  test('opens the window at its bounds with its opacity', () => {
+    const { controller, windows } = createController();
+    controller.apply({ position: 'top-left', opacity: 0.5 });
+    assert.deepEqual(windows[0].calls, [
+      ['create', getOverlayBounds({ position: 'top-left' }, WORK_AREA)],
+      ['loadFile', 'overlay.html', { query: { opacity: '0.5' } }]
+    ]);
+  });
+
+  test('doesn\'t open when disabled', () => {
+    const { controller, windows } = createController();
+    controller.apply({ enabled: false });
+    controller.update({ type: 'gesture', gesture: 'Palm' });
+    assert.equal(windows.length, 0);
+    assert.equal(controller.getWindow(), null);
+  });
+
+  test('moves, resizes and reloads the open window when the config is saved', () => {
+    const { controller, windows } = createController();
+    controller.apply({});
+    controller.apply({ position: 'top-center', width: 400, height: 150, opacity: 0.3 });
+    assert.equal(windows.length, 1);
+    assert.deepEqual(windows[0].calls.slice(2), [
+      ['setBounds', { x: 520, y: 45, width: 400, height: 150 }],
+      ['loadFile', 'overlay.html', { query: { opacity: '0.3' } }]
+    ]);
+  });
+
+  test('closes when turned off on save, and opens again when turned back on', () => {
+    const { controller, windows } = createController();
+    controller.apply({});
+    controller.apply({ enabled: false });
+    assert.deepEqual(windows[0].calls.at(-1), ['destroy']);
+    assert.equal(controller.getWindow(), null);
+    controller.apply({ enabled: true });
+    assert.equal(windows.length, 2);
+    assert.equal(controller.getWindow(), windows[1]);
+  });
+
+  test('shows feedback and hides it again after hideAfterSeconds', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { controller, windows } = createController();
+    controller.apply({ hideAfterSeconds: 2 });
+    controller.update({ type: 'gesture', gesture: 'Palm' });
+    assert.deepEqual(windows[0].calls.at(-1), ['send', { gesture: 'Palm', action: null, error: null, state: 'Active' }]);
+    assert.equal(windows[0].visible, true);
+    t.mock.timers.tick(1999);
+    assert.equal(windows[0].visible, true);
+    t.mock.timers.tick(1);
+    assert.equal(windows[0].visible, false);
+  });
+
+  test('stays up with hideAfterSeconds 0, and picks up a new delay on save', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { controller, windows } = createController();
+    controller.apply({ hideAfterSeconds: 0 });
+    controller.update({ type: 'gesture', gesture: 'Palm' });
+    t.mock.timers.tick(60000);
+    assert.equal(windows[0].visible, true);
+
+    controller.apply({ hideAfterSeconds: 1 });
+    controller.update({ type: 'gesture', gesture: 'Pinch' });
+    t.mock.timers.tick(1000);
+    assert.equal(windows[0].visible, false);
+  });
+
+  test('stays hidden while the main window is up or the page is loading', () => {
+    let covered = true;
+    const { controller, windows } = createController({ isCovered: () => covered });
+    controller.apply({});
+    controller.update({ type: 'gesture', gesture: 'Palm' });
+    assert.equal(windows[0].visible, false);
+
+    covered = false;
+    windows[0].loading = true;
+    controller.update({ type: 'gesture', gesture: 'Palm' });
+    assert.equal(windows[0].visible, false);
+
+    windows[0].loading = false;
+    controller.update({ type: 'action', gesture: 'Palm', description: 'Space' });
+    assert.deepEqual(windows[0].calls.at(-1), ['send', { gesture: 'Palm', action: 'Space', error: null, state: 'Active' }]);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSchema, normalizeOptions, validatePluginManifest, listPluginFiles } = require('../plugins');
+const { createPluginManager } = require('../plugin-manager');
+
+// Plugin sources by file name, written to a fresh plugins folder
+const PLUGINS = {
+  'echo.js': `module.exports = {
+    name: 'echo',
+    actions: {
+      say: {
+        description: 'Say something back',
+        schema: { text: { type: 'string', required: true } },
+        async execute(options, context) { return options.text + ' ' + context.gesture; }
+      },
+      fail: {
+        schema: {},
+        async execute() { throw new Error('Nope'); }
+      },
+      crash: {
+        schema: {},
+        async execute() { process.exit(3); }
+      },
+      hang: {
+        schema: {},
+        execute() { return new Promise(() => {}); }
+      }
+    }
+  };`,
+  'throws.js': 'throw new Error(\'Broken on purpose\');',
+  'hangs.js': 'while (true) {}',
+  'no-execute.js': 'module.exports = { name: \'lazy\', actions: { nap: { schema: {} } } };',
+  'bad-name.js': 'module.exports = { name: \'Bad Name\', actions: { go: { schema: {}, execute() {} } } };',
+  'zz-echo-again.js': 'module.exports = { name: \'echo\', actions: { say: { schema: {}, execute() {} } } };'
+};
+
+// child_process.fork standing in for Electron's utilityProcess.fork
+function fork(modulePath, args) {
+  const child = childProcess.fork(modulePath, args, { silent: true, execArgv: [] });
+  child.postMessage = message => child.send(message);
+  return child;
+}
+
+describe('createPluginManager', () => {
+  let dir;
+  let manager;
+  let loadErrors;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    for (const [name, source] of Object.entries(PLUGINS)) {
+      fs.writeFileSync(path.join(dir, name), source);
+    }
+    manager = createPluginManager({ dir, fork, loadTimeoutMs: 2000, executeTimeoutMs: 500 });
+    loadErrors = await manager.load();
+  });
+
+  after(() => {
+    manager.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads a good plugin\'s actions with their schemas', () => {
+    assert.deepEqual([...manager.getActions().keys()], ['echo.say', 'echo.fail', 'echo.crash', 'echo.hang']);
+    assert.deepEqual(manager.getActions().get('echo.say'), {
+      plugin: 'echo',
+      action: 'say',
+      description: 'Say something back',
+      schema: { text: { type: 'string', required: true } }
+    });
+  });
+
+  test('skips plugins that throw, hang, are malformed or reuse a name, one error each', () => {
+    const byFile = Object.fromEntries(loadErrors.map(error => [path.basename(error.split(': ')[0]), error]));
+    assert.deepEqual(Object.keys(byFile).sort(), ['bad-name.js', 'hangs.js', 'no-execute.js', 'throws.js', 'zz-echo-again.js']);
+    assert.match(byFile['throws.js'], /Could not load: Broken on purpose/);
+    assert.match(byFile['hangs.js'], /Didn't finish loading within 2000 ms/);
+    assert.match(byFile['no-execute.js'], /Action "nap" has no execute function/);
+    assert.match(byFile['bad-name.js'], /"name" must be lowercase/);
+    assert.match(byFile['zz-echo-again.js'], /another plugin is already called "echo"/);
+  });
+
+  test('runs an action in the plugin\'s process', async () => {
+    assert.equal(await manager.execute('echo.say', { text: 'Hello' }, { gesture: 'Palm', profile: 'Default' }), 'Hello Palm');
+  });
+
+  test('fails the step of an action that throws, and keeps going', async () => {
+    await assert.rejects(manager.execute('echo.fail', {}, {}), /Nope/);
+    assert.equal(await manager.execute('echo.say', { text: 'Still' }, { gesture: 'Palm' }), 'Still Palm');
+  });
+
+  test('fails the step of a plugin that exits, and starts it again for the next', async () => {
+    await assert.rejects(manager.execute('echo.crash', {}, {}), /Plugin echo stopped \(exit code 3\)/);
+    assert.equal(await manager.execute('echo.say', { text: 'Back' }, { gesture: 'Fist' }), 'Back Fist');
+  });
+
+  test('stops a plugin that hangs and starts it again for the next step', async () => {
+    await assert.rejects(manager.execute('echo.hang', {}, {}), /echo.hang didn't finish within 500 ms/);
+    assert.equal(await manager.execute('echo.say', { text: 'Again' }, { gesture: 'Palm' }), 'Again Palm');
+  });
+
+  test('refuses actions that aren\'t loaded', async () => {
+    await assert.rejects(manager.execute('lazy.nap', {}, {}), /Plugin action "lazy.nap" isn't loaded/);
+  });
+});
+
+describe('listPluginFiles', () => {
+  test('finds .js files and folders with an index.js, and nothing in a missing folder', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'a.js'), '');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+      fs.mkdirSync(path.join(dir, 'b'));
+      fs.writeFileSync(path.join(dir, 'b', 'index.js'), '');
+      fs.mkdirSync(path.join(dir, 'empty'));
+      assert.deepEqual(listPluginFiles(dir), [path.join(dir, 'a.js'), path.join(dir, 'b', 'index.js')]);
+      assert.deepEqual(listPluginFiles(path.join(dir, 'missing')), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('normalizeOptions', () => {
+  const schema = {
+    file: { type: 'string', required: true },
+    level: { type: 'integer', min: 1, max: 3, default: 2 },
+    mode: { type: 'string', enum: ['append', 'replace'] },
+    stamp: { type: 'boolean', default: true }
+  };
+
+  test('fills in defaults', () => {
+    assert.deepEqual(normalizeOptions(schema, { file: 'log.txt' }), {
+      options: { file: 'log.txt', level: 2, stamp: true },
+      errors: []
+    });
+  });
+
+  test('reports missing, unknown, mistyped and out-of-range options', () => {
+    assert.deepEqual(normalizeOptions(schema, { level: 1.5, mode: 'delete', stamp: 'yes', colour: 'red' }), {
+      options: null,
+      errors: [
+        'Unknown option "colour"',
+        '"file" is required',
+        '"level" must be a whole number',
+        '"mode" must be one of: append, replace',
+        '"stamp" must be a boolean'
+      ]
+    });
+    assert.deepEqual(normalizeOptions(schema, { file: 'log.txt', level: 4 }).errors, ['"level" must be between 1 and 3']);
+  });
+});
+
+describe('validateSchema', () => {
+  test('accepts the documented field kinds', () => {
+    assert.deepEqual(validateSchema({ text: { type: 'string', enum: ['a', 'b'], default: 'a' }, n: { type: 'number', min: 0 } }), []);
+  });
+
+  test('reports bad fields, the reserved "type" option and defaults that don\'t fit', () => {
+    assert.deepEqual(validateSchema([]), ['"schema" must be an object of option name to field']);
+    assert.deepEqual(validateSchema({
+      type: { type: 'string' },
+      when: { type: 'date' },
+      size: { type: 'integer', min: 'small', default: 1.5 },
+      colour: { type: 'string', enum: [1, 2] }
+    }), [
+      'Option name "type" is reserved for the step type',
+      'Option "when": "type" must be one of: string, number, integer, boolean',
+      'Option "size": "min" must be a number',
+      'Option "size": "default" doesn\'t fit the option',
+      'Option "colour": "enum" must list string values'
+    ]);
+  });
+});
+
+describe('validatePluginManifest', () => {
+  test('needs a valid name and at least one valid action', () => {
+    assert.deepEqual(validatePluginManifest({ name: 'notes', actions: [{ name: 'append', schema: {} }] }), []);
+    assert.equal(validatePluginManifest(null).length, 1);
+    assert.deepEqual(validatePluginManifest({ name: 'notes', actions: [] }), ['"actions" must define at least one action']);
+    assert.deepEqual(validatePluginManifest({ name: 'notes', actions: [{ name: 'Append', description: 3, schema: {} }] }), [
+      'Action "Append": the name must be lowercase letters, digits and dashes, starting with a letter',
+      'Action "Append": "description" must be a string'
+    ]);
+  });
+});
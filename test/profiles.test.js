@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PROFILE,
+  getProfileNames,
+  getProfileMappings,
+  matchProfile,
+  validateProfiles,
+  createFocusWatcher
+} = require('../profiles');
+
+const CONFIG = {
+  mappings: { Palm: 'Space' },
+  profiles: {
+    Slides: { match: { apps: ['Keynote', 'Microsoft PowerPoint'] }, mappings: { Palm: 'Right' } },
+    Video: { match: { titlePattern: 'youtube|vimeo' }, mappings: { Palm: 'K' } },
+    Browser: { match: { apps: ['Firefox'] }, mappings: { Palm: 'Ctrl+T' } }
+  }
+};
+
+// Lets a poll's awaited driver call finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('matchProfile', () => {
+  test('matches application names regardless of case', () => {
+    assert.equal(matchProfile(CONFIG, { app: 'keynote', title: 'Deck' }), 'Slides');
+    assert.equal(matchProfile(CONFIG, { app: 'Microsoft PowerPoint', title: '' }), 'Slides');
+  });
+
+  test('matches the window title against the pattern', () => {
+    assert.equal(matchProfile(CONFIG, { app: 'Safari', title: 'Cats - YouTube' }), 'Video');
+  });
+
+  test('takes the first matching profile', () => {
+    assert.equal(matchProfile(CONFIG, { app: 'Firefox', title: 'Vimeo' }), 'Video');
+  });
+
+  test('falls back to the default profile', () => {
+    assert.equal(matchProfile(CONFIG, { app: 'Terminal', title: 'bash' }), DEFAULT_PROFILE);
+    assert.equal(matchProfile(CONFIG, { title: 'untitled' }), DEFAULT_PROFILE);
+    assert.equal(matchProfile(CONFIG, null), DEFAULT_PROFILE);
+    assert.equal(matchProfile({ mappings: {} }, { app: 'Keynote' }), DEFAULT_PROFILE);
+  });
+});
+
+describe('getProfileMappings', () => {
+  test('uses the top-level mappings for the default and unknown profiles', () => {
+    assert.deepEqual(getProfileNames(CONFIG), ['Default', 'Slides', 'Video', 'Browser']);
+    assert.deepEqual(getProfileMappings(CONFIG, 'Slides'), { Palm: 'Right' });
+    assert.equal(getProfileMappings(CONFIG, DEFAULT_PROFILE), CONFIG.mappings);
+    assert.equal(getProfileMappings(CONFIG, 'Gone'), CONFIG.mappings);
+  });
+});
+
+describe('validateProfiles', () => {
+  test('checks names, match rules and each profile\'s mappings', () => {
+    const validateMappings = mappings => (mappings ? [] : ['"mappings" must be an object']);
+    assert.deepEqual(validateProfiles(undefined, validateMappings), []);
+    assert.deepEqual(validateProfiles(CONFIG.profiles, validateMappings), []);
+    const errors = validateProfiles({
+      Default: { mappings: {} },
+      Broken: null,
+      Bad: { match: { apps: 'Keynote', titlePattern: '(' } }
+    }, validateMappings);
+    assert.equal(errors.length, 5);
+    assert.deepEqual(errors.slice(0, 3), [
+      '"Default" is reserved for the top-level mappings',
+      'Profile "Broken" must be an object',
+      'Profile "Bad": "match.apps" must be a list of application names'
+    ]);
+    assert.match(errors[3], /^Profile "Bad": invalid "match.titlePattern": Invalid regular expression/);
+    assert.equal(errors[4], 'Profile "Bad": "mappings" must be an object');
+    assert.deepEqual(validateProfiles([], validateMappings), ['"profiles" must be an object of profile name to profile']);
+  });
+});
+
+describe('createFocusWatcher', () => {
+  test('reports each change of focus once, skipping this app\'s own windows', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const windows = [
+      { pid: 1, app: 'Keynote', title: 'Deck' },
+      { pid: 1, app: 'Keynote', title: 'Deck' },
+      { pid: process.pid, app: 'Gesture Control', title: 'Settings' },
+      { pid: 2, app: 'Firefox', title: 'News' }
+    ];
+    const changes = [];
+    const watcher = createFocusWatcher({
+      driver: { getFocusedWindow: async () => windows.shift() },
+      onChange: focusedWindow => changes.push(focusedWindow.app),
+      intervalMs: 100
+    });
+
+    watcher.start();
+    await settle();
+    for (let i = 0; i < 3; i++) {
+      t.mock.timers.tick(100);
+      await settle();
+    }
+    watcher.stop();
+    assert.deepEqual(changes, ['Keynote', 'Firefox']);
+  });
+
+  test('does nothing when the driver can\'t read the focused window', () => {
+    const watcher = createFocusWatcher({ driver: {}, onChange: () => assert.fail('no changes expected') });
+    watcher.start();
+    watcher.stop();
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRecordingDriver } = require('../drivers/recording');
+const { createActionRunner } = require('../action-runner');
+const { createGestureTracker, NEUTRAL_GESTURE } = require('../gesture-tracker');
+const { detectGesture } = require('../gestures');
+const { normalizeConfig } = require('../config');
+const { getProfileMappings, DEFAULT_PROFILE } = require('../profiles');
+
+const POSES = require('./fixtures/hand-poses.json');
+
+const FRAME_MS = 33;
+
+const CONFIG = normalizeConfig({
+  mappings: {
+    'Victory Sign': 'Cmd+Shift+]',
+    'Thumbs Up': {
+      label: 'Sign off',
+      steps: [
+        { type: 'text', text: 'Thanks!' },
+        { type: 'keys', keys: 'Enter' }
+      ]
+    }
+  }
+});
+
+// Recorded events without their timestamps
+function withoutTimes(events) {
+  return events.map(event => {
+    const copy = { ...event };
+    delete copy.time;
+    return copy;
+  });
+}
+
+// The camera path of renderer.js and main.js without Electron: classify
+// each frame, feed the gesture to the hand's tracker and run the mapping of
+// every press through the action runner. `poses` lists [pose, frames]; a
+// null pose is a frame without a hand.
+async function runPoses(poses) {
+  const driver = createRecordingDriver();
+  const runner = createActionRunner({ driver, approveCommand: async () => false });
+  const mappings = getProfileMappings(CONFIG, DEFAULT_PROFILE);
+  const tracker = createGestureTracker({ hasMapping: name => name in mappings });
+
+  let now = 0;
+  for (const [pose, frames] of poses) {
+    for (let i = 0; i < frames; i++) {
+      now += FRAME_MS;
+      let gesture = NEUTRAL_GESTURE;
+      if (pose) {
+        const frame = POSES[pose];
+        gesture = detectGesture(frame.multiHandLandmarks[0], {
+          handedness: frame.multiHandedness[0].label,
+          aspectRatio: frame.aspectRatio
+        });
+      }
+      for (const event of tracker.update(gesture, now)) {
+        if (event.name && mappings[event.name]) runner.run(event.name, mappings[event.name]);
+      }
+    }
+  }
+  await runner.whenIdle();
+  return withoutTimes(driver.events);
+}
+
+describe('gesture to keystroke path', () => {
+  test('sends a mapped combo once for a held gesture', async () => {
+    assert.deepEqual(await runPoses([['Victory Sign', 30]]), [
+      { type: 'keys', action: { key: ']', modifiers: ['shift', 'cmd'], repeat: 1, holdMs: 0 } }
+    ]);
+  });
+
+  test('runs every step of an action list in order', async () => {
+    assert.deepEqual(await runPoses([['Thumbs Up', 10]]), [
+      { type: 'text', text: 'Thanks!' },
+      { type: 'keys', action: { key: 'enter', modifiers: [], repeat: 1, holdMs: 0 } }
+    ]);
+  });
+
+  test('ignores unmapped gestures and frames without a hand', async () => {
+    assert.deepEqual(await runPoses([[null, 5], ['Closed Fist', 10], [null, 5]]), []);
+  });
+
+  test('ignores a gesture seen for a single frame', async () => {
+    assert.deepEqual(await runPoses([['Closed Fist', 5], ['Victory Sign', 1], ['Closed Fist', 5]]), []);
+  });
+
+  test('runs each gesture in the order it was made', async () => {
+    const events = await runPoses([['Thumbs Up', 10], ['Victory Sign', 10]]);
+    assert.deepEqual(events.map(event => event.type), ['text', 'keys', 'keys']);
+    assert.equal(events[2].action.key, ']');
+  });
+});
+
+describe('createRecordingDriver', () => {
+  test('reports each event as it is recorded', async () => {
+    const reported = [];
+    const driver = createRecordingDriver({ onEvent: event => reported.push(event) });
+    await driver.sendMouse({ type: 'click', button: 'left' });
+    assert.deepEqual(reported, driver.events);
+    assert.equal(reported[0].type, 'mouse');
+  });
+
+  test('records commands without running them', async () => {
+    const driver = createRecordingDriver();
+    assert.deepEqual(await driver.runCommand('rm', ['-rf', '/']), { stdout: '', stderr: '', exitCode: 0 });
+    assert.deepEqual(withoutTimes(driver.events), [{ type: 'command', command: 'rm', args: ['-rf', '/'] }]);
+  });
+
+  test('keeps only the latest maxEvents', async () => {
+    const driver = createRecordingDriver({ maxEvents: 3 });
+    for (const text of ['a', 'b', 'c', 'd', 'e']) {
+      await driver.typeText(text);
+    }
+    assert.deepEqual(driver.events.map(event => event.text), ['c', 'd', 'e']);
+  });
+
+  test('keeps nothing with maxEvents 0, but still reports', async () => {
+    const reported = [];
+    const driver = createRecordingDriver({ maxEvents: 0, onEvent: event => reported.push(event) });
+    await driver.typeText('a');
+    assert.deepEqual(driver.events, []);
+    assert.equal(reported.length, 1);
+  });
+});
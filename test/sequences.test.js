@@ -0,0 +1,134 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_STEP_TIMEOUT_MS, validateSequences, createSequenceMatcher } = require('../sequences');
+
+const SEQUENCES = {
+  'Close Window': { steps: ['Closed Fist', 'Palm', 'Thumbs Up'], stepTimeoutMs: 1000 },
+  'Left Wave': { steps: ['Left Palm', 'Left Closed Fist'] }
+};
+
+// The `completed` names of a series of [gesture, side, time] steps
+function run(matcher, steps) {
+  return steps.map(([gesture, side, now]) => matcher.step(gesture, side, now).completed);
+}
+
+describe('createSequenceMatcher', () => {
+  test('completes a sequence made within each step\'s timeout', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    assert.deepEqual(run(matcher, [
+      ['Closed Fist', 'Right', 0],
+      ['Palm', 'Right', 900],
+      ['Thumbs Up', 'Right', 1800]
+    ]), [null, null, 'Close Window']);
+  });
+
+  test('breaks a sequence when a step comes after its timeout', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    assert.deepEqual(run(matcher, [
+      ['Closed Fist', 'Right', 0],
+      ['Palm', 'Right', 900],
+      ['Thumbs Up', 'Right', 1901]
+    ]), [null, null, null]);
+  });
+
+  test('falls back to the default step timeout', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    assert.deepEqual(run(matcher, [
+      ['Palm', 'Left', 0],
+      ['Closed Fist', 'Left', DEFAULT_STEP_TIMEOUT_MS]
+    ]), [null, 'Left Wave']);
+    assert.deepEqual(run(matcher, [
+      ['Palm', 'Left', 10000],
+      ['Closed Fist', 'Left', 10001 + DEFAULT_STEP_TIMEOUT_MS]
+    ]), [null, null]);
+  });
+
+  test('matches hand-specific steps only on that hand', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    assert.deepEqual(run(matcher, [
+      ['Palm', 'Right', 0],
+      ['Closed Fist', 'Right', 100]
+    ]), [null, null]);
+  });
+
+  test('breaks a sequence on a gesture that isn\'t its next step', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    assert.deepEqual(run(matcher, [
+      ['Closed Fist', 'Right', 0],
+      ['Victory Sign', 'Right', 100],
+      ['Palm', 'Right', 200],
+      ['Thumbs Up', 'Right', 300]
+    ]), [null, null, null, null]);
+  });
+
+  test('holds back the first gesture\'s action until the sequence breaks', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    const first = matcher.step('Closed Fist', 'Right', 0);
+    assert.deepEqual(first, { consumed: true, deferrable: true, completed: null, flushed: [] });
+    matcher.defer('fist action');
+    assert.deepEqual(matcher.tick(1000), []);
+    assert.deepEqual(matcher.tick(1001), ['fist action']);
+    assert.deepEqual(matcher.tick(1002), []);
+  });
+
+  test('runs the held-back action when the next gesture breaks the sequence', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    matcher.step('Closed Fist', 'Right', 0);
+    matcher.defer('fist action');
+    assert.deepEqual(matcher.step('Victory Sign', 'Right', 100), {
+      consumed: false, deferrable: false, completed: null, flushed: ['fist action']
+    });
+  });
+
+  test('drops the held-back action once the sequence moves on', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    matcher.step('Closed Fist', 'Right', 0);
+    matcher.defer('fist action');
+    assert.deepEqual(matcher.step('Palm', 'Right', 100).flushed, []);
+    assert.deepEqual(matcher.tick(5000), []);
+  });
+
+  test('only starts sequences that are mapped', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES, isMapped: name => name !== 'Close Window' });
+    assert.equal(matcher.step('Closed Fist', 'Right', 0).consumed, false);
+  });
+
+  test('reports the furthest sequence under way and its time left', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    assert.equal(matcher.getProgress(0), null);
+    matcher.step('Closed Fist', 'Right', 0);
+    matcher.step('Palm', 'Right', 400);
+    assert.deepEqual(matcher.getProgress(600), { name: 'Close Window', done: 2, total: 3, remainingMs: 800 });
+    assert.equal(matcher.getProgress(1401), null);
+  });
+
+  test('forgets sequences under way and held-back actions on reset', () => {
+    const matcher = createSequenceMatcher({ sequences: SEQUENCES });
+    matcher.step('Closed Fist', 'Right', 0);
+    matcher.defer('fist action');
+    matcher.reset();
+    assert.equal(matcher.getProgress(100), null);
+    assert.deepEqual(matcher.tick(5000), []);
+    assert.deepEqual(run(matcher, [['Palm', 'Right', 200], ['Thumbs Up', 'Right', 300]]), [null, null]);
+  });
+});
+
+describe('validateSequences', () => {
+  test('checks names, steps and timeouts', () => {
+    assert.deepEqual(validateSequences(undefined), []);
+    assert.deepEqual(validateSequences(SEQUENCES, ['Palm']), []);
+    assert.deepEqual(validateSequences({
+      'Palm': { steps: ['Palm', 'Palm'] },
+      'Short': { steps: ['Palm'] },
+      'Slow': { steps: ['Palm', ''], stepTimeoutMs: 0 },
+      'Empty': null
+    }, ['Palm']), [
+      'Sequence "Palm": the name is already a gesture',
+      'Sequence "Short": "steps" must list 2 to 10 gesture names',
+      'Sequence "Slow": "steps" must list 2 to 10 gesture names',
+      'Sequence "Slow": "stepTimeoutMs" must be a positive number',
+      'Sequence "Empty" must be an object'
+    ]);
+    assert.deepEqual(validateSequences([]), ['"sequences" must be an object of sequence name to sequence']);
+  });
+});
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+// Just enough of RFC 6455 for the event API: the server side of the
+// handshake, unfragmented text messages both ways, ping/pong and close.
+// Messages are small JSON objects, so anything larger or fragmented is
+// refused rather than reassembled.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+function isWebSocketUpgrade(request) {
+  return String(request.headers.upgrade).toLowerCase() === 'websocket' &&
+    typeof request.headers['sec-websocket-key'] === 'string';
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Parse one frame from the start of `buffer`. Returns null when more bytes
+// are needed, { error } for frames this server refuses, or
+// { fin, opcode, payload, length } where length is the bytes consumed.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    const length = buffer.readBigUInt64BE(2);
+    if (length > BigInt(MAX_MESSAGE_BYTES)) return { error: 'Message too large' };
+    payloadLength = Number(length);
+    offset = 10;
+  }
+
+  // Clients must mask what they send
+  if (!masked) return { error: 'Unmasked client frame' };
+  if (payloadLength > MAX_MESSAGE_BYTES) return { error: 'Message too large' };
+  if (buffer.length < offset + 4 + payloadLength) return null;
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + payloadLength));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, length: offset + 4 + payloadLength };
+}
+
+// Complete the handshake for an HTTP upgrade request and wrap the socket.
+// `onMessage(text)` gets each text message; `onClose()` runs once when the
+// connection ends for any reason.
+function acceptWebSocket(request, socket, { onMessage = () => {}, onClose = () => {} } = {}) {
+  const accept = crypto.createHash('sha1')
+    .update(request.headers['sec-websocket-key'] + HANDSHAKE_GUID)
+    .digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  let buffered = Buffer.alloc(0);
+  let closed = false;
+
+  function close(code = 1000) {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(OPCODES.close, payload));
+    onClose();
+  }
+
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let frame;
+    while (!closed && (frame = decodeFrame(buffered))) {
+      if (frame.error) {
+        close(1009);
+        return;
+      }
+      buffered = buffered.subarray(frame.length);
+      if (!frame.fin || frame.opcode === 0) {
+        close(1003);
+      } else if (frame.opcode === OPCODES.text) {
+        onMessage(frame.payload.toString('utf8'));
+      } else if (frame.opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, frame.payload));
+      } else if (frame.opcode === OPCODES.close) {
+        close();
+      } else if (frame.opcode !== OPCODES.pong) {
+        close(1003);
+      }
+    }
+  });
+  socket.on('error', () => {
+    // A dropped client shouldn't take the server down; 'close' follows
+  });
+  socket.on('close', () => {
+    if (!closed) {
+      closed = true;
+      onClose();
+    }
+  });
+
+  return {
+    send(text) {
+      if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+    },
+    close
+  };
+}
+
+module.exports = {
+  isWebSocketUpgrade,
+  acceptWebSocket
+};